@@ -0,0 +1,24 @@
+// Service worker that displays schedule reminders.
+// The planner page keeps the reminder timers and calls
+// registration.showNotification when one is due, which works from a
+// background tab; this worker only handles clicks on those notifications.
+// Browsers stop idle workers, so nothing here is scheduled ahead of time.
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+// focus the planner and open the event, or open the planner
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const eventId = event.notification.data?.eventId;
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((clients) => {
+        const client = clients[0];
+        if (!client) return self.clients.openWindow("/");
+        client.postMessage({ type: "open-event", eventId });
+        return client.focus();
+      })
+  );
+});
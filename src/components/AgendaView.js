@@ -0,0 +1,241 @@
+import React, { useMemo, useRef, useState } from "react";
+import moment from "moment";
+import DatePicker from "react-datepicker";
+import "react-datepicker/dist/react-datepicker.css";
+import { AGENDA_SUBGROUPS, agendaSections } from "../lib/agendaSections";
+
+const DEFAULT_RANGE_DAYS = 14;
+
+const dayLabel = (key, now) => {
+  const day = moment(key, "YYYY-MM-DD");
+  if (day.isSame(now, "day")) return `Today, ${day.format("MMMM D")}`;
+  if (day.isSame(moment(now).add(1, "day"), "day"))
+    return `Tomorrow, ${day.format("MMMM D")}`;
+  return day.format("dddd, MMMM D, YYYY");
+};
+
+const subsectionId = (dayKey, key) => `${dayKey}/${key}`;
+
+const sessionCount = (count) => `${count} ${count === 1 ? "session" : "sessions"}`;
+
+/**
+ * agenda list of upcoming sessions by day, each day split into
+ * collapsible course or learner group sub-sections. events and now are
+ * in the display zone
+ */
+const AgendaView = ({ events, now, groupColors, onSelectEvent }) => {
+  const [rangeStart, setRangeStart] = useState(() =>
+    moment(now).startOf("day").toDate()
+  );
+  const [rangeEnd, setRangeEnd] = useState(() =>
+    moment(now).add(DEFAULT_RANGE_DAYS, "days").endOf("day").toDate()
+  );
+  const [subgroupBy, setSubgroupBy] = useState("course");
+  const [collapsed, setCollapsed] = useState({});
+  const sectionRefs = useRef({});
+
+  const sections = useMemo(
+    () => agendaSections(events, { from: rangeStart, to: rangeEnd, subgroupBy }),
+    [events, rangeStart, rangeEnd, subgroupBy]
+  );
+
+  const toggleSection = (key) =>
+    setCollapsed((current) => ({ ...current, [key]: !current[key] }));
+
+  const setAllCollapsed = (value) =>
+    setCollapsed(
+      Object.fromEntries(
+        sections.flatMap((section) => [
+          [section.key, value],
+          ...section.subsections
+            .filter((subsection) => subsection.key !== null)
+            .map((subsection) => [subsectionId(section.key, subsection.key), value]),
+        ])
+      )
+    );
+
+  const handleJumpToToday = () => {
+    const today = moment(now).startOf("day");
+    if (
+      today.isBefore(rangeStart) ||
+      (rangeEnd && today.isAfter(rangeEnd))
+    ) {
+      setRangeStart(today.toDate());
+      setRangeEnd(today.clone().add(DEFAULT_RANGE_DAYS, "days").endOf("day").toDate());
+    }
+    const todayKey = today.format("YYYY-MM-DD");
+    setCollapsed((current) => ({ ...current, [todayKey]: false }));
+    // wait for the sections to render before scrolling
+    setTimeout(() => {
+      const upcoming = Object.keys(sectionRefs.current)
+        .filter((key) => key >= todayKey && sectionRefs.current[key])
+        .sort()[0];
+      sectionRefs.current[upcoming]?.scrollIntoView({
+        behavior: "smooth",
+        block: "start",
+      });
+    }, 0);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium mb-2">Date Range</label>
+          <DatePicker
+            selectsRange
+            startDate={rangeStart}
+            endDate={rangeEnd}
+            onChange={([start, end]) => {
+              setRangeStart(start);
+              setRangeEnd(end);
+            }}
+            dateFormat="MMM d, yyyy"
+            className="p-2 border rounded w-64"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-2">Within Each Day</label>
+          <select
+            value={subgroupBy}
+            onChange={(e) => setSubgroupBy(e.target.value)}
+            className="p-2 border rounded"
+          >
+            {AGENDA_SUBGROUPS.map((grouping) => (
+              <option key={grouping.value} value={grouping.value}>
+                {grouping.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={handleJumpToToday}
+          className="px-4 py-2 rounded bg-blue-500 text-white"
+        >
+          Jump to Today
+        </button>
+        <button
+          onClick={() => setAllCollapsed(false)}
+          className="px-4 py-2 rounded bg-gray-200"
+        >
+          Expand All
+        </button>
+        <button
+          onClick={() => setAllCollapsed(true)}
+          className="px-4 py-2 rounded bg-gray-200"
+        >
+          Collapse All
+        </button>
+      </div>
+
+      {sections.length === 0 && (
+        <div className="p-4 bg-gray-100 rounded text-gray-600">
+          No sessions in this date range.
+        </div>
+      )}
+
+      {sections.map((section) => (
+        <section
+          key={section.key}
+          ref={(node) => {
+            sectionRefs.current[section.key] = node;
+          }}
+          className="mb-4 border rounded"
+        >
+          <button
+            onClick={() => toggleSection(section.key)}
+            aria-expanded={!collapsed[section.key]}
+            className="w-full flex justify-between items-center p-3 bg-gray-100 font-semibold text-left"
+          >
+            <span>{dayLabel(section.key, now)}</span>
+            <span className="text-sm font-normal text-gray-600">
+              {sessionCount(section.count)} {collapsed[section.key] ? "▸" : "▾"}
+            </span>
+          </button>
+          {!collapsed[section.key] &&
+            section.subsections.map((subsection) => {
+              const id = subsectionId(section.key, subsection.key);
+              return (
+                <div key={id} className="border-t">
+                  {subsection.key !== null && (
+                    <button
+                      onClick={() => toggleSection(id)}
+                      aria-expanded={!collapsed[id]}
+                      className="w-full flex justify-between items-center px-3 py-2 bg-gray-50 text-sm font-medium text-left"
+                    >
+                      <span className="flex items-center gap-2">
+                        {subgroupBy === "group" && (
+                          <span
+                            className="w-3 h-3 rounded-full"
+                            style={{
+                              backgroundColor: groupColors[subsection.key] || "#3b82f6",
+                            }}
+                          />
+                        )}
+                        {subsection.key}
+                      </span>
+                      <span className="font-normal text-gray-600">
+                        {sessionCount(subsection.events.length)}{" "}
+                        {collapsed[id] ? "▸" : "▾"}
+                      </span>
+                    </button>
+                  )}
+                  {!collapsed[id] && (
+                    <ul>
+                      {subsection.events.map((event, index) => (
+                        <li
+                          key={index}
+                          onClick={() => onSelectEvent(event)}
+                          className="flex gap-3 p-3 border-t cursor-pointer hover:bg-gray-50"
+                        >
+                          <span
+                            className="w-1 rounded"
+                            style={{
+                              backgroundColor:
+                                groupColors[event.learnerGroup] || "#3b82f6",
+                            }}
+                          />
+                          <div className="w-32 shrink-0 text-sm text-gray-600">
+                            {event.allDay
+                              ? "All day"
+                              : `${moment(event.start).format("h:mm A")} – ${moment(
+                                  event.end
+                                ).format("h:mm A")}`}
+                          </div>
+                          <div className="min-w-0">
+                            <div className="font-medium">
+                              {event.title}
+                              {event.source === "manual" && (
+                                <span className="ml-2 text-xs font-normal text-green-700">
+                                  Added manually
+                                </span>
+                              )}
+                            </div>
+                            {event.desc && (
+                              <div className="text-sm text-gray-600">{event.desc}</div>
+                            )}
+                            <div className="text-sm text-gray-500">
+                              {event.location}
+                              {event.learnerGroup && ` · ${event.learnerGroup}`}
+                              {event.category && ` · ${event.category}`}
+                            </div>
+                            {event.notes && (
+                              <div className="text-sm text-gray-500 whitespace-pre-line">
+                                {event.notes}
+                              </div>
+                            )}
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              );
+            })}
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default AgendaView;
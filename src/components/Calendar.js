@@ -1,188 +1,222 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { Calendar, momentLocalizer } from "react-big-calendar";
+import withDragAndDrop from "react-big-calendar/lib/addons/dragAndDrop";
 import moment from "moment";
 import "react-big-calendar/lib/css/react-big-calendar.css";
-import Papa from "papaparse";
-import * as XLSX from "xlsx";
+import "react-big-calendar/lib/addons/dragAndDrop/styles.css";
+import PDFUploader from "./PDFUploader";
+import AgendaView from "./AgendaView";
+import SchedulePanel from "./SchedulePanel";
+import ImportDiffPreview from "./ImportDiffPreview";
+import CalendarExport from "./CalendarExport";
+import PrintExport from "./PrintExport";
+import ShareSchedule from "./ShareSchedule";
+import SpreadsheetExport from "./SpreadsheetExport";
+import DegreeProgress from "./DegreeProgress";
+import WorkloadAnalytics from "./WorkloadAnalytics";
+import FreeSlotFinder from "./FreeSlotFinder";
+import ProgramSettings from "./ProgramSettings";
+import ColumnMappingWizard from "./ColumnMappingWizard";
+import ImportReport from "./ImportReport";
+import SheetPicker from "./SheetPicker";
+import ConflictsPanel from "./ConflictsPanel";
+import FilterPanel from "./FilterPanel";
+import GroupLegend from "./GroupLegend";
+import GroupSchemeSettings from "./GroupSchemeSettings";
+import EventEditor from "./EventEditor";
+import TimeZoneSelect from "./TimeZoneSelect";
+import UpcomingDeadlines from "./UpcomingDeadlines";
+import ReminderSettings from "./ReminderSettings";
+import {
+  findMappingProfile,
+  isStandardLayout,
+  mappingFromProfile,
+  saveMappingProfile,
+  suggestMapping,
+} from "../lib/columnMapping";
+import {
+  conflictingIds,
+  conflictsForEvent,
+  findConflicts,
+} from "../lib/conflicts";
+import { DEFAULT_CATEGORIES, getSectionName, isDeadline } from "../lib/eventDetails";
+import { createEventId, withEventIds } from "../lib/eventIdentity";
+import { confirmEventTimes } from "../lib/eventTimes";
+import {
+  EMPTY_FILTERS,
+  filterOptions,
+  loadMyGroups,
+  matchesFilters,
+} from "../lib/eventFilters";
+import { useUndoableState } from "../lib/useUndoableState";
+import { loadSetting, saveSetting } from "../lib/localSettings";
+import { DEFAULT_PROGRAM, loadProgram, saveProgram } from "../lib/degreeProgress";
+import {
+  DEFAULT_REMINDER_SETTINGS,
+  loadReminderSettings,
+  saveReminderSettings,
+} from "../lib/reminders";
+import { useReminders } from "../lib/useReminders";
+import {
+  fromDisplayDate,
+  getLocalTimeZone,
+  isValidTimeZone,
+  toDisplayDate,
+  toDisplayEvent,
+} from "../lib/timezone";
+import { deriveLearnerGroup, parseScheduleRow } from "../lib/scheduleParsing";
+import { normalizeScheduleTable, readScheduleFile } from "../lib/ingest/client";
+import { acceptedFileTypes, formatLabels } from "../lib/ingest/registry";
+import {
+  DEFAULT_GROUP_SCHEME,
+  UNGROUPED,
+  generateGroupPalette,
+  loadGroupScheme,
+  saveGroupScheme,
+  sortGroups,
+} from "../lib/groupSchemes";
+import {
+  createSeries,
+  deleteSeriesEvent,
+  updateSeriesEvent,
+} from "../lib/eventSeries";
+import {
+  createRejection,
+  valuesReader,
+} from "../lib/importReport";
+import {
+  IMPORT_MODES,
+  applyEventDiff,
+  diffEvents,
+  mergeEvents,
+} from "../lib/importMerge";
 
 const localizer = momentLocalizer(moment);
 
-/**
- * derives the learner group based on group
- */
-const deriveLearnerGroup = (learnerGroupField, sessionName, sectionName) => {
-  let group = "";
-  const expectedPattern = /^[A-H][1-2]$/i;
-  
-  if (learnerGroupField) {
-    group = learnerGroupField.toString().trim();
-    if (!expectedPattern.test(group)) {
-      group = "";
-    }
-  }
-  
-  if (!group && sectionName) {
-    const match = sectionName.match(/([A-H])\s*([1-2])/i);
-    if (match) group = match[1] + match[2];
-  }
-  
-  if (!group && sessionName) {
-    const match = sessionName.match(/([A-H])\s*([1-2])/i);
-    if (match) group = match[1] + match[2];
-  }
-  
-  return group ? group.trim().toUpperCase() : "Ungrouped";
-};
+const SOURCE_ZONE_KEY = "sourceTimeZone";
+const DISPLAY_ZONE_KEY = "displayTimeZone";
 
-const fixInvalidDate = (dateInput) => {
-  if (dateInput instanceof Date) {
-    return moment(dateInput).format("YYYYMMDD");
-  }
-  if (typeof dateInput !== "string") {
-    dateInput = dateInput.toString();
-  }
-  if (dateInput.startsWith("+057342")) {
-    return dateInput.replace("+057342", "2023");
-  }
-  return dateInput;
+const loadTimeZone = (key) => {
+  const saved = loadSetting(key, null);
+  return isValidTimeZone(saved) ? saved : getLocalTimeZone();
 };
 
-const parseTime = (timeValue) => {
-  try {
-    if (!timeValue) return null;
-    if (timeValue instanceof Date) {
-      return { hours: timeValue.getHours(), minutes: timeValue.getMinutes() };
-    }
-    const cleaned = timeValue.toString().trim().toLowerCase();
-    const militaryMatch = cleaned.match(/^(\d{1,2}):?(\d{2})$/);
-    if (militaryMatch) {
-      const hours = parseInt(militaryMatch[1], 10);
-      const minutes = parseInt(militaryMatch[2] || "00", 10);
-      if (hours > 23 || minutes > 59) return null;
-      return { hours, minutes };
-    }
-
-    const twelveHourMatch =
-      cleaned.match(/(\d{1,2})(?::(\d{2}))?\s*([ap]m)/i) ||
-      cleaned.match(/(noon|midnight)/i);
-    if (twelveHourMatch) {
-      let hours = twelveHourMatch[1] ? parseInt(twelveHourMatch[1], 10) : 0;
-      const minutes = twelveHourMatch[2] ? parseInt(twelveHourMatch[2], 10) : 0;
-      const period = twelveHourMatch[3]?.toLowerCase();
-      if (period === "noon") hours = 12;
-      if (period === "midnight") hours = 0;
-      if (period === "pm" && hours !== 12) hours += 12;
-      if (period === "am" && hours === 12) hours = 0;
-      if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) return null;
-      return { hours, minutes };
-    }
-    console.warn(`Unrecognized time format: ${timeValue}`);
-    return null;
-  } catch (error) {
-    console.error("Time parsing error:", error);
-    return null;
-  }
-};
+const DragAndDropCalendar = withDragAndDrop(Calendar);
 
+/**
+ * lets the user back out of a manual edit that double-books a group or
+ * room; times are worded in the display zone
+ */
+const MAX_CONFLICT_LINES = 5;
 
-const parseDateTime = (dateString, timeValue) => {
-  try {
-    if (!dateString || !timeValue) {
-      console.warn("Missing date/time values:", { dateString, timeValue });
-      return null;
-    }
-    const fixedDateString = fixInvalidDate(dateString);
-    
-    if (!isNaN(fixedDateString)) {
-      const numDate = parseInt(fixedDateString, 10);
-      if (numDate < 100000) {
-        const excelDate = numDate;
-        const date = new Date((excelDate - 25569) * 86400 * 1000);
-        if (excelDate > 59) date.setDate(date.getDate() - 1);
-        const time = parseTime(timeValue);
-        if (!time) return null;
-        date.setHours(time.hours, time.minutes);
-        return date;
-      }
-    }
-    
-    const dateFormats = [
-      "YYYYMMDD",
-      "YYYY-MM-DD",
-      "MM/DD/YYYY",
-      "DD-MM-YYYY",
-      "MMM DD, YYYY",
-      "DD MMM YYYY",
-      "YYYY/MM/DD",
-    ];
-    const date = moment(fixedDateString, dateFormats, true);
-    if (!date.isValid()) {
-      console.warn(`Invalid date format: ${fixedDateString}`);
-      return null;
-    }
-    
-    const time = parseTime(timeValue);
-    if (!time) return null;
-    
-    const combined = date.set({ hour: time.hours, minute: time.minutes }).toDate();
-    if (isNaN(combined.getTime())) {
-      console.warn("Invalid combined datetime:", combined);
-      return null;
-    }
-    return combined;
-  } catch (error) {
-    console.error("Date/time parsing error:", error);
-    return null;
+const confirmConflicts = (conflicts, timeZone) => {
+  if (!conflicts.length) return true;
+  const lines = conflicts.slice(0, MAX_CONFLICT_LINES).map(
+    ({ kind, key, b }) =>
+      `- ${kind === "group" ? `Group ${key}` : key}: ${b.title} (${moment(
+        toDisplayDate(b.start, timeZone)
+      ).format("ddd MMM D, h:mm A")}–${moment(toDisplayDate(b.end, timeZone)).format(
+        "h:mm A"
+      )})`
+  );
+  if (conflicts.length > MAX_CONFLICT_LINES) {
+    lines.push(`…and ${conflicts.length - MAX_CONFLICT_LINES} more`);
   }
+  return confirm(
+    `⚠️ This overlaps ${conflicts.length === 1 ? "another session" : "other sessions"}:\n${lines.join(
+      "\n"
+    )}\n\nSave anyway?`
+  );
 };
 
+/**
+ * calendar tile; manual events get a pencil so they stand out from imports
+ */
+const CalendarEvent = ({ event }) => (
+  <span title={event.source === "manual" ? "Added manually" : undefined}>
+    {event.source === "manual" && "✎ "}
+    {isDeadline(event) && "⏰ "}
+    {event.title}
+  </span>
+);
+
 /**
  * main calendar 
  */
 const MyCalendar = () => {
-  const [events, setEvents] = useState([]);
+  const {
+    value: events,
+    set: setEvents,
+    reset: resetEvents,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+  } = useUndoableState([]);
   const [selectedSlot, setSelectedSlot] = useState(null);
   const [selectedEvent, setSelectedEvent] = useState(null);
   const [view, setView] = useState("calendar");
   const [uploadStatus, setUploadStatus] = useState("");
-  const [selectedGroup, setSelectedGroup] = useState("All Groups");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [availableGroups, setAvailableGroups] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [importMode, setImportMode] = useState("replace");
+  const [pendingDiff, setPendingDiff] = useState(null);
+  const [pendingMapping, setPendingMapping] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [pendingSheets, setPendingSheets] = useState(null);
+  const [sheetResults, setSheetResults] = useState(null);
+  const [selectedSheet, setSelectedSheet] = useState("All Sheets");
+  const [currentSchedule, setCurrentSchedule] = useState(null);
+  const [groupScheme, setGroupScheme] = useState(DEFAULT_GROUP_SCHEME);
+  const [showGroupSettings, setShowGroupSettings] = useState(false);
+  const [program, setProgram] = useState(DEFAULT_PROGRAM);
+  const [showProgramSettings, setShowProgramSettings] = useState(false);
+  const [reminderSettings, setReminderSettings] = useState(DEFAULT_REMINDER_SETTINGS);
+  const [showReminderSettings, setShowReminderSettings] = useState(false);
+  // null until mounted: the server doesn't know the browser's zone
+  const [sourceTimeZone, setSourceTimeZone] = useState(null);
+  const [displayTimeZone, setDisplayTimeZone] = useState(null);
+  // tracked so printing can start from what the grid is showing
+  const [calendarView, setCalendarView] = useState("week");
+  const [calendarDate, setCalendarDate] = useState(() => new Date());
 
+  useEffect(() => {
+    setGroupScheme(loadGroupScheme());
+    setProgram(loadProgram());
+    setReminderSettings(loadReminderSettings());
+    setSourceTimeZone(loadTimeZone(SOURCE_ZONE_KEY));
+    setDisplayTimeZone(loadTimeZone(DISPLAY_ZONE_KEY));
+    // start from the user's own groups rather than every group
+    const myGroups = loadMyGroups();
+    if (myGroups.length) setFilters({ ...EMPTY_FILTERS, groups: myGroups });
+  }, []);
+
+  const handleSourceTimeZoneChange = (timeZone) => {
+    saveSetting(SOURCE_ZONE_KEY, timeZone);
+    setSourceTimeZone(timeZone);
+  };
+
+  const handleDisplayTimeZoneChange = (timeZone) => {
+    saveSetting(DISPLAY_ZONE_KEY, timeZone);
+    setDisplayTimeZone(timeZone);
+  };
 
   useEffect(() => {
-    const groupsSet = new Set(events.map((event) => event.learnerGroup));
-    let groups = Array.from(groupsSet).filter((g) => g && g !== "");
-    
-    const ungroupedIndex = groups.indexOf("Ungrouped");
-    if (ungroupedIndex > -1) {
-      groups.splice(ungroupedIndex, 1);
-    }
-    
-    groups.sort((a, b) => {
-      const regex = /([A-Za-z])\s*([1-2])/;
-      const matchA = a.match(regex);
-      const matchB = b.match(regex);
-      if (matchA && matchB) {
-        const letterA = matchA[1].toUpperCase();
-        const letterB = matchB[1].toUpperCase();
-        if (letterA === letterB) {
-          return parseInt(matchA[2], 10) - parseInt(matchB[2], 10);
-        }
-        return letterA.localeCompare(letterB);
-      }
-      return a.localeCompare(b);
-    });
-    
-    if (ungroupedIndex > -1) {
-      groups.push("Ungrouped");
-    }
-    
-    setAvailableGroups(["All Groups", ...groups]);
-  }, [events]);
+    const groups = Array.from(
+      new Set(events.map((event) => event.learnerGroup))
+    ).filter(Boolean);
+    setAvailableGroups(sortGroups(groups, groupScheme));
+  }, [events, groupScheme]);
+
+  const groupColors = useMemo(
+    () => generateGroupPalette(availableGroups),
+    [availableGroups]
+  );
 
   /**
-   * handle file upload for processing
+   * reads an uploaded file through its format adapter; workbooks with
+   * several sheets ask which ones to import first
    */
   const handleFileUpload = async (event) => {
     const file = event.target.files[0];
@@ -190,253 +224,342 @@ const MyCalendar = () => {
 
     setIsProcessing(true);
     setUploadStatus("Processing file...");
-    setEvents([]);
+    setImportReport(null);
+    setSheetResults(null);
 
     try {
-      if (
-        file.type.includes("spreadsheet") ||
-        file.name.match(/\.(xlsx|xls)$/i)
-      ) {
-        processExcelFile(file);
-      } else if (
-        file.type === "text/csv" ||
-        file.name.endsWith(".csv")
-      ) {
-        processCSVFile(file);
+      const { label, tables } = await readScheduleFile(file);
+      if (tables.length < 1) {
+        throw new Error(`Empty ${label} file`);
+      }
+      if (tables.length === 1) {
+        await importTables(file.name, label, tables);
       } else {
-        setUploadStatus("Unsupported file type");
-        setIsProcessing(false);
+        setPendingSheets({ fileName: file.name, label, sheets: tables });
+        setUploadStatus("Choose which sheets to import");
       }
     } catch (error) {
       console.error("File upload error:", error);
-      setUploadStatus("Error processing file");
+      setUploadStatus(`Error: ${error.message}`);
+    } finally {
       setIsProcessing(false);
     }
   };
 
-  const processExcelFile = (file) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: "array", cellDates: true });
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-
-        if (jsonData.length < 1) {
-          throw new Error("Empty Excel file");
-        }
+  /**
+   * adds parsed rows to the calendar according to the chosen import mode
+   */
+  const applyImportedEvents = (parsedEvents, sourceLabel, skipped = 0) => {
+    const skippedNote = skipped
+      ? ` — ${skipped} ${skipped === 1 ? "row" : "rows"} skipped, see the import report`
+      : "";
+    const imported = withEventIds(
+      parsedEvents.map((event) => ({ ...event, source: "import" }))
+    );
 
-        const headerRow = jsonData[0].map((h) => h.toString().toLowerCase());
-        const requiredHeaders = ["section date", "start time", "end time"];
-        if (!requiredHeaders.every((h) => headerRow.includes(h))) {
-          throw new Error("Missing required columns in Excel file");
-        }
+    if (importMode === "merge") {
+      const { events: merged, added, duplicates } = mergeEvents(
+        events,
+        imported
+      );
+      setEvents(merged);
+      setUploadStatus(
+        `Merged ${added} new events from ${sourceLabel} (${duplicates} duplicates skipped)${skippedNote}`
+      );
+    } else if (importMode === "update") {
+      setPendingDiff(diffEvents(events, imported));
+      setUploadStatus(`Review changes from ${sourceLabel} before applying${skippedNote}`);
+    } else {
+      setEvents(imported);
+      setUploadStatus(
+        `Loaded ${imported.length} valid events from ${sourceLabel}${skippedNote}`
+      );
+    }
+  };
 
-        const parsedEvents = jsonData.slice(1).flatMap((row, index) => {
-          try {
-            const getExcelField = (name) => {
-              const idx = headerRow.indexOf(name.toLowerCase());
-              return idx >= 0 ? row[idx] : "";
-            };
-
-            const courseName = getExcelField("Course Name");
-            const sessionType = getExcelField("Session Type");
-            const sessionName = getExcelField("Session Name");
-            const sectionName =
-              getExcelField("Section Name") || getExcelField("Section");
-            const sectionDateRaw = getExcelField("Section Date");
-            const sectionDate =
-              sectionDateRaw instanceof Date
-                ? moment(sectionDateRaw).format("YYYYMMDD")
-                : sectionDateRaw.toString().trim();
-
-            const startTime = getExcelField("Start Time");
-            const endTime = getExcelField("End Time");
-            const learnerGroupField = getExcelField("Learner Group");
-            const learnerGroup = deriveLearnerGroup(
-              learnerGroupField,
-              sessionName,
-              sectionName
-            );
-
-            if (!sectionDate || typeof sectionDate !== "string") {
-              console.warn(`Skipping row ${index + 1}: Missing section date`);
-              return [];
-            }
-            if (
-              sectionDate.match(/[a-zA-Z]/) &&
-              !moment(sectionDate, "YYYYMMDD", true).isValid()
-            ) {
-              console.warn(
-                `Skipping row ${index + 1}: Invalid date format "${sectionDate}"`
-              );
-              return [];
-            }
+  const handleApplyDiff = () => {
+    const { added, removed, moved } = pendingDiff;
+    setEvents(applyEventDiff(events, pendingDiff));
+    setUploadStatus(
+      `Updated schedule: ${added.length} added, ${moved.length} moved, ${removed.length} removed`
+    );
+    setPendingDiff(null);
+  };
 
-            let start = parseDateTime(sectionDate, startTime);
-            let end = parseDateTime(sectionDate, endTime);
-            if (!start || !end) {
-              console.warn(`Skipping row ${index + 1}: Invalid date/time`);
-              return [];
-            }
-            if (start >= end) {
-              const adjustedEnd = moment(end).add(1, "days").toDate();
-              if (start < adjustedEnd) {
-                end = adjustedEnd;
-              } else {
-                console.warn(
-                  `Skipping row ${index + 1}: End time is before start time even after adjustment`
-                );
-                return [];
-              }
-            }
+  const finishImport = (parsedEvents, rejected, sourceLabel) => {
+    setImportReport(
+      rejected.length ? { sourceLabel, rejected, revision: Date.now() } : null
+    );
+    applyImportedEvents(parsedEvents, sourceLabel, rejected.length);
+  };
 
-            return {
-              title: sessionName || "Untitled Session",
-              start: new Date(start),
-              end: new Date(end),
-              desc: [courseName, sessionType, sectionName].filter(Boolean).join(" - "),
-              location: getExcelField("Location") || "Unknown Location",
-              learnerGroup: learnerGroup,
-            };
-          } catch (e) {
-            console.warn(`Skipping row ${index + 1}:`, e);
-            return [];
-          }
-        }).filter(
-          (event) =>
-            event.start instanceof Date && event.end instanceof Date
+  /**
+   * re-parses corrected rows from the import report; rows that now parse
+   * are added to the calendar, the rest stay in the report
+   */
+  const handleResubmitRows = (rows) => {
+    const fixed = [];
+    const stillRejected = [];
+    rows.forEach((row) => {
+      const { event, error } = parseScheduleRow(
+        valuesReader(row.values),
+        groupScheme,
+        sourceTimeZone
+      );
+      if (event) {
+        fixed.push(row.sheet ? { ...event, sourceSheet: row.sheet } : event);
+      } else {
+        stillRejected.push(
+          createRejection(row.rowNumber, row.values, error, row.sheet)
         );
+      }
+    });
 
-        setEvents(parsedEvents);
-        setUploadStatus(`Loaded ${parsedEvents.length} valid events from Excel`);
+    const imported = withEventIds(
+      fixed.map((event) => ({ ...event, source: "import" }))
+    );
+    const { events: merged, added } = mergeEvents(events, imported);
+    setEvents(merged);
+    setImportReport(
+      stillRejected.length
+        ? { ...importReport, rejected: stillRejected, revision: Date.now() }
+        : null
+    );
+    setUploadStatus(
+      `Added ${added} corrected rows from ${importReport.sourceLabel}` +
+        (stillRejected.length ? ` — ${stillRejected.length} still need fixing` : "")
+    );
+  };
+
+  /**
+   * picks the column mapping for a spreadsheet: a saved profile for this
+   * layout, the standard headers as-is, or the user's choice in the wizard.
+   * resolves to { mapping }, or null if the user cancels
+   */
+  const resolveColumnMapping = ({ fileName, headers, previewRows }) =>
+    new Promise((resolve) => {
+      const profile = findMappingProfile(headers);
+      if (profile) {
+        resolve({ mapping: mappingFromProfile(profile, headers) });
+        return;
+      }
+      if (isStandardLayout(headers)) {
+        resolve({ mapping: null });
+        return;
+      }
+      setPendingMapping({
+        fileName,
+        headers,
+        previewRows,
+        suggestion: suggestMapping(headers, previewRows),
+        resolve,
+      });
+      setUploadStatus(`Match the columns of ${fileName} to continue`);
+    });
+
+  const handleConfirmMapping = (mapping, profileName) => {
+    const { headers, resolve } = pendingMapping;
+    if (profileName) saveMappingProfile(profileName, headers, mapping);
+    setPendingMapping(null);
+    resolve({ mapping });
+  };
+
+  const handleCancelMapping = () => {
+    pendingMapping.resolve(null);
+    setPendingMapping(null);
+  };
+
+  /**
+   * maps and validates the chosen tables one by one. each sheet has its
+   * own header row and mapping, and gets its own line in the per-sheet
+   * results
+   */
+  const importTables = async (fileName, label, tables) => {
+    const tagSheets = tables.length > 1;
+    const parsedEvents = [];
+    const rejected = [];
+    const results = [];
+    for (const table of tables) {
+      const { name, headers, rows } = table;
+      const choice = await resolveColumnMapping({
+        fileName: tagSheets ? `${fileName} › ${name}` : fileName,
+        headers,
+        previewRows: rows,
+      });
+      if (!choice) {
+        results.push({ sheet: name, cancelled: true, error: "Columns not matched" });
+        continue;
+      }
+      try {
+        const parsed = await normalizeScheduleTable(table, {
+          mapping: choice.mapping,
+          scheme: groupScheme,
+          timeZone: sourceTimeZone,
+        });
+        parsedEvents.push(...parsed.events);
+        rejected.push(...parsed.rejected);
+        results.push({
+          sheet: name,
+          imported: parsed.events.length,
+          skipped: parsed.rejected.length,
+          error: parsed.events.length || parsed.rejected.length ? null : "No rows",
+        });
       } catch (error) {
-        console.error("Excel processing error:", error);
-        setUploadStatus("Error: Invalid Excel file structure");
-      } finally {
-        setIsProcessing(false);
+        console.error(`Could not import ${name || fileName}:`, error);
+        if (!tagSheets) {
+          setUploadStatus(`Error: ${error.message}`);
+          return;
+        }
+        results.push({ sheet: name, error: error.message });
       }
-    };
-    reader.readAsArrayBuffer(file);
+    }
+
+    setSheetResults(tagSheets ? results : null);
+    if (results.every((result) => result.cancelled)) {
+      setUploadStatus("Import cancelled");
+      return;
+    }
+    finishImport(parsedEvents, rejected, label);
   };
-  
-  const processCSVFile = (file) => {
-    Papa.parse(file, {
-      header: true,
-      dynamicTyping: false,
-      skipEmptyLines: true,
-      complete: (results) => {
-        const parsedEvents = results.data.flatMap((row, index) => {
-          try {
-            const getField = (name) =>
-              row[
-                Object.keys(row).find(
-                  (key) => key.toLowerCase() === name.toLowerCase()
-                )
-              ] || "";
-
-            const sectionDate = getField("Section Date");
-            const startTime = getField("Start Time");
-            const endTime = getField("End Time");
-            const sessionName = getField("Session Name");
-            const sectionName =
-              getField("Section Name") || getField("Section");
-            const learnerGroupField = getField("Learner Group");
-            const learnerGroup = deriveLearnerGroup(
-              learnerGroupField,
-              sessionName,
-              sectionName
-            );
-
-            if (!sectionDate || typeof sectionDate !== "string") {
-              console.warn(`Skipping row ${index + 1}: Missing section date`);
-              return [];
-            }
-            if (
-              sectionDate.match(/[a-zA-Z]/) &&
-              !moment(sectionDate, "YYYYMMDD", true).isValid()
-            ) {
-              console.warn(
-                `Skipping row ${index + 1}: Invalid date format "${sectionDate}"`
-              );
-              return [];
-            }
 
-            let start = parseDateTime(sectionDate, startTime);
-            let end = parseDateTime(sectionDate, endTime);
-            if (!start || !end) return [];
-            if (start >= end) {
-              const adjustedEnd = moment(end).add(1, "days").toDate();
-              if (start < adjustedEnd) {
-                end = adjustedEnd;
-              } else {
-                console.warn(
-                  `Skipping row ${index + 1}: End time is before start time even after adjustment`
-                );
-                return [];
-              }
-            }
+  const handleConfirmSheets = async (sheets) => {
+    const { fileName, label } = pendingSheets;
+    setPendingSheets(null);
+    setIsProcessing(true);
+    try {
+      await importTables(fileName, label, sheets);
+    } catch (error) {
+      console.error("File upload error:", error);
+      setUploadStatus(`Error: ${error.message}`);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
 
-            return {
-              title: sessionName || "Untitled Session",
-              start: new Date(start),
-              end: new Date(end),
-              desc: [
-                getField("Course Name"),
-                getField("Session Type"),
-                getField("Section Name"),
-              ]
-                .filter(Boolean)
-                .join(" - "),
-              location: getField("Location") || "Unknown Location",
-              learnerGroup: learnerGroup,
-            };
-          } catch (e) {
-            console.warn(`Skipping row ${index + 1}:`, e);
-            return [];
-          }
-        }).filter(
-          (event) =>
-            event.start instanceof Date && event.end instanceof Date
-        );
+  const availableSheets = Array.from(
+    new Set(events.map((event) => event.sourceSheet).filter(Boolean))
+  );
+  // the picker only shows for several sheets, so a sheet left over from a
+  // replaced import or another schedule would hide everything for good
+  const staleSheet =
+    selectedSheet !== "All Sheets" &&
+    (availableSheets.length < 2 || !availableSheets.includes(selectedSheet));
 
-        setEvents(parsedEvents);
-        setUploadStatus(`Loaded ${parsedEvents.length} valid events from CSV`);
-        setIsProcessing(false);
-      },
-      error: (error) => {
-        console.error("CSV parsing error:", error);
-        setUploadStatus("Error processing CSV file");
-        setIsProcessing(false);
-      },
-    });
+  useEffect(() => {
+    if (staleSheet) setSelectedSheet("All Sheets");
+  }, [staleSheet]);
+
+  const eventCategories = Array.from(
+    new Set(events.map((event) => event.category).filter(Boolean))
+  );
+
+  const conflicts = useMemo(() => findConflicts(events), [events]);
+  const conflictIds = useMemo(() => conflictingIds(conflicts), [conflicts]);
+
+  const filteredEvents = useMemo(
+    () =>
+      events.filter(
+        (event) =>
+          matchesFilters(event, filters) &&
+          (selectedSheet === "All Sheets" || event.sourceSheet === selectedSheet)
+      ),
+    [events, filters, selectedSheet]
+  );
+  const visibleGroups = new Set(filteredEvents.map((event) => event.learnerGroup));
+
+  const displayEvents = useMemo(
+    () => filteredEvents.map((event) => toDisplayEvent(event, displayTimeZone)),
+    [filteredEvents, displayTimeZone]
+  );
+  // the free-time finder looks at every group, whatever the filters
+  const allDisplayEvents = useMemo(
+    () => events.map((event) => toDisplayEvent(event, displayTimeZone)),
+    [events, displayTimeZone]
+  );
+
+  const storedEventFor = (displayEvent) =>
+    events.find((event) => event.id === displayEvent.id) || displayEvent;
+
+  const { permission, requestPermission, sendTest } = useReminders(
+    events,
+    reminderSettings,
+    displayTimeZone,
+    (eventId) => {
+      const event = events.find((item) => item.id === eventId);
+      if (event) setSelectedEvent(event);
+    }
+  );
+
+  const handleSaveReminderSettings = (settings) => {
+    saveReminderSettings(settings);
+    setReminderSettings(settings);
+  };
+
+  const handleSaveProgram = (next) => {
+    saveProgram(next);
+    setProgram(next);
+  };
+
+  const handleSaveGroupScheme = (scheme) => {
+    saveGroupScheme(scheme);
+    setGroupScheme(scheme);
+  };
+
+  /**
+   * re-derives the groups of imported events under a new scheme; groups
+   * picked by hand on manual events are left alone
+   */
+  const handleReapplyGroupScheme = (scheme) => {
+    setEvents(
+      events.map((event) =>
+        event.source === "import"
+          ? {
+              ...event,
+              learnerGroup: deriveLearnerGroup(
+                event.learnerGroup,
+                event.title,
+                getSectionName(event),
+                scheme
+              ),
+            }
+          : event
+      )
+    );
   };
 
-  const groupColors = {
-    A1: "#f87171",
-    A2: "#fb923c",
-    B1: "#facc15",
-    B2: "#a3e635",
-    C1: "#34d399",
-    C2: "#2dd4bf",
-    D1: "#60a5fa",
-    D2: "#818cf8",
-    E1: "#a78bfa",
-    E2: "#f472b6",
-    F1: "#ec4899",
-    F2: "#f472b6",
-    G1: "#d97706",
-    G2: "#f59e0b",
-    H1: "#10b981",
-    H2: "#06b6d4",
+  /**
+   * merges sessions parsed from a PDF syllabus into the current events.
+   * the parser reads times as local; they're re-read in the schedule's zone
+   */
+  const handleImportPdfEvents = (pdfEvents) => {
+    const imported = withEventIds(
+      pdfEvents.map((event) => ({
+        ...event,
+        ...(!event.allDay && {
+          start: fromDisplayDate(event.start, sourceTimeZone),
+          end: fromDisplayDate(event.end, sourceTimeZone),
+          timeZone: sourceTimeZone,
+        }),
+        source: "import",
+        learnerGroup: deriveLearnerGroup(
+          event.learnerGroup,
+          event.title,
+          "",
+          groupScheme
+        ),
+      }))
+    );
+    const { events: merged, added, duplicates } = mergeEvents(events, imported);
+    setEvents(merged);
+    setUploadStatus(
+      `Added ${added} events from PDF (${duplicates} duplicates skipped)`
+    );
   };
 
   const handleSelectSlot = (slotInfo) => {
     setSelectedSlot({
-      start: slotInfo.start,
-      end: slotInfo.end,
+      start: fromDisplayDate(slotInfo.start, displayTimeZone),
+      end: fromDisplayDate(slotInfo.end, displayTimeZone),
     });
   };
 
@@ -447,46 +570,169 @@ const MyCalendar = () => {
       end = moment(start).endOf("day");
     }
     setSelectedSlot({
-      start: start.toDate(),
-      end: end.toDate(),
+      start: fromDisplayDate(start.toDate(), displayTimeZone),
+      end: fromDisplayDate(end.toDate(), displayTimeZone),
     });
   };
 
+  /**
+   * conflicts caused by an edit: only events that are new or whose time,
+   * group or room changed are checked, so existing clashes don't nag
+   */
+  const conflictsCausedBy = (nextEvents) => {
+    const before = new Map(events.map((event) => [event.id, event]));
+    return nextEvents
+      .filter((event) => {
+        const old = before.get(event.id);
+        return (
+          !old ||
+          old.start.getTime() !== event.start.getTime() ||
+          old.end.getTime() !== event.end.getTime() ||
+          old.learnerGroup !== event.learnerGroup ||
+          old.location !== event.location
+        );
+      })
+      .flatMap((event) => conflictsForEvent(event, nextEvents));
+  };
+
   const handleAddEvent = (newEvent) => {
-    if (newEvent.end <= newEvent.start) {
-      alert("End time must be after start time!");
-      return;
-    }
-    setEvents([...events, newEvent]);
+    const { recurrence, ...fields } = newEvent;
+    const event = {
+      ...fields,
+      id: createEventId(),
+      source: "manual",
+      // all-day events are local midnights, whatever the display zone
+      timeZone: fields.allDay ? getLocalTimeZone() : displayTimeZone || getLocalTimeZone(),
+    };
+    const added = recurrence
+      ? createSeries(event, recurrence, { firstId: event.id })
+      : [event];
+    const nextEvents = [...events, ...added];
+    if (!confirmConflicts(conflictsCausedBy(nextEvents), displayTimeZone)) return;
+    setEvents(nextEvents);
     setSelectedSlot(null);
   };
 
-  const handleUpdateEvent = (updatedEvent) => {
-    setEvents(
-      events.map((evt) => (evt === selectedEvent ? updatedEvent : evt))
+  /**
+   * applies changes to an existing event; fields not in changes (group,
+   * location, ...) carry over. returns false if the user backs out
+   */
+  const saveEventChanges = (target, changes, scope) => {
+    const nextEvents = updateSeriesEvent(
+      events,
+      target,
+      {
+        ...changes,
+        ...(changes.allDay && { timeZone: getLocalTimeZone() }),
+        id: target.id,
+        source: target.source,
+      },
+      scope
     );
-    setSelectedEvent(null);
+    if (!confirmConflicts(conflictsCausedBy(nextEvents), displayTimeZone)) return false;
+    setEvents(nextEvents);
+    return true;
+  };
+
+  const handleUpdateEvent = (updatedEvent, scope = "this") => {
+    if (saveEventChanges(selectedEvent, updatedEvent, scope)) {
+      setSelectedEvent(null);
+    }
   };
 
-  const handleDeleteEvent = (eventToDelete) => {
-    setEvents(events.filter((evt) => evt !== eventToDelete));
+  /**
+   * drag to move or drag an edge to resize; a dragged occurrence of a
+   * series is changed on its own. the grid hands back display-zone times,
+   * except for all-day events, which are local midnights in any zone
+   */
+  const handleEventTimeChange = ({ event, start, end, isAllDay }) => {
+    // deadlines only move; they have no length to resize
+    const deadline = isDeadline(event) && !event.allDay;
+    if (!deadline && !confirmEventTimes(new Date(start), new Date(end))) return;
+    const allDay = isAllDay ?? Boolean(event.allDay);
+    const toStored = (date) => (allDay ? date : fromDisplayDate(date, displayTimeZone));
+    const changes = {
+      start: toStored(new Date(start)),
+      end: toStored(new Date(deadline ? start : end)),
+    };
+    if (isAllDay !== undefined && Boolean(event.allDay) !== isAllDay) {
+      changes.allDay = isAllDay;
+    }
+    saveEventChanges(storedEventFor(event), changes, "this");
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
+
+  const handleDeleteEvent = (eventToDelete, scope = "this") => {
+    setEvents(
+      eventToDelete.seriesId
+        ? deleteSeriesEvent(events, eventToDelete, scope)
+        : events.filter((evt) => evt.id !== eventToDelete.id)
+    );
     setSelectedEvent(null);
   };
 
   return (
     <div className="p-4">
-   
+      <SchedulePanel
+        events={events}
+        onLoadEvents={(loaded) => resetEvents(withEventIds(loaded))}
+        onCurrentChange={setCurrentSchedule}
+        disabled={isProcessing}
+      />
+
       <div className="mb-4">
         <label className="block text-sm font-medium mb-2">
-          Upload Schedule (Excel/CSV)
+          Upload Schedule ({formatLabels().join("/")})
         </label>
         <input
           type="file"
-          accept=".xlsx,.xls,.csv"
+          accept={acceptedFileTypes()}
           onChange={handleFileUpload}
           className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
           disabled={isProcessing}
         />
+        <TimeZoneSelect
+          label="Schedule times are in"
+          value={sourceTimeZone}
+          onChange={handleSourceTimeZoneChange}
+          disabled={isProcessing}
+          className="mt-2"
+        />
+        <div className="flex flex-wrap gap-4 mt-2 text-sm">
+          {IMPORT_MODES.map((mode) => (
+            <label key={mode.value} className="flex items-center gap-1">
+              <input
+                type="radio"
+                name="importMode"
+                value={mode.value}
+                checked={importMode === mode.value}
+                onChange={() => setImportMode(mode.value)}
+                disabled={isProcessing}
+              />
+              {mode.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="mb-4">
+        <PDFUploader onImportEvents={handleImportPdfEvents} />
       </div>
 
       {isProcessing && (
@@ -497,24 +743,84 @@ const MyCalendar = () => {
       {uploadStatus && !isProcessing && (
         <div className="mt-4 p-4 bg-blue-50 text-blue-700 rounded">
           {uploadStatus} (Total events: {events.length})
+          {sheetResults && (
+            <ul className="mt-2 text-sm list-disc list-inside">
+              {sheetResults.map((result) => (
+                <li
+                  key={result.sheet}
+                  className={result.error ? "text-amber-700" : undefined}
+                >
+                  {result.sheet}:{" "}
+                  {result.error
+                    ? `skipped (${result.error})`
+                    : `${result.imported} events` +
+                      (result.skipped ? `, ${result.skipped} rows skipped` : "")}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       )}
 
-      <div className="mb-4">
-        <label className="block text-sm font-medium mb-2">Filter by Group:</label>
-        <select
-          value={selectedGroup}
-          onChange={(e) => setSelectedGroup(e.target.value)}
-          className="w-full p-2 border rounded"
-          disabled={isProcessing}
-        >
-          {availableGroups.map((group) => (
-            <option key={group} value={group}>
-              {group}
-            </option>
-          ))}
-        </select>
-      </div>
+      {importReport && (
+        <div className="mt-4">
+          <ImportReport
+            key={importReport.revision}
+            report={importReport}
+            onResubmit={handleResubmitRows}
+            onDismiss={() => setImportReport(null)}
+          />
+        </div>
+      )}
+
+      <FilterPanel
+        filters={filters}
+        options={filterOptions(events, availableGroups)}
+        onChange={setFilters}
+        disabled={isProcessing}
+      />
+      <button
+        onClick={() => setShowGroupSettings(true)}
+        className="mb-4 text-sm text-blue-700 hover:underline"
+      >
+        Learner group settings
+      </button>
+
+      {availableSheets.length > 1 && (
+        <div className="mb-4">
+          <label className="block text-sm font-medium mb-2">Filter by Sheet:</label>
+          <select
+            value={selectedSheet}
+            onChange={(e) => setSelectedSheet(e.target.value)}
+            className="w-full p-2 border rounded"
+            disabled={isProcessing}
+          >
+            {["All Sheets", ...availableSheets].map((sheet) => (
+              <option key={sheet} value={sheet}>
+                {sheet}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <CalendarExport
+        events={filteredEvents}
+        selectedGroups={filters.groups}
+        schedule={currentSchedule}
+      />
+
+      <SpreadsheetExport
+        events={events}
+        selectedGroups={filters.groups}
+        schedule={currentSchedule}
+      />
+
+      <ConflictsPanel
+        conflicts={conflicts}
+        timeZone={displayTimeZone}
+        onSelectEvent={(event) => setSelectedEvent(event)}
+      />
 
       <div className="flex gap-4 mb-4">
         <button
@@ -533,37 +839,164 @@ const MyCalendar = () => {
         >
           Agenda View
         </button>
+        <button
+          onClick={() => setView("progress")}
+          className={`px-4 py-2 rounded ${
+            view === "progress" ? "bg-blue-500 text-white" : "bg-gray-200"
+          }`}
+        >
+          Degree Progress
+        </button>
+        <button
+          onClick={() => setView("analytics")}
+          className={`px-4 py-2 rounded ${
+            view === "analytics" ? "bg-blue-500 text-white" : "bg-gray-200"
+          }`}
+        >
+          Analytics
+        </button>
+        <button
+          onClick={() => setView("free-time")}
+          className={`px-4 py-2 rounded ${
+            view === "free-time" ? "bg-blue-500 text-white" : "bg-gray-200"
+          }`}
+        >
+          Free Time
+        </button>
+        <TimeZoneSelect
+          label="Show times in"
+          value={displayTimeZone}
+          onChange={handleDisplayTimeZoneChange}
+        />
+        <div className="ml-auto flex gap-2">
+          <ShareSchedule
+            schedule={currentSchedule}
+            selectedGroups={filters.groups}
+            groupColors={groupColors}
+          />
+          <PrintExport
+            events={displayEvents}
+            groupColors={groupColors}
+            selectedGroups={filters.groups}
+            scheduleName={currentSchedule?.name}
+            view={view === "agenda" ? "agenda" : calendarView}
+            date={calendarDate}
+            timeZone={displayTimeZone}
+          />
+          <button
+            onClick={undo}
+            disabled={!canUndo}
+            title="Undo (Ctrl+Z)"
+            className="px-4 py-2 rounded bg-gray-200 disabled:opacity-50"
+          >
+            Undo
+          </button>
+          <button
+            onClick={redo}
+            disabled={!canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+            className="px-4 py-2 rounded bg-gray-200 disabled:opacity-50"
+          >
+            Redo
+          </button>
+        </div>
       </div>
 
-      {view === "calendar" && (
-        <div style={{ height: "70vh" }}>
-          <Calendar
-            localizer={localizer}
-            events={filteredEvents}
-            startAccessor="start"
-            endAccessor="end"
-            selectable
-            onSelectSlot={handleSelectSlot}
-            onSelectEvent={(event) => setSelectedEvent(event)}
-            onDoubleClickEvent={handleDateDoubleClick}
-            defaultView="week"
-            views={["month", "week", "day"]}
-            eventPropGetter={(event) => {
-              const backgroundColor =
-                groupColors[event.learnerGroup] || "#3b82f6";
-              return {
-                style: {
-                  backgroundColor,
-                  borderRadius: "4px",
-                  border: "none",
-                  color: "white",
-                },
-              };
-            }}
+      <GroupLegend
+        groups={availableGroups.filter((group) => visibleGroups.has(group))}
+        groupColors={groupColors}
+      />
+
+      {(view === "calendar" || view === "agenda") && (
+        <div className="flex flex-col lg:flex-row gap-4">
+          <div className="flex-1 min-w-0">
+            {view === "calendar" && (
+              <div style={{ height: "70vh" }}>
+                <DragAndDropCalendar
+                  localizer={localizer}
+                  events={displayEvents}
+                  getNow={() => toDisplayDate(new Date(), displayTimeZone)}
+                  startAccessor="start"
+                  endAccessor="end"
+                  selectable
+                  onSelectSlot={handleSelectSlot}
+                  onSelectEvent={(event) => setSelectedEvent(storedEventFor(event))}
+                  onDoubleClickEvent={handleDateDoubleClick}
+                  onEventDrop={handleEventTimeChange}
+                  onEventResize={handleEventTimeChange}
+                  resizable
+                  view={calendarView}
+                  onView={setCalendarView}
+                  date={calendarDate}
+                  onNavigate={setCalendarDate}
+                  views={["month", "week", "day"]}
+                  components={{ event: CalendarEvent }}
+                  eventPropGetter={(event) => {
+                    const backgroundColor =
+                      groupColors[event.learnerGroup] || "#3b82f6";
+                    const hasConflict = conflictIds.has(event.id);
+                    return {
+                      style: {
+                        backgroundColor,
+                        borderRadius: "4px",
+                        border: hasConflict ? "2px solid #dc2626" : "none",
+                        boxShadow: hasConflict ? "0 0 0 2px #fecaca" : undefined,
+                        color: "white",
+                      },
+                    };
+                  }}
+                />
+              </div>
+            )}
+
+            {view === "agenda" && (
+              <AgendaView
+                events={displayEvents}
+                now={toDisplayDate(new Date(), displayTimeZone)}
+                groupColors={groupColors}
+                onSelectEvent={(event) => setSelectedEvent(storedEventFor(event))}
+              />
+            )}
+          </div>
+          <UpcomingDeadlines
+            events={displayEvents}
+            now={toDisplayDate(new Date(), displayTimeZone)}
+            groupColors={groupColors}
+            onSelectEvent={(event) => setSelectedEvent(storedEventFor(event))}
+            onOpenSettings={() => setShowReminderSettings(true)}
           />
         </div>
       )}
 
+      {view === "progress" && (
+        <DegreeProgress
+          program={program}
+          events={events}
+          onChange={handleSaveProgram}
+          onEdit={() => setShowProgramSettings(true)}
+        />
+      )}
+
+      {view === "analytics" && (
+        <WorkloadAnalytics
+          events={displayEvents}
+          groupColors={groupColors}
+          scheduleName={currentSchedule?.name}
+          selectedGroups={filters.groups}
+        />
+      )}
+
+      {view === "free-time" && (
+        <FreeSlotFinder
+          events={allDisplayEvents}
+          groups={availableGroups.filter((group) => group !== UNGROUPED)}
+          initialGroups={filters.groups.filter((group) => group !== UNGROUPED)}
+          groupColors={groupColors}
+          now={toDisplayDate(new Date(), displayTimeZone)}
+          onSelectSlot={handleSelectSlot}
+        />
+      )}
+
       {process.env.NODE_ENV === "development" && (
         <div className="mt-8 p-4 bg-gray-100 rounded">
           <h3 className="font-bold mb-4">Debug Information</h3>
@@ -585,95 +1018,85 @@ const MyCalendar = () => {
         </div>
       )}
 
+      {pendingMapping && (
+        <ColumnMappingWizard
+          fileName={pendingMapping.fileName}
+          headers={pendingMapping.headers}
+          rows={pendingMapping.previewRows}
+          suggestion={pendingMapping.suggestion}
+          onConfirm={handleConfirmMapping}
+          onCancel={handleCancelMapping}
+        />
+      )}
+
+      {showGroupSettings && (
+        <GroupSchemeSettings
+          scheme={groupScheme}
+          onSave={handleSaveGroupScheme}
+          onReapply={handleReapplyGroupScheme}
+          onClose={() => setShowGroupSettings(false)}
+        />
+      )}
+
+      {showReminderSettings && (
+        <ReminderSettings
+          settings={reminderSettings}
+          categories={Array.from(new Set([...DEFAULT_CATEGORIES, ...eventCategories]))}
+          permission={permission}
+          onRequestPermission={requestPermission}
+          onTest={sendTest}
+          onSave={handleSaveReminderSettings}
+          onClose={() => setShowReminderSettings(false)}
+        />
+      )}
+
+      {showProgramSettings && (
+        <ProgramSettings
+          program={program}
+          onSave={handleSaveProgram}
+          onClose={() => setShowProgramSettings(false)}
+        />
+      )}
+
+      {pendingSheets && (
+        <SheetPicker
+          fileName={pendingSheets.fileName}
+          sheets={pendingSheets.sheets}
+          onConfirm={handleConfirmSheets}
+          onCancel={() => {
+            setPendingSheets(null);
+            setUploadStatus("Import cancelled");
+          }}
+        />
+      )}
+
+      {pendingDiff && (
+        <ImportDiffPreview
+          diff={pendingDiff}
+          onApply={handleApplyDiff}
+          onCancel={() => {
+            setPendingDiff(null);
+            setUploadStatus("Update cancelled");
+          }}
+        />
+      )}
+
       {(selectedSlot || selectedEvent) && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
-          <div className="bg-white p-6 rounded-lg w-96">
-            <h2 className="text-xl font-bold mb-4">
-              {selectedSlot ? "Add Event" : "Edit Event"}
-            </h2>
-            <form
-              onSubmit={(e) => {
-                e.preventDefault();
-                const formData = new FormData(e.target);
-                const start = new Date(formData.get("start"));
-                const end = new Date(formData.get("end"));
-                if (moment(start).date() !== moment(end).date()) {
-                  if (!confirm("⚠️ This event spans multiple days. Continue?"))
-                    return;
-                }
-                const newEvent = {
-                  title: formData.get("title"),
-                  start,
-                  end,
-                };
-                if (newEvent.end <= newEvent.start) {
-                  alert("End time must be after start time!");
-                  return;
-                }
-                selectedSlot
-                  ? handleAddEvent(newEvent)
-                  : handleUpdateEvent(newEvent);
-              }}
-            >
-              <input
-                type="text"
-                name="title"
-                defaultValue={selectedEvent?.title || ""}
-                placeholder="Event Title"
-                className="w-full p-2 border rounded mb-4"
-                required
-              />
-              <div className="grid grid-cols-2 gap-4 mb-4">
-                <div>
-                  <label className="block text-sm mb-1">Start Time</label>
-                  <input
-                    type="datetime-local"
-                    name="start"
-                    defaultValue={
-                      selectedSlot
-                        ? moment(selectedSlot.start).format("YYYY-MM-DDTHH:mm")
-                        : moment(selectedEvent?.start).format("YYYY-MM-DDTHH:mm")
-                    }
-                    className="w-full p-2 border rounded"
-                    required
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm mb-1">End Time</label>
-                  <input
-                    type="datetime-local"
-                    name="end"
-                    defaultValue={
-                      selectedSlot
-                        ? moment(selectedSlot.end).format("YYYY-MM-DDTHH:mm")
-                        : moment(selectedEvent?.end).format("YYYY-MM-DDTHH:mm")
-                    }
-                    className="w-full p-2 border rounded"
-                    required
-                  />
-                </div>
-              </div>
-              <div className="flex gap-2">
-                <button
-                  type="submit"
-                  className="flex-1 bg-blue-500 text-white p-2 rounded hover:bg-blue-600"
-                >
-                  {selectedSlot ? "Create Event" : "Save Changes"}
-                </button>
-                <button
-                  type="button"
-                  onClick={() => {
-                    setSelectedSlot(null);
-                    setSelectedEvent(null);
-                  }}
-                  className="flex-1 bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
-                >
-                  Cancel
-                </button>
-              </div>
-            </form>
-          </div>
-        </div>
+        <EventEditor
+          slot={selectedSlot}
+          event={selectedSlot ? null : selectedEvent}
+          groups={availableGroups}
+          categories={eventCategories}
+          timeZone={displayTimeZone}
+          onSave={(newEvent, scope) =>
+            selectedSlot ? handleAddEvent(newEvent) : handleUpdateEvent(newEvent, scope)
+          }
+          onDelete={handleDeleteEvent}
+          onCancel={() => {
+            setSelectedSlot(null);
+            setSelectedEvent(null);
+          }}
+        />
       )}
     </div>
   );
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { buildCalendar } from "../lib/ics";
+import { downloadFile, toFileSlug } from "../lib/download";
+
+/**
+ * .ics download of the filtered events, plus a subscribe link for the
+ * saved schedule so calendar apps keep picking up changes.
+ * an empty selectedGroups means every group
+ */
+const CalendarExport = ({ events, selectedGroups, schedule }) => {
+  const [copied, setCopied] = useState(false);
+  const allGroups = selectedGroups.length === 0;
+  const calendarName = [schedule?.name || "Schedule", !allGroups && selectedGroups.join(", ")]
+    .filter(Boolean)
+    .join(" - ");
+
+  const handleDownload = () => {
+    downloadFile(
+      buildCalendar(events, { name: calendarName }),
+      `${toFileSlug(calendarName)}.ics`,
+      "text/calendar;charset=utf-8"
+    );
+  };
+
+  const feedQuery = schedule
+    ? new URLSearchParams([
+        ["schedule", schedule.id],
+        ...selectedGroups.map((group) => ["group", group]),
+      ])
+    : null;
+  const feedUrl =
+    schedule && typeof window !== "undefined"
+      ? `${window.location.origin}/api/calendar/${toFileSlug(calendarName)}.ics?${feedQuery}`
+      : "";
+  const webcalUrl = feedUrl.replace(/^https?:/, "webcal:");
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(webcalUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.warn("Clipboard unavailable:", error);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={handleDownload}
+          disabled={events.length === 0}
+          className="px-4 py-2 rounded bg-gray-200 disabled:opacity-50"
+        >
+          Export .ics ({events.length} events)
+        </button>
+        {schedule ? (
+          <>
+            <a href={webcalUrl} className="px-4 py-2 rounded bg-gray-200">
+              Subscribe
+            </a>
+            <button onClick={handleCopy} className="px-4 py-2 rounded bg-gray-200">
+              {copied ? "Copied!" : "Copy feed URL"}
+            </button>
+          </>
+        ) : (
+          <span className="text-sm text-gray-600">
+            Save the schedule to get a subscribable calendar feed.
+          </span>
+        )}
+      </div>
+      {schedule && (
+        <input
+          readOnly
+          value={feedUrl}
+          onFocus={(e) => e.target.select()}
+          className="mt-2 w-full p-2 border rounded text-xs text-gray-600"
+        />
+      )}
+    </div>
+  );
+};
+
+export default CalendarExport;
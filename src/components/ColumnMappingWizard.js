@@ -0,0 +1,213 @@
+import React, { useState } from "react";
+import moment from "moment";
+import {
+  MAPPABLE_FIELDS,
+  deleteMappingProfile,
+  loadMappingProfiles,
+  mappingFromProfile,
+  missingRequiredFields,
+} from "../lib/columnMapping";
+
+const PREVIEW_ROWS = 5;
+
+const formatCell = (value) => {
+  if (value instanceof Date) return moment(value).format("YYYY-MM-DD HH:mm");
+  return value === undefined || value === null ? "" : value.toString();
+};
+
+/**
+ * lets the user assign file columns to event fields before importing,
+ * starting from the auto-suggested mapping, and save it as a profile
+ */
+const ColumnMappingWizard = ({
+  fileName,
+  headers,
+  rows,
+  suggestion,
+  onConfirm,
+  onCancel,
+}) => {
+  const [mapping, setMapping] = useState(suggestion.mapping);
+  const [profiles, setProfiles] = useState(loadMappingProfiles);
+  const [saveProfile, setSaveProfile] = useState(false);
+  const [profileName, setProfileName] = useState("");
+
+  const missing = missingRequiredFields(mapping);
+  const fieldByHeader = Object.fromEntries(
+    Object.entries(mapping)
+      .filter(([, header]) => header)
+      .map(([field, header]) => [header, field])
+  );
+
+  const handleChange = (field, header) => {
+    setMapping((current) => {
+      const next = { ...current };
+      // a column can only feed one field
+      Object.keys(next).forEach((key) => {
+        if (header && next[key] === header) next[key] = null;
+      });
+      next[field] = header || null;
+      return next;
+    });
+  };
+
+  const handleApplyProfile = (name) => {
+    const profile = profiles.find((item) => item.name === name);
+    if (profile) setMapping(mappingFromProfile(profile, headers));
+  };
+
+  const handleDeleteProfile = (name) => {
+    if (!confirm(`Delete mapping profile "${name}"?`)) return;
+    deleteMappingProfile(name);
+    setProfiles(loadMappingProfiles());
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (missing.length) return;
+    onConfirm(mapping, saveProfile && profileName.trim() ? profileName.trim() : null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white p-6 rounded-lg w-full max-w-4xl max-h-[90vh] overflow-y-auto"
+      >
+        <h2 className="text-xl font-bold mb-2">Match Columns</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {fileName} doesn&apos;t use the standard headers. Check which column
+          holds each field; suggestions are pre-filled.
+        </p>
+
+        {profiles.length > 0 && (
+          <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-medium">Saved profiles:</span>
+            {profiles.map((profile) => (
+              <span key={profile.name} className="flex items-center gap-1">
+                <button
+                  type="button"
+                  onClick={() => handleApplyProfile(profile.name)}
+                  className="px-2 py-1 rounded bg-gray-200"
+                >
+                  {profile.name}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDeleteProfile(profile.name)}
+                  aria-label={`Delete profile ${profile.name}`}
+                  className="text-gray-500 hover:text-red-600"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+          {MAPPABLE_FIELDS.map((field) => (
+            <label key={field.header} className="block text-sm">
+              <span className="font-medium">
+                {field.header}
+                {field.required && <span className="text-red-600"> *</span>}
+              </span>
+              {suggestion.confidence[field.header] !== undefined &&
+                mapping[field.header] === suggestion.mapping[field.header] && (
+                  <span className="ml-2 text-xs text-gray-500">
+                    {Math.round(suggestion.confidence[field.header] * 100)}% match
+                  </span>
+                )}
+              <select
+                value={mapping[field.header] || ""}
+                onChange={(e) => handleChange(field.header, e.target.value)}
+                className="w-full p-2 border rounded mt-1"
+              >
+                <option value="">— not in file —</option>
+                {headers.map((header, index) => (
+                  <option key={`${header}-${index}`} value={header}>
+                    {header}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+
+        <div className="overflow-x-auto border rounded mb-4">
+          <table className="text-xs w-full">
+            <thead className="bg-gray-100 text-left">
+              <tr>
+                {headers.map((header, index) => (
+                  <th key={`${header}-${index}`} className="p-2 align-bottom">
+                    <div>{header}</div>
+                    <div className="font-normal text-blue-700">
+                      {fieldByHeader[header] ? `→ ${fieldByHeader[header]}` : ""}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, PREVIEW_ROWS).map((row, rowIndex) => (
+                <tr key={rowIndex} className="border-t">
+                  {headers.map((header, index) => (
+                    <td key={`${header}-${index}`} className="p-2">
+                      {formatCell(row[index])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={saveProfile}
+              onChange={(e) => setSaveProfile(e.target.checked)}
+            />
+            Save this mapping as a profile
+          </label>
+          {saveProfile && (
+            <input
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              placeholder="Profile name, e.g. Nursing registrar"
+              className="flex-1 p-2 border rounded"
+              required
+            />
+          )}
+        </div>
+
+        {missing.length > 0 && (
+          <p className="mb-4 text-sm text-red-600">
+            Choose a column for: {missing.join(", ")}
+          </p>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={missing.length > 0}
+            className="flex-1 bg-blue-500 text-white p-2 rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            Import
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
@@ -0,0 +1,63 @@
+import React, { useState } from "react";
+import moment from "moment";
+import { toDisplayDate } from "../lib/timezone";
+
+const formatSession = (event, timeZone) =>
+  `${event.title} (${moment(toDisplayDate(event.start, timeZone)).format(
+    "h:mm A"
+  )}–${moment(toDisplayDate(event.end, timeZone)).format("h:mm A")})`;
+
+/**
+ * lists double-booked sessions: the same learner group or room used by
+ * two overlapping events. clicking a session opens it for editing.
+ * times are shown in timeZone, like the calendar
+ */
+const ConflictsPanel = ({ conflicts, timeZone, onSelectEvent }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  if (!conflicts.length) return null;
+
+  return (
+    <div className="mb-4 border border-red-300 bg-red-50 rounded">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex justify-between items-center p-3 text-left font-semibold text-red-800"
+      >
+        <span>
+          {conflicts.length} scheduling{" "}
+          {conflicts.length === 1 ? "conflict" : "conflicts"}
+        </span>
+        <span>{isOpen ? "▾" : "▸"}</span>
+      </button>
+      {isOpen && (
+        <ul className="text-sm max-h-64 overflow-y-auto border-t border-red-200">
+          {conflicts.map(({ kind, key, a, b }) => (
+            <li
+              key={`${kind}-${a.id}-${b.id}`}
+              className="p-2 border-t border-red-100 first:border-t-0"
+            >
+              <span className="font-medium">
+                {moment(toDisplayDate(a.start, timeZone)).format("ddd MMM D")} ·{" "}
+                {kind === "group" ? `Group ${key}` : key}:
+              </span>{" "}
+              <button
+                onClick={() => onSelectEvent(a)}
+                className="text-blue-700 hover:underline"
+              >
+                {formatSession(a, timeZone)}
+              </button>{" "}
+              overlaps{" "}
+              <button
+                onClick={() => onSelectEvent(b)}
+                className="text-blue-700 hover:underline"
+              >
+                {formatSession(b, timeZone)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ConflictsPanel;
@@ -0,0 +1,246 @@
+import React, { useMemo } from "react";
+import moment from "moment";
+import { evaluateProgress, linkCourse, termLabel } from "../lib/degreeProgress";
+
+const STATUS_STYLES = {
+  completed: { label: "Completed", className: "bg-green-100 text-green-800" },
+  "in-progress": { label: "In progress", className: "bg-blue-100 text-blue-800" },
+  scheduled: { label: "Scheduled", className: "bg-purple-100 text-purple-800" },
+  remaining: { label: "Remaining", className: "bg-gray-100 text-gray-700" },
+};
+
+const StatusBadge = ({ status, overdue }) => (
+  <span
+    className={`px-2 py-0.5 rounded text-xs ${
+      overdue ? "bg-red-100 text-red-800" : STATUS_STYLES[status].className
+    }`}
+  >
+    {overdue ? "Overdue" : STATUS_STYLES[status].label}
+  </span>
+);
+
+const SummaryCard = ({ label, value, detail }) => (
+  <div className="p-3 border rounded">
+    <div className="text-xs text-gray-500">{label}</div>
+    <div className="text-xl font-semibold">{value}</div>
+    {detail && <div className="text-xs text-gray-600">{detail}</div>}
+  </div>
+);
+
+/**
+ * progress dashboard for the degree program: credits, requirements,
+ * milestones, the term-by-term plan and the projected graduation term.
+ * events is the whole schedule, not the filtered view
+ */
+const DegreeProgress = ({ program, events, onChange, onEdit }) => {
+  const progress = useMemo(() => evaluateProgress(program, events), [program, events]);
+  const { credits, requirements, milestones, plan, unlinkedCourses } = progress;
+  const label = (term) => (term === null ? "—" : termLabel(term, program));
+  const creditShare = credits.required
+    ? Math.min(100, Math.round((credits.completed / credits.required) * 100))
+    : 0;
+
+  const updateItem = (list, id, changes) =>
+    onChange({
+      ...program,
+      [list]: program[list].map((item) => (item.id === id ? { ...item, ...changes } : item)),
+    });
+
+  if (!program.requirements.length && !program.name) {
+    return (
+      <div className="p-4 border rounded text-sm">
+        <p className="mb-2">
+          Set up your degree program to track required courses, credits and milestones
+          against the schedule.
+        </p>
+        <button onClick={onEdit} className="px-4 py-2 rounded bg-blue-500 text-white">
+          Set up program
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold">{program.name || "Degree progress"}</h2>
+        <button onClick={onEdit} className="px-4 py-2 rounded bg-gray-200">
+          Edit program
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+        <SummaryCard
+          label="Credits completed"
+          value={`${credits.completed} / ${credits.required}`}
+          detail={`${credits.inProgress} in progress or scheduled`}
+        />
+        <SummaryCard
+          label="Required courses done"
+          value={`${requirements.filter((item) => item.status === "completed").length} / ${
+            requirements.length
+          }`}
+        />
+        <SummaryCard
+          label="Milestones done"
+          value={`${milestones.filter((item) => item.status === "completed").length} / ${
+            milestones.length
+          }`}
+        />
+        <SummaryCard
+          label="Projected graduation"
+          value={progress.projectedLabel}
+          detail={`Started ${label(progress.startTerm)} · now ${label(progress.currentTerm)}`}
+        />
+      </div>
+      <div className="h-2 bg-gray-200 rounded mb-6">
+        <div className="h-2 bg-green-500 rounded" style={{ width: `${creditShare}%` }} />
+      </div>
+
+      <h3 className="font-semibold mb-2">Required courses</h3>
+      <table className="w-full text-sm mb-6">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1">Requirement</th>
+            <th>Linked courses</th>
+            <th>Credits</th>
+            <th>Term</th>
+            <th>Status</th>
+            <th>Done</th>
+          </tr>
+        </thead>
+        <tbody>
+          {requirements.map((requirement) => (
+            <tr key={requirement.id} className="border-t">
+              <td className="py-1">{requirement.name}</td>
+              <td>{requirement.linkedCourses.join(", ") || "—"}</td>
+              <td>{requirement.credits}</td>
+              <td>
+                {label(requirement.term)}
+                {requirement.offPlan && (
+                  <span className="block text-xs text-amber-700">
+                    planned for {label(requirement.plannedTerm)}
+                  </span>
+                )}
+              </td>
+              <td>
+                <StatusBadge status={requirement.status} overdue={requirement.overdue} />
+              </td>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={Boolean(requirement.completed)}
+                  onChange={(e) =>
+                    updateItem("requirements", requirement.id, { completed: e.target.checked })
+                  }
+                  title="Mark complete (transfer credit, waiver, …)"
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3 className="font-semibold mb-2">Milestones</h3>
+      <table className="w-full text-sm mb-6">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1">Milestone</th>
+            <th>Planned</th>
+            <th>Date</th>
+            <th>Status</th>
+            <th>Completed on</th>
+          </tr>
+        </thead>
+        <tbody>
+          {milestones.map((milestone) => (
+            <tr key={milestone.id} className="border-t">
+              <td className="py-1">{milestone.name}</td>
+              <td>{label(milestone.plannedTerm)}</td>
+              <td>
+                {milestone.date ? moment(milestone.date).format("MMM D, YYYY") : label(milestone.term)}
+              </td>
+              <td>
+                <StatusBadge status={milestone.status} overdue={milestone.overdue} />
+              </td>
+              <td>
+                <input
+                  type="date"
+                  value={program.milestones.find((item) => item.id === milestone.id).completedOn}
+                  onChange={(e) =>
+                    updateItem("milestones", milestone.id, { completedOn: e.target.value })
+                  }
+                  className="p-1 border rounded"
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3 className="font-semibold mb-2">Term plan</h3>
+      <div className="flex gap-3 overflow-x-auto mb-6">
+        {plan.map((term) => (
+          <div
+            key={term.term}
+            className={`min-w-[10rem] p-2 border rounded text-sm ${
+              term.term === progress.currentTerm ? "border-blue-500" : ""
+            }`}
+          >
+            <div className="font-medium mb-1">
+              {term.label}
+              {term.term === progress.currentTerm && (
+                <span className="text-xs text-blue-700"> (now)</span>
+              )}
+            </div>
+            {term.requirements.map((requirement) => (
+              <div key={requirement.id} className="flex justify-between gap-2">
+                <span>{requirement.name}</span>
+                <span className="text-gray-500">{requirement.credits} cr</span>
+              </div>
+            ))}
+            {term.milestones.map((milestone) => (
+              <div key={milestone.id} className="text-purple-800">
+                ★ {milestone.name}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {unlinkedCourses.length > 0 && (
+        <>
+          <h3 className="font-semibold mb-2">Courses not linked to a requirement</h3>
+          <div className="space-y-2 text-sm">
+            {unlinkedCourses.map((course) => (
+              <div key={course.name} className="flex items-center gap-2">
+                <span className="flex-1">
+                  {course.name}{" "}
+                  <span className="text-gray-500">
+                    ({course.sessions} sessions, {moment(course.first).format("MMM D")} –{" "}
+                    {moment(course.last).format("MMM D, YYYY")})
+                  </span>
+                </span>
+                <select
+                  value=""
+                  onChange={(e) => onChange(linkCourse(program, course.name, e.target.value))}
+                  disabled={!program.requirements.length}
+                  className="p-1 border rounded"
+                >
+                  <option value="">Link to…</option>
+                  {program.requirements.map((requirement) => (
+                    <option key={requirement.id} value={requirement.id}>
+                      {requirement.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DegreeProgress;
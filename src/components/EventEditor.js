@@ -0,0 +1,400 @@
+import React, { useState } from "react";
+import moment from "moment";
+import LeadTimePicker from "./LeadTimePicker";
+import RecurrenceFields from "./RecurrenceFields";
+import { DEFAULT_CATEGORIES, buildDesc, isDeadline, splitDesc } from "../lib/eventDetails";
+import { confirmEventTimes } from "../lib/eventTimes";
+import { SERIES_SCOPES, readRecurrenceForm } from "../lib/eventSeries";
+import { UNGROUPED } from "../lib/groupSchemes";
+import { fromDisplayDate, getTimeZoneName, toDisplayDate } from "../lib/timezone";
+
+const INPUT_FORMAT = "YYYY-MM-DDTHH:mm";
+const DATE_FORMAT = "YYYY-MM-DD";
+// picker value that asks for a group name not in the list
+const NEW_GROUP = "__new__";
+
+const Field = ({ label, children }) => (
+  <label className="block text-sm mb-3">
+    <span className="block mb-1">{label}</span>
+    {children}
+  </label>
+);
+
+/**
+ * add / edit modal covering every event field. a new event gets its
+ * times from the selected slot; an existing one keeps fields the form
+ * leaves alone (id, source, uid, ...). times are entered in timeZone.
+ * a deadline has a single due time, or a due date when all day; an
+ * all-day session has a first and last day. the learner group is picked
+ * from the known groups, or typed in as a new one
+ */
+const EventEditor = ({
+  slot,
+  event,
+  groups,
+  categories,
+  timeZone,
+  onSave,
+  onDelete,
+  onCancel,
+}) => {
+  const isNew = !event;
+  const { course, sessionType, section } = isNew
+    ? { course: "", sessionType: "", section: "" }
+    : splitDesc(event);
+  const start = isNew ? slot.start : event.start;
+  const end = isNew ? slot.end : event.end;
+  const sessionEnd = end > start ? end : moment(start).add(1, "hour").toDate();
+  const categoryOptions = Array.from(new Set([...DEFAULT_CATEGORIES, ...categories]));
+  const [kind, setKind] = useState(event && isDeadline(event) ? "deadline" : "session");
+  const [allDay, setAllDay] = useState(Boolean(event?.allDay));
+  const groupOptions = Array.from(new Set([...groups, event?.learnerGroup])).filter(
+    (group) => group && group !== UNGROUPED
+  );
+  const [groupChoice, setGroupChoice] = useState(
+    event?.learnerGroup && event.learnerGroup !== UNGROUPED ? event.learnerGroup : ""
+  );
+  // null follows the category's (or deadline) defaults
+  const [reminders, setReminders] = useState(
+    Array.isArray(event?.reminders) ? event.reminders : null
+  );
+
+  // allDay is always set, so switching back to a timed event clears it
+  const readTimes = (formData) => {
+    if (kind === "deadline") {
+      if (allDay) {
+        const day = moment(formData.get("due"), DATE_FORMAT);
+        return { start: day.toDate(), end: day.add(1, "day").toDate(), allDay: true };
+      }
+      const due = fromDisplayDate(new Date(formData.get("due")), timeZone);
+      return { start: due, end: due, allDay: false };
+    }
+    if (allDay) {
+      const firstDay = moment(formData.get("start"), DATE_FORMAT).toDate();
+      const dayAfter = moment(formData.get("end"), DATE_FORMAT).add(1, "day").toDate();
+      if (!confirmEventTimes(firstDay, dayAfter)) return null;
+      return { start: firstDay, end: dayAfter, allDay: true };
+    }
+    const wallStart = new Date(formData.get("start"));
+    const wallEnd = new Date(formData.get("end"));
+    if (!confirmEventTimes(wallStart, wallEnd)) return null;
+    return {
+      start: fromDisplayDate(wallStart, timeZone),
+      end: fromDisplayDate(wallEnd, timeZone),
+      allDay: false,
+    };
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+    const times = readTimes(formData);
+    if (!times) return;
+    const field = (name) => (formData.get(name) || "").toString().trim();
+    onSave(
+      {
+        title: field("title"),
+        ...times,
+        type: kind === "deadline" ? "deadline" : undefined,
+        desc: buildDesc({
+          course: field("course"),
+          sessionType: field("sessionType"),
+          section: field("section"),
+        }),
+        location: field("location"),
+        learnerGroup:
+          (groupChoice === NEW_GROUP ? field("newLearnerGroup") : groupChoice) || UNGROUPED,
+        category: field("category"),
+        notes: field("notes"),
+        reminders: reminders ?? undefined,
+        recurrence: readRecurrenceForm(formData),
+      },
+      formData.get("scope") || "this"
+    );
+  };
+
+  const handleDelete = (e) => {
+    const scope = new FormData(e.currentTarget.form).get("scope") || "this";
+    if (!confirm("Delete this event?")) return;
+    onDelete(event, scope);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+      <div className="bg-white p-6 rounded-lg w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold">{isNew ? "Add Event" : "Edit Event"}</h2>
+          {!isNew && (
+            <span
+              className={`text-xs px-2 py-1 rounded ${
+                event.source === "import"
+                  ? "bg-blue-100 text-blue-800"
+                  : "bg-green-100 text-green-800"
+              }`}
+            >
+              {event.source === "import" ? "Imported" : "Added manually"}
+            </span>
+          )}
+        </div>
+        <form onSubmit={handleSubmit}>
+          <input
+            type="text"
+            name="title"
+            defaultValue={event?.title || ""}
+            placeholder="Event Title"
+            className="w-full p-2 border rounded mb-4"
+            required
+          />
+          <div className="flex gap-4 mb-4 text-sm">
+            {[
+              { value: "session", label: "Session" },
+              { value: "deadline", label: "Deadline" },
+            ].map((option) => (
+              <label key={option.value} className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  checked={kind === option.value}
+                  onChange={() => setKind(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+          {kind === "session" && allDay && (
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm mb-1">First Day</label>
+                <input
+                  key="start-date"
+                  type="date"
+                  name="start"
+                  defaultValue={moment(start).format(DATE_FORMAT)}
+                  className="w-full p-2 border rounded"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm mb-1">Last Day</label>
+                <input
+                  key="end-date"
+                  type="date"
+                  name="end"
+                  defaultValue={moment(sessionEnd).subtract(1, "ms").format(DATE_FORMAT)}
+                  className="w-full p-2 border rounded"
+                  required
+                />
+              </div>
+            </div>
+          )}
+          {kind === "session" && !allDay && (
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              <div>
+                <label className="block text-sm mb-1">Start Time</label>
+                <input
+                  key="start-time"
+                  type="datetime-local"
+                  name="start"
+                  defaultValue={moment(toDisplayDate(start, timeZone)).format(INPUT_FORMAT)}
+                  className="w-full p-2 border rounded"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm mb-1">End Time</label>
+                <input
+                  key="end-time"
+                  type="datetime-local"
+                  name="end"
+                  defaultValue={moment(toDisplayDate(sessionEnd, timeZone)).format(INPUT_FORMAT)}
+                  className="w-full p-2 border rounded"
+                  required
+                />
+              </div>
+            </div>
+          )}
+          {kind === "deadline" && (
+            <div className="mb-4">
+              <label className="block text-sm mb-1">Due</label>
+              {allDay ? (
+                <input
+                  key="due-date"
+                  type="date"
+                  name="due"
+                  defaultValue={moment(start).format(DATE_FORMAT)}
+                  className="w-full p-2 border rounded"
+                  required
+                />
+              ) : (
+                <input
+                  key="due-time"
+                  type="datetime-local"
+                  name="due"
+                  defaultValue={moment(toDisplayDate(start, timeZone)).format(INPUT_FORMAT)}
+                  className="w-full p-2 border rounded"
+                  required
+                />
+              )}
+            </div>
+          )}
+          <label className="flex items-center gap-1 text-sm -mt-2 mb-4">
+            <input
+              type="checkbox"
+              checked={allDay}
+              onChange={(e) => setAllDay(e.target.checked)}
+            />
+            All day
+          </label>
+          {timeZone && (
+            <p className="-mt-2 mb-4 text-xs text-gray-500">
+              Times in {timeZone} ({getTimeZoneName(timeZone, start)})
+              {event?.timeZone && event.timeZone !== timeZone &&
+                ` · scheduled in ${event.timeZone}`}
+            </p>
+          )}
+
+          <div className="grid grid-cols-3 gap-2">
+            <Field label="Course">
+              <input
+                type="text"
+                name="course"
+                defaultValue={course}
+                className="w-full p-2 border rounded"
+              />
+            </Field>
+            <Field label="Session Type">
+              <input
+                type="text"
+                name="sessionType"
+                defaultValue={sessionType}
+                className="w-full p-2 border rounded"
+              />
+            </Field>
+            <Field label="Section">
+              <input
+                type="text"
+                name="section"
+                defaultValue={section}
+                className="w-full p-2 border rounded"
+              />
+            </Field>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <Field label="Location">
+              <input
+                type="text"
+                name="location"
+                defaultValue={event?.location || ""}
+                className="w-full p-2 border rounded"
+              />
+            </Field>
+            <Field label="Learner Group">
+              <select
+                value={groupChoice}
+                onChange={(e) => setGroupChoice(e.target.value)}
+                className="w-full p-2 border rounded"
+              >
+                <option value="">{UNGROUPED}</option>
+                {groupOptions.map((group) => (
+                  <option key={group} value={group}>
+                    {group}
+                  </option>
+                ))}
+                <option value={NEW_GROUP}>New group…</option>
+              </select>
+              {groupChoice === NEW_GROUP && (
+                <input
+                  type="text"
+                  name="newLearnerGroup"
+                  placeholder="New group name"
+                  className="w-full p-2 border rounded mt-2"
+                  autoFocus
+                  required
+                />
+              )}
+            </Field>
+          </div>
+          <Field label="Category">
+            <input
+              type="text"
+              name="category"
+              list="event-editor-categories"
+              defaultValue={event?.category || ""}
+              className="w-full p-2 border rounded"
+            />
+            <datalist id="event-editor-categories">
+              {categoryOptions.map((category) => (
+                <option key={category} value={category} />
+              ))}
+            </datalist>
+          </Field>
+          <Field label="Notes">
+            <textarea
+              name="notes"
+              rows={3}
+              defaultValue={event?.notes || ""}
+              className="w-full p-2 border rounded"
+            />
+          </Field>
+
+          <fieldset className="mb-4 text-sm">
+            <legend className="mb-1">Reminders</legend>
+            <label className="flex items-center gap-1 mb-1">
+              <input
+                type="checkbox"
+                checked={reminders === null}
+                onChange={(e) => setReminders(e.target.checked ? null : [])}
+              />
+              Use the category&apos;s reminders
+            </label>
+            {reminders !== null && <LeadTimePicker value={reminders} onChange={setReminders} />}
+          </fieldset>
+
+          <RecurrenceFields start={start} recurrence={event?.recurrence} />
+          {event?.seriesId && (
+            <fieldset className="mb-4 text-sm">
+              <legend className="mb-1">This event repeats. Apply to:</legend>
+              {SERIES_SCOPES.map((scope) => (
+                <label key={scope.value} className="flex items-center gap-1">
+                  <input
+                    type="radio"
+                    name="scope"
+                    value={scope.value}
+                    defaultChecked={scope.value === "this"}
+                  />
+                  {scope.label}
+                </label>
+              ))}
+            </fieldset>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="flex-1 bg-blue-500 text-white p-2 rounded hover:bg-blue-600"
+            >
+              {isNew ? "Create Event" : "Save Changes"}
+            </button>
+            {!isNew && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                className="flex-1 bg-red-500 text-white p-2 rounded hover:bg-red-600"
+              >
+                Delete
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onCancel}
+              className="flex-1 bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default EventEditor;
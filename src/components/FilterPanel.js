@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from "react";
+import {
+  EMPTY_FILTERS,
+  FILTER_FIELDS,
+  deleteView,
+  hasActiveFilters,
+  loadMyGroups,
+  loadSavedViews,
+  saveMyGroups,
+  saveView,
+} from "../lib/eventFilters";
+
+const MultiSelect = ({ label, options, selected, onChange }) => {
+  // keep selections visible even when no loaded event has them
+  const values = [...options, ...selected.filter((value) => !options.includes(value))];
+
+  const toggle = (value) => {
+    onChange(
+      selected.includes(value)
+        ? selected.filter((item) => item !== value)
+        : [...selected, value]
+    );
+  };
+
+  return (
+    <details className="relative">
+      <summary className="cursor-pointer px-3 py-2 border rounded bg-white text-sm max-w-xs truncate">
+        {label}: {selected.length ? selected.join(", ") : "All"}
+      </summary>
+      <div className="absolute z-10 mt-1 w-64 max-h-64 overflow-y-auto bg-white border rounded shadow p-2 text-sm">
+        {values.length === 0 && <p className="text-gray-500">Nothing to filter yet</p>}
+        {values.map((value) => (
+          <label key={value} className="flex items-center gap-2 py-0.5">
+            <input
+              type="checkbox"
+              checked={selected.includes(value)}
+              onChange={() => toggle(value)}
+            />
+            {value}
+          </label>
+        ))}
+        {selected.length > 0 && (
+          <button onClick={() => onChange([])} className="mt-2 text-blue-700">
+            Clear
+          </button>
+        )}
+      </div>
+    </details>
+  );
+};
+
+/**
+ * multi-select filters for group, course, session type and location,
+ * with the user's own groups and named views kept in local settings
+ */
+const FilterPanel = ({ filters, options, onChange, disabled }) => {
+  const [myGroups, setMyGroups] = useState([]);
+  const [savedViews, setSavedViews] = useState([]);
+  const [activeView, setActiveView] = useState("");
+
+  useEffect(() => {
+    setMyGroups(loadMyGroups());
+    setSavedViews(loadSavedViews());
+  }, []);
+
+  const handleFieldChange = (key, values) => {
+    setActiveView("");
+    onChange({ ...filters, [key]: values });
+  };
+
+  const handleSaveMyGroups = () => {
+    saveMyGroups(filters.groups);
+    setMyGroups(filters.groups);
+  };
+
+  const handleApplyView = (name) => {
+    setActiveView(name);
+    const view = savedViews.find((item) => item.name === name);
+    if (view) onChange({ ...EMPTY_FILTERS, ...view.filters });
+  };
+
+  const handleSaveView = () => {
+    const name = prompt("Name this view:", activeView);
+    if (!name || !name.trim()) return;
+    setSavedViews(saveView(name.trim(), filters));
+    setActiveView(name.trim());
+  };
+
+  const handleDeleteView = () => {
+    if (!activeView || !confirm(`Delete view "${activeView}"?`)) return;
+    setSavedViews(deleteView(activeView));
+    setActiveView("");
+  };
+
+  return (
+    <fieldset className="mb-4" disabled={disabled}>
+      <legend className="block text-sm font-medium mb-2">Filters</legend>
+      <div className="flex flex-wrap gap-2 mb-2">
+        {FILTER_FIELDS.map((field) => (
+          <MultiSelect
+            key={field.key}
+            label={field.label}
+            options={options[field.key] || []}
+            selected={filters[field.key]}
+            onChange={(values) => handleFieldChange(field.key, values)}
+          />
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button
+          onClick={() => handleFieldChange("groups", myGroups)}
+          disabled={myGroups.length === 0}
+          className="px-3 py-1 rounded bg-gray-200 disabled:opacity-50"
+        >
+          My groups{myGroups.length > 0 && ` (${myGroups.join(", ")})`}
+        </button>
+        <button
+          onClick={handleSaveMyGroups}
+          disabled={filters.groups.length === 0}
+          className="px-3 py-1 rounded bg-gray-200 disabled:opacity-50"
+        >
+          Set selected as my groups
+        </button>
+        <select
+          value={activeView}
+          onChange={(e) => handleApplyView(e.target.value)}
+          className="p-1 border rounded"
+        >
+          <option value="">Saved views…</option>
+          {savedViews.map((view) => (
+            <option key={view.name} value={view.name}>
+              {view.name}
+            </option>
+          ))}
+        </select>
+        <button onClick={handleSaveView} className="px-3 py-1 rounded bg-gray-200">
+          Save view
+        </button>
+        {activeView && (
+          <button onClick={handleDeleteView} className="px-3 py-1 rounded bg-gray-200">
+            Delete view
+          </button>
+        )}
+        {hasActiveFilters(filters) && (
+          <button
+            onClick={() => {
+              setActiveView("");
+              onChange(EMPTY_FILTERS);
+            }}
+            className="px-3 py-1 rounded text-blue-700"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+    </fieldset>
+  );
+};
+
+export default FilterPanel;
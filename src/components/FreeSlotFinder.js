@@ -0,0 +1,195 @@
+import React, { useEffect, useMemo, useState } from "react";
+import moment from "moment";
+import WorkingHoursFields from "./WorkingHoursFields";
+import { MIN_DURATION_OPTIONS, findFreeSlots } from "../lib/freeSlots";
+import { DEFAULT_WORKING_HOURS, loadWorkingHours, saveWorkingHours } from "../lib/timeIntervals";
+
+const DEFAULT_DAYS = 14;
+const QUARTER_HOUR_MS = 15 * 60000;
+
+const durationText = ({ start, end }) => {
+  const minutes = Math.round((end - start) / 60000);
+  const hours = Math.floor(minutes / 60);
+  return [hours && `${hours} h`, minutes % 60 && `${minutes % 60} min`].filter(Boolean).join(" ");
+};
+
+/**
+ * times when every chosen learner group is free, within working hours.
+ * ungrouped sessions count as busy for everyone unless unticked.
+ * events are all events in the display zone (not just the filtered ones)
+ * and clicking a slot hands its display-zone times to onSelectSlot
+ */
+const FreeSlotFinder = ({ events, groups, initialGroups, groupColors, now, onSelectSlot }) => {
+  const [chosenGroups, setChosenGroups] = useState(initialGroups);
+  const [from, setFrom] = useState(() => moment(now).format("YYYY-MM-DD"));
+  const [to, setTo] = useState(() =>
+    moment(now).add(DEFAULT_DAYS - 1, "days").format("YYYY-MM-DD")
+  );
+  const [workingHours, setWorkingHours] = useState(DEFAULT_WORKING_HOURS);
+  const [minMinutes, setMinMinutes] = useState(60);
+  const [ungroupedBusy, setUngroupedBusy] = useState(true);
+
+  useEffect(() => {
+    setWorkingHours(loadWorkingHours());
+  }, []);
+
+  const validRange = from && to && !moment(to).isBefore(from);
+  // offered slots start on a quarter hour, not at the current minute
+  const earliest = Math.ceil(now.getTime() / QUARTER_HOUR_MS) * QUARTER_HOUR_MS;
+  const slots = useMemo(
+    () =>
+      validRange && chosenGroups.length
+        ? findFreeSlots(
+            events,
+            chosenGroups,
+            from,
+            to,
+            workingHours,
+            minMinutes,
+            new Date(earliest),
+            ungroupedBusy
+          )
+        : [],
+    [
+      events,
+      chosenGroups,
+      from,
+      to,
+      workingHours,
+      minMinutes,
+      validRange,
+      earliest,
+      ungroupedBusy,
+    ]
+  );
+  const days = useMemo(() => {
+    const byDay = new Map();
+    slots.forEach((slot) => {
+      const key = moment(slot.start).format("YYYY-MM-DD");
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(slot);
+    });
+    return Array.from(byDay);
+  }, [slots]);
+
+  const toggleGroup = (group) =>
+    setChosenGroups(
+      chosenGroups.includes(group)
+        ? chosenGroups.filter((item) => item !== group)
+        : [...chosenGroups, group]
+    );
+
+  const handleWorkingHours = (next) => {
+    setWorkingHours(next);
+    saveWorkingHours(next);
+  };
+
+  return (
+    <div>
+      <h3 className="font-semibold mb-2">Learner groups</h3>
+      <div className="flex flex-wrap gap-2 mb-4 text-sm">
+        {groups.map((group) => (
+          <label
+            key={group}
+            className={`flex items-center gap-2 px-2 py-1 border rounded ${
+              chosenGroups.includes(group) ? "bg-blue-50 border-blue-400" : ""
+            }`}
+          >
+            <input
+              type="checkbox"
+              checked={chosenGroups.includes(group)}
+              onChange={() => toggleGroup(group)}
+            />
+            <span
+              className="w-3 h-3 rounded-full"
+              style={{ backgroundColor: groupColors[group] || "#3b82f6" }}
+            />
+            {group}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4 text-sm">
+        <label className="flex flex-col">
+          From
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="p-1 border rounded"
+          />
+        </label>
+        <label className="flex flex-col">
+          To
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="p-1 border rounded"
+          />
+        </label>
+        <WorkingHoursFields value={workingHours} onChange={handleWorkingHours} />
+        <label className="flex flex-col">
+          At least
+          <select
+            value={minMinutes}
+            onChange={(e) => setMinMinutes(Number(e.target.value))}
+            className="p-1 border rounded"
+          >
+            {MIN_DURATION_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={ungroupedBusy}
+            onChange={(e) => setUngroupedBusy(e.target.checked)}
+          />
+          Ungrouped sessions (e.g. whole-class lectures) block every group
+        </label>
+      </div>
+
+      {!validRange ? (
+        <p className="text-sm text-red-600">The end date must not be before the start date.</p>
+      ) : chosenGroups.length === 0 ? (
+        <p className="text-sm text-gray-500">Choose the learner groups that need to meet.</p>
+      ) : days.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          No common free time of at least that length in this range.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            {chosenGroups.join(", ")} {chosenGroups.length === 1 ? "is" : "are all"} free at these
+            times. Click one to add an event.
+          </p>
+          {days.map(([day, daySlots]) => (
+            <div key={day}>
+              <h4 className="text-sm font-medium mb-1">
+                {moment(day).format("dddd, MMM D")}
+              </h4>
+              <div className="flex flex-wrap gap-2">
+                {daySlots.map((slot) => (
+                  <button
+                    key={slot.start.toISOString()}
+                    onClick={() => onSelectSlot(slot)}
+                    className="px-3 py-1 border rounded text-sm hover:bg-blue-50"
+                  >
+                    {moment(slot.start).format("h:mm A")} – {moment(slot.end).format("h:mm A")}
+                    <span className="text-gray-500"> · {durationText(slot)}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FreeSlotFinder;
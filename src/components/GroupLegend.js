@@ -0,0 +1,24 @@
+import React from "react";
+
+/**
+ * color key for the learner groups on screen
+ */
+const GroupLegend = ({ groups, groupColors }) => {
+  if (!groups.length) return null;
+  return (
+    <ul className="flex flex-wrap gap-2 mb-2 text-xs" aria-label="Learner group colors">
+      {groups.map((group) => (
+        <li key={group} className="flex items-center gap-1">
+          <span
+            className="inline-block w-3 h-3 rounded-sm"
+            style={{ backgroundColor: groupColors[group] || "#3b82f6" }}
+            aria-hidden="true"
+          />
+          {group}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default GroupLegend;
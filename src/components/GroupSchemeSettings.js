@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import {
+  GROUP_SCHEME_PRESETS,
+  deriveGroup,
+  validateGroupScheme,
+} from "../lib/groupSchemes";
+
+const ORDER_OPTIONS = [
+  { value: "natural", label: "Natural (Team 2 before Team 12)" },
+  { value: "alphabetical", label: "Alphabetical" },
+  { value: "custom", label: "Custom order" },
+];
+
+/**
+ * admin settings for how learner groups are recognised and ordered
+ */
+const GroupSchemeSettings = ({ scheme, onSave, onReapply, onClose }) => {
+  const [draft, setDraft] = useState({
+    ...scheme,
+    customOrderText: scheme.customOrder.join("\n"),
+  });
+  const [sample, setSample] = useState("Lab - Section C 2");
+  const errors = validateGroupScheme(draft);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  const toScheme = ({ customOrderText, ...rest }) => ({
+    ...rest,
+    customOrder: customOrderText
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean),
+  });
+
+  const update = (key, value) => setDraft({ ...draft, id: "custom", [key]: value });
+
+  const handlePreset = (id) => {
+    const preset = GROUP_SCHEME_PRESETS.find((item) => item.id === id);
+    if (preset) setDraft({ ...preset, customOrderText: preset.customOrder.join("\n") });
+  };
+
+  const handleSave = (reapply) => {
+    if (hasErrors) return;
+    const next = toScheme(draft);
+    onSave(next);
+    if (reapply) onReapply(next);
+    onClose();
+  };
+
+  const textInput = (key, label, hint) => (
+    <label className="block text-sm mb-3">
+      <span className="block mb-1">{label}</span>
+      <input
+        type="text"
+        value={draft[key]}
+        onChange={(e) => update(key, e.target.value)}
+        className={`w-full p-2 border rounded font-mono ${
+          errors[key] ? "border-red-500" : ""
+        }`}
+      />
+      {errors[key] ? (
+        <span className="text-xs text-red-600">{errors[key]}</span>
+      ) : (
+        <span className="text-xs text-gray-500">{hint}</span>
+      )}
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+      <div className="bg-white p-6 rounded-lg w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-bold mb-4">Learner Group Settings</h2>
+
+        <label className="block text-sm mb-3">
+          <span className="block mb-1">Start from a preset</span>
+          <select
+            value={GROUP_SCHEME_PRESETS.some((item) => item.id === draft.id) ? draft.id : ""}
+            onChange={(e) => handlePreset(e.target.value)}
+            className="w-full p-2 border rounded"
+          >
+            <option value="">Custom</option>
+            {GROUP_SCHEME_PRESETS.map((preset) => (
+              <option key={preset.id} value={preset.id}>
+                {preset.name}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {textInput(
+          "fieldPattern",
+          "Learner Group column pattern",
+          "Values in the Learner Group column matching this are used as the group"
+        )}
+        {textInput(
+          "extractPattern",
+          "Pattern in section / session names",
+          "Used when the column is empty or doesn't match; capture the group's parts"
+        )}
+        {textInput("template", "Group name template", "$1, $2, … are the captured parts")}
+
+        <label className="flex items-center gap-2 text-sm mb-3">
+          <input
+            type="checkbox"
+            checked={draft.uppercase}
+            onChange={(e) => update("uppercase", e.target.checked)}
+          />
+          Upper-case group names
+        </label>
+
+        <label className="block text-sm mb-3">
+          <span className="block mb-1">Ordering</span>
+          <select
+            value={draft.order}
+            onChange={(e) => update("order", e.target.value)}
+            className="w-full p-2 border rounded"
+          >
+            {ORDER_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {draft.order === "custom" && (
+          <label className="block text-sm mb-3">
+            <span className="block mb-1">Groups in order, one per line</span>
+            <textarea
+              rows={4}
+              value={draft.customOrderText}
+              onChange={(e) => update("customOrderText", e.target.value)}
+              className="w-full p-2 border rounded"
+            />
+          </label>
+        )}
+
+        <div className="mb-4 p-3 bg-gray-50 rounded text-sm">
+          <label className="block mb-1">Try a section or session name</label>
+          <input
+            type="text"
+            value={sample}
+            onChange={(e) => setSample(e.target.value)}
+            className="w-full p-2 border rounded mb-1"
+          />
+          Group:{" "}
+          <span className="font-medium">
+            {hasErrors ? "—" : deriveGroup(toScheme(draft), sample, sample, sample)}
+          </span>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => handleSave(false)}
+            disabled={hasErrors}
+            className="flex-1 bg-blue-500 text-white p-2 rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            Save
+          </button>
+          <button
+            onClick={() => handleSave(true)}
+            disabled={hasErrors}
+            title="Re-derive the group of every event already on the calendar"
+            className="flex-1 bg-blue-100 text-blue-800 p-2 rounded disabled:opacity-50"
+          >
+            Save &amp; apply to existing
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GroupSchemeSettings;
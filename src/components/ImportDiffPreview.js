@@ -0,0 +1,96 @@
+import React from "react";
+import moment from "moment";
+
+const formatRange = (event) =>
+  `${moment(event.start).format("ddd MMM D, h:mm A")} – ${moment(
+    event.end
+  ).format("h:mm A")}`;
+
+const DiffSection = ({ title, className, items, render }) =>
+  items.length > 0 && (
+    <div className="mb-4">
+      <h3 className={`font-semibold mb-2 ${className}`}>
+        {title} ({items.length})
+      </h3>
+      <ul className="text-sm max-h-48 overflow-y-auto border rounded">
+        {items.map((item, index) => (
+          <li key={index} className="p-2 border-t first:border-t-0">
+            {render(item)}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+/**
+ * review step for "update" imports: lists added, removed and moved sessions
+ */
+const ImportDiffPreview = ({ diff, onApply, onCancel }) => {
+  const { added, removed, moved, unchanged } = diff;
+  const hasChanges = added.length + removed.length + moved.length > 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+      <div className="bg-white p-6 rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-bold mb-2">Review Import Changes</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {unchanged.length} sessions unchanged.
+          {!hasChanges && " The file matches the calendar."}
+        </p>
+
+        <DiffSection
+          title="Added"
+          className="text-green-700"
+          items={added}
+          render={(event) => (
+            <>
+              <span className="font-medium">{event.title}</span> ·{" "}
+              {formatRange(event)} · {event.learnerGroup}
+            </>
+          )}
+        />
+        <DiffSection
+          title="Moved"
+          className="text-amber-700"
+          items={moved}
+          render={({ before, after }) => (
+            <>
+              <span className="font-medium">{after.title}</span> ·{" "}
+              <span className="line-through">{formatRange(before)}</span> →{" "}
+              {formatRange(after)}
+            </>
+          )}
+        />
+        <DiffSection
+          title="Removed"
+          className="text-red-700"
+          items={removed}
+          render={(event) => (
+            <>
+              <span className="font-medium">{event.title}</span> ·{" "}
+              {formatRange(event)} · {event.learnerGroup}
+            </>
+          )}
+        />
+
+        <div className="flex gap-2">
+          <button
+            onClick={onApply}
+            disabled={!hasChanges}
+            className="flex-1 bg-blue-500 text-white p-2 rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            Apply Changes
+          </button>
+          <button
+            onClick={onCancel}
+            className="flex-1 bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDiffPreview;
@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { MAPPABLE_FIELDS } from "../lib/columnMapping";
+import { rejectionKey } from "../lib/importReport";
+
+/**
+ * lists the rows an import skipped and why, with the values editable
+ * in place so corrected rows can be sent back into the calendar
+ */
+const ImportReport = ({ report, onResubmit, onDismiss }) => {
+  const [rows, setRows] = useState(report.rejected);
+  const showSheet = rows.some((row) => row.sheet);
+
+  const handleChange = (key, header, value) => {
+    setRows((current) =>
+      current.map((row) =>
+        rejectionKey(row) === key
+          ? { ...row, values: { ...row.values, [header]: value } }
+          : row
+      )
+    );
+  };
+
+  const handleDrop = (key) => {
+    setRows((current) => current.filter((row) => rejectionKey(row) !== key));
+  };
+
+  return (
+    <div className="mb-4 p-4 border border-amber-300 bg-amber-50 rounded">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="font-semibold text-amber-800">
+          {rows.length} {rows.length === 1 ? "row" : "rows"} skipped from{" "}
+          {report.sourceLabel}
+        </h3>
+        <div className="flex gap-2">
+          <button
+            onClick={() => onResubmit(rows)}
+            disabled={rows.length === 0}
+            className="px-4 py-2 rounded bg-blue-500 text-white disabled:opacity-50"
+          >
+            Import Fixed Rows
+          </button>
+          <button onClick={onDismiss} className="px-4 py-2 rounded bg-gray-200">
+            Dismiss
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-2">
+        Correct the highlighted values and import the rows again. Rows that
+        still can&apos;t be read stay in this list.
+      </p>
+
+      <div className="overflow-x-auto max-h-96 overflow-y-auto border rounded bg-white">
+        <table className="text-xs w-full">
+          <thead className="bg-gray-100 text-left sticky top-0">
+            <tr>
+              {showSheet && <th className="p-2">Sheet</th>}
+              <th className="p-2">Row</th>
+              <th className="p-2">Problem</th>
+              {MAPPABLE_FIELDS.map((field) => (
+                <th key={field.header} className="p-2 whitespace-nowrap">
+                  {field.header}
+                </th>
+              ))}
+              <th className="p-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={rejectionKey(row)} className="border-t align-top">
+                {showSheet && <td className="p-2 whitespace-nowrap">{row.sheet}</td>}
+                <td className="p-2">{row.rowNumber}</td>
+                <td className="p-2 text-red-700 min-w-[10rem]">{row.reason}</td>
+                {MAPPABLE_FIELDS.map((field) => (
+                  <td key={field.header} className="p-1">
+                    <input
+                      type="text"
+                      value={row.values[field.header]}
+                      onChange={(e) =>
+                        handleChange(rejectionKey(row), field.header, e.target.value)
+                      }
+                      aria-label={`Row ${row.rowNumber} ${field.header}`}
+                      className={`w-28 p-1 border rounded ${
+                        row.field === field.header
+                          ? "border-red-500 bg-red-50"
+                          : ""
+                      }`}
+                    />
+                  </td>
+                ))}
+                <td className="p-2">
+                  <button
+                    onClick={() => handleDrop(rejectionKey(row))}
+                    aria-label={`Ignore row ${row.rowNumber}`}
+                    className="text-gray-500 hover:text-red-600"
+                  >
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ImportReport;
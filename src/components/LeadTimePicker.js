@@ -0,0 +1,36 @@
+import React from "react";
+import { LEAD_TIME_OPTIONS } from "../lib/reminders";
+
+/**
+ * toggles for reminder lead times; value is a list of minutes
+ */
+const LeadTimePicker = ({ value, onChange }) => {
+  const toggle = (minutes) =>
+    onChange(
+      value.includes(minutes)
+        ? value.filter((item) => item !== minutes)
+        : [...value, minutes].sort((a, b) => b - a)
+    );
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {LEAD_TIME_OPTIONS.map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          title={option.label}
+          onClick={() => toggle(option.value)}
+          className={`px-2 py-0.5 rounded text-xs border ${
+            value.includes(option.value)
+              ? "bg-blue-500 text-white border-blue-500"
+              : "bg-white text-gray-700"
+          }`}
+        >
+          {option.short}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default LeadTimePicker;
@@ -1,36 +1,148 @@
 import { useState } from 'react';
+import moment from 'moment';
 
-const PDFUploader = () => {
+const PDFUploader = ({ onImportEvents }) => {
   const [text, setText] = useState('');
+  const [parsedEvents, setParsedEvents] = useState([]);
+  const [status, setStatus] = useState('');
+  const [isParsing, setIsParsing] = useState(false);
 
   const handleFileUpload = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
 
+    setIsParsing(true);
+    setStatus('Reading PDF...');
+    setParsedEvents([]);
+    setText('');
+
     const reader = new FileReader();
     reader.onload = async (e) => {
       const buffer = e.target.result;
 
-      // Send the file to the API route
-      const response = await fetch('/api/parse-pdf', {
-        method: 'POST',
-        body: buffer,
-      });
+      try {
+        // Send the file to the API route
+        const response = await fetch('/api/parse-pdf', {
+          method: 'POST',
+          body: buffer,
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+          setStatus(`Error: ${result.error || 'Could not parse PDF'}`);
+          return;
+        }
 
-      const result = await response.json();
-      setText(result.text);
+        // the API sends wall-clock times, so parse them in the local zone
+        const events = result.events.map((event) => ({
+          ...event,
+          start: moment(event.start).toDate(),
+          end: moment(event.end).toDate(),
+        }));
+        setText(result.text);
+        setParsedEvents(events);
+        setStatus(
+          events.length
+            ? `Found ${events.length} sessions${
+                result.courseName ? ` for ${result.courseName}` : ''
+              }`
+            : 'No dated sessions found in this PDF'
+        );
+      } catch (error) {
+        console.error('PDF upload error:', error);
+        setStatus('Error uploading PDF');
+      } finally {
+        setIsParsing(false);
+      }
     };
     reader.readAsArrayBuffer(file);
   };
 
+  const handleMerge = () => {
+    onImportEvents(parsedEvents);
+    setStatus(`Added ${parsedEvents.length} sessions to the calendar`);
+    setParsedEvents([]);
+  };
+
   return (
     <div>
+      <label className="block text-sm font-medium mb-2">
+        Upload Syllabus (PDF)
+      </label>
       <input
         type="file"
         accept="application/pdf"
         onChange={handleFileUpload}
+        disabled={isParsing}
+        className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
       />
-      <pre>{text}</pre>
+
+      {status && (
+        <div className="mt-4 p-4 bg-blue-50 text-blue-700 rounded">
+          {status}
+        </div>
+      )}
+
+      {parsedEvents.length > 0 && (
+        <div className="mt-4">
+          <div className="max-h-64 overflow-y-auto border rounded">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-100 text-left">
+                <tr>
+                  <th className="p-2">Date</th>
+                  <th className="p-2">Time</th>
+                  <th className="p-2">Session</th>
+                  <th className="p-2">Location</th>
+                </tr>
+              </thead>
+              <tbody>
+                {parsedEvents.map((event, index) => (
+                  <tr key={index} className="border-t">
+                    <td className="p-2">
+                      {moment(event.start).format('ddd MMM D, YYYY')}
+                    </td>
+                    <td className="p-2">
+                      {event.allDay
+                        ? 'All day'
+                        : `${moment(event.start).format('h:mm A')} - ${moment(
+                            event.end
+                          ).format('h:mm A')}`}
+                    </td>
+                    <td className="p-2">{event.title}</td>
+                    <td className="p-2">{event.location}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex gap-2 mt-2">
+            <button
+              onClick={handleMerge}
+              className="flex-1 bg-blue-500 text-white p-2 rounded hover:bg-blue-600"
+            >
+              Add {parsedEvents.length} sessions to calendar
+            </button>
+            <button
+              onClick={() => {
+                setParsedEvents([]);
+                setStatus('');
+              }}
+              className="flex-1 bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
+      {text && (
+        <details className="mt-4">
+          <summary className="cursor-pointer text-sm text-gray-600">
+            Extracted text
+          </summary>
+          <pre className="mt-2 text-xs whitespace-pre-wrap">{text}</pre>
+        </details>
+      )}
     </div>
   );
 };
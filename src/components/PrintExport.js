@@ -0,0 +1,226 @@
+import React, { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import moment from "moment";
+import PrintableSchedule from "./PrintableSchedule";
+import { toFileSlug } from "../lib/download";
+import {
+  PAPER_SIZES,
+  PRINT_LAYOUTS,
+  defaultPrintRange,
+  printPages,
+} from "../lib/printLayout";
+import { loadSetting, saveSetting } from "../lib/localSettings";
+import { printStylesheet } from "../styles/printStylesheet";
+
+const PAPER_KEY = "printPaper";
+const DATE_FORMAT = "YYYY-MM-DD";
+
+const layoutForView = (view) =>
+  PRINT_LAYOUTS.some((layout) => layout.value === view) ? view : "week";
+
+const optionsFor = (layout, date) => {
+  const range = defaultPrintRange(layout, date);
+  return {
+    layout,
+    start: moment(range.start).format(DATE_FORMAT),
+    end: moment(range.end).format(DATE_FORMAT),
+    orientation: PRINT_LAYOUTS.find((item) => item.value === layout).orientation,
+  };
+};
+
+/**
+ * prints the filtered schedule as a week grid, month grid or agenda list,
+ * starting from what the calendar is showing. there's no PDF export of
+ * its own: the browser's print dialog saves one, with the page title as the
+ * suggested file name. events are in the display zone already
+ */
+const PrintExport = ({ events, groupColors, selectedGroups, scheduleName, view, date, timeZone }) => {
+  const [options, setOptions] = useState(null);
+  const [paper, setPaper] = useState("letter");
+  const [printing, setPrinting] = useState(false);
+
+  useEffect(() => {
+    setPaper(loadSetting(PAPER_KEY, "letter"));
+  }, []);
+
+  const title = scheduleName || "Schedule";
+  const fileName = options
+    ? toFileSlug(
+        [title, selectedGroups.join("-"), options.layout, options.start].filter(Boolean).join("-")
+      )
+    : "";
+  const fileNameRef = useRef(fileName);
+  fileNameRef.current = fileName;
+
+  useEffect(() => {
+    if (!printing) return undefined;
+    const previousTitle = document.title;
+    // browsers offer the page title as the PDF's file name
+    document.title = fileNameRef.current;
+    const handleAfterPrint = () => setPrinting(false);
+    window.addEventListener("afterprint", handleAfterPrint);
+    window.print();
+    return () => {
+      window.removeEventListener("afterprint", handleAfterPrint);
+      document.title = previousTitle;
+    };
+  }, [printing]);
+
+  const start = options && moment(options.start, DATE_FORMAT, true);
+  const end = options && moment(options.end, DATE_FORMAT, true);
+  let error = null;
+  if (options) {
+    if (!start.isValid() || !end.isValid()) error = "Choose a start and end date.";
+    else if (end.isBefore(start)) error = "The end date is before the start date.";
+  }
+  const pageCount =
+    options && !error && options.layout !== "agenda"
+      ? printPages(options.layout, start.toDate(), end.toDate()).length
+      : null;
+
+  const update = (key, value) => setOptions({ ...options, [key]: value });
+
+  const handleLayout = (layout) =>
+    setOptions({ ...optionsFor(layout, start?.isValid() ? start.toDate() : date) });
+
+  const handlePaper = (value) => {
+    setPaper(value);
+    saveSetting(PAPER_KEY, value);
+  };
+
+  const subtitle = [
+    selectedGroups.length ? `Groups: ${selectedGroups.join(", ")}` : "All groups",
+    `${events.length} sessions`,
+    timeZone && `Times in ${timeZone}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  return (
+    <>
+      <button
+        onClick={() => setOptions(optionsFor(layoutForView(view), date))}
+        disabled={events.length === 0}
+        className="px-4 py-2 rounded bg-gray-200 disabled:opacity-50"
+      >
+        Print
+      </button>
+
+      {options && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white p-6 rounded-lg w-full max-w-md">
+            <h2 className="text-xl font-bold mb-4">Print Schedule</h2>
+
+            <label className="block text-sm mb-3">
+              <span className="block mb-1">Layout</span>
+              <select
+                value={options.layout}
+                onChange={(e) => handleLayout(e.target.value)}
+                className="w-full p-2 border rounded"
+              >
+                {PRINT_LAYOUTS.map((layout) => (
+                  <option key={layout.value} value={layout.value}>
+                    {layout.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <div className="flex gap-2 mb-3">
+              <label className="flex-1 text-sm">
+                <span className="block mb-1">From</span>
+                <input
+                  type="date"
+                  value={options.start}
+                  onChange={(e) => update("start", e.target.value)}
+                  className="w-full p-2 border rounded"
+                />
+              </label>
+              <label className="flex-1 text-sm">
+                <span className="block mb-1">To</span>
+                <input
+                  type="date"
+                  value={options.end}
+                  onChange={(e) => update("end", e.target.value)}
+                  className="w-full p-2 border rounded"
+                />
+              </label>
+            </div>
+
+            <div className="flex gap-2 mb-3">
+              <label className="flex-1 text-sm">
+                <span className="block mb-1">Paper size</span>
+                <select
+                  value={paper}
+                  onChange={(e) => handlePaper(e.target.value)}
+                  className="w-full p-2 border rounded"
+                >
+                  {PAPER_SIZES.map((size) => (
+                    <option key={size.value} value={size.value}>
+                      {size.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex-1 text-sm">
+                <span className="block mb-1">Orientation</span>
+                <select
+                  value={options.orientation}
+                  onChange={(e) => update("orientation", e.target.value)}
+                  className="w-full p-2 border rounded"
+                >
+                  <option value="landscape">Landscape</option>
+                  <option value="portrait">Portrait</option>
+                </select>
+              </label>
+            </div>
+
+            {error ? (
+              <p className="text-sm text-red-600 mb-3">{error}</p>
+            ) : (
+              <p className="text-sm text-gray-600 mb-3">
+                {pageCount !== null && `${pageCount} page${pageCount === 1 ? "" : "s"}. `}
+                To get a PDF, choose &quot;Save as PDF&quot; as the printer in the print dialog.
+              </p>
+            )}
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => setPrinting(true)}
+                disabled={Boolean(error)}
+                className="flex-1 bg-blue-500 text-white p-2 rounded hover:bg-blue-600 disabled:opacity-50"
+              >
+                Print
+              </button>
+              <button
+                onClick={() => setOptions(null)}
+                className="flex-1 bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {printing &&
+        createPortal(
+          <div className="print-root">
+            <style>{printStylesheet({ paper, orientation: options.orientation })}</style>
+            <PrintableSchedule
+              layout={options.layout}
+              start={start.toDate()}
+              end={end.toDate()}
+              events={events}
+              groupColors={groupColors}
+              title={title}
+              subtitle={subtitle}
+            />
+          </div>,
+          document.body
+        )}
+    </>
+  );
+};
+
+export default PrintExport;
@@ -0,0 +1,236 @@
+import React from "react";
+import moment from "moment";
+import { getCourseName } from "../lib/eventDetails";
+import {
+  daySegment,
+  eventsInRange,
+  gridHours,
+  layoutDay,
+  printPages,
+} from "../lib/printLayout";
+
+const DEFAULT_COLOR = "#3b82f6";
+
+const timeRange = (start, end) =>
+  `${moment(start).format("h:mm A")} – ${moment(end).format("h:mm A")}`;
+
+const PageHeader = ({ title, subtitle, range }) => (
+  <header className="print-header">
+    <h1>{title}</h1>
+    <p>{range}</p>
+    <p>{subtitle}</p>
+  </header>
+);
+
+const WeekPage = ({ page, events, groupColors, header }) => {
+  const colorOf = (event) => groupColors[event.learnerGroup] || DEFAULT_COLOR;
+  const timed = events.filter((event) => !event.allDay);
+  const allDay = events.filter((event) => event.allDay);
+  const columns = page.days.map((day) => ({
+    day,
+    allDay: allDay.filter((event) => daySegment(event, day)),
+    segments: timed.map((event) => daySegment(event, day)).filter(Boolean),
+  }));
+  const { first, last } = gridHours(columns.flatMap((column) => column.segments));
+  const hours = last - first;
+  const offset = (date, day) =>
+    ((moment(date).diff(moment(day).startOf("day"), "minutes") / 60 - first) / hours) * 100;
+
+  return (
+    <section className="print-page">
+      <PageHeader
+        {...header}
+        range={`Week of ${moment(page.start).format("MMMM D, YYYY")}`}
+      />
+      <div className="print-week" style={{ "--print-hours": hours }}>
+        <div />
+        {columns.map(({ day }) => (
+          <div key={day.toISOString()} className="print-week-day-head">
+            {moment(day).format("ddd M/D")}
+          </div>
+        ))}
+
+        {allDay.length > 0 && (
+          <>
+            <div className="print-muted">All day</div>
+            {columns.map(({ day, allDay: dayEvents }) => (
+              <div key={day.toISOString()} className="print-week-all-day">
+                {dayEvents.map((event) => (
+                  <div
+                    key={event.id}
+                    className="print-event"
+                    style={{ backgroundColor: colorOf(event) }}
+                  >
+                    {event.title}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </>
+        )}
+
+        <div className="print-week-hours">
+          {Array.from({ length: hours }, (_, index) => (
+            <span key={index} style={{ top: `${(index / hours) * 100}%` }}>
+              {index > 0 && moment().hours(first + index).format("h A")}
+            </span>
+          ))}
+        </div>
+        {columns.map(({ day, segments }) => (
+          <div key={day.toISOString()} className="print-week-column">
+            {layoutDay(segments).map(({ event, start, end, lane, lanes }) => (
+              <div
+                key={event.id}
+                className="print-event"
+                style={{
+                  top: `${offset(start, day)}%`,
+                  height: `${offset(end, day) - offset(start, day)}%`,
+                  left: `${(lane / lanes) * 100}%`,
+                  width: `${100 / lanes}%`,
+                  backgroundColor: colorOf(event),
+                }}
+              >
+                <div>
+                  <strong>{event.title}</strong>
+                </div>
+                <div className="print-event-meta">{timeRange(event.start, event.end)}</div>
+                <div className="print-event-meta">{getCourseName(event)}</div>
+                {event.location && (
+                  <div className="print-event-meta">{event.location}</div>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+const MonthPage = ({ page, events, groupColors, header }) => {
+  const weeks = [];
+  for (let index = 0; index < page.days.length; index += 7) {
+    weeks.push(page.days.slice(index, index + 7));
+  }
+
+  return (
+    <section className="print-page">
+      <PageHeader {...header} range={moment(page.start).format("MMMM YYYY")} />
+      <table className="print-month" style={{ "--print-weeks": weeks.length }}>
+        <thead>
+          <tr>
+            {weeks[0].map((day) => (
+              <th key={day.toISOString()}>{moment(day).format("dddd")}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {weeks.map((week) => (
+            <tr key={week[0].toISOString()}>
+              {week.map((day) => (
+                <td
+                  key={day.toISOString()}
+                  className={moment(day).isSame(page.start, "month") ? "" : "print-outside"}
+                >
+                  <div className="print-month-date">{moment(day).date()}</div>
+                  {events
+                    .filter((event) => daySegment(event, day))
+                    .map((event) => (
+                      <div key={event.id} className="print-month-entry">
+                        <span
+                          className="print-dot"
+                          style={{
+                            backgroundColor: groupColors[event.learnerGroup] || DEFAULT_COLOR,
+                          }}
+                        />
+                        <span>
+                          {!event.allDay && (
+                            <span className="print-muted">
+                              {moment(event.start).format("h:mm")}{" "}
+                            </span>
+                          )}
+                          {event.title}
+                          {event.location && (
+                            <span className="print-muted"> · {event.location}</span>
+                          )}
+                        </span>
+                      </div>
+                    ))}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+};
+
+const AgendaPage = ({ page, events, groupColors, header }) => {
+  const days = [];
+  for (
+    let day = moment(page.start);
+    !day.isAfter(page.end);
+    day = day.clone().add(1, "day")
+  ) {
+    const dayEvents = events.filter((event) => daySegment(event, day.toDate()));
+    if (dayEvents.length) days.push({ day: day.toDate(), events: dayEvents });
+  }
+
+  return (
+    <section className="print-page">
+      <PageHeader
+        {...header}
+        range={`${moment(page.start).format("MMMM D")} – ${moment(page.end).format(
+          "MMMM D, YYYY"
+        )}`}
+      />
+      {days.length === 0 && <p className="print-muted">No sessions in this range.</p>}
+      {days.map(({ day, events: dayEvents }) => (
+        <div key={day.toISOString()} className="print-agenda-day">
+          <h2>{moment(day).format("dddd, MMMM D, YYYY")}</h2>
+          {dayEvents.map((event) => (
+            <div key={event.id} className="print-agenda-entry">
+              <span
+                className="print-swatch"
+                style={{
+                  backgroundColor: groupColors[event.learnerGroup] || DEFAULT_COLOR,
+                }}
+              />
+              <span>{event.allDay ? "All day" : timeRange(event.start, event.end)}</span>
+              <span>
+                <strong>{event.title}</strong>
+                <span className="print-muted"> · {getCourseName(event)}</span>
+              </span>
+              <span>{event.location}</span>
+              <span className="print-muted">{event.learnerGroup}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </section>
+  );
+};
+
+const PAGES = { week: WeekPage, month: MonthPage, agenda: AgendaPage };
+
+/**
+ * the schedule laid out for paper: a page per week or month, or one
+ * agenda list. styled by the print stylesheet, not tailwind, so what is
+ * printed doesn't depend on the app's screen styles
+ */
+const PrintableSchedule = ({ layout, start, end, events, groupColors, title, subtitle }) => {
+  const Page = PAGES[layout];
+  const inRange = eventsInRange(events, start, end);
+  return printPages(layout, start, end).map((page) => (
+    <Page
+      key={page.start.toISOString()}
+      page={page}
+      events={eventsInRange(inRange, page.days?.[0] || page.start, page.days?.at(-1) || page.end)}
+      groupColors={groupColors}
+      header={{ title, subtitle }}
+    />
+  ));
+};
+
+export default PrintableSchedule;
@@ -0,0 +1,265 @@
+import React, { useState } from "react";
+import { createItemId, validateProgram } from "../lib/degreeProgress";
+
+const toDraft = (program) => ({
+  ...program,
+  requirements: program.requirements.map((requirement) => ({
+    ...requirement,
+    coursesText: requirement.courses.join(", "),
+  })),
+});
+
+const fromDraft = ({ requirements, ...draft }) => ({
+  ...draft,
+  creditsRequired: Number(draft.creditsRequired) || 0,
+  creditsPerTerm: Number(draft.creditsPerTerm),
+  requirements: requirements.map(({ coursesText, ...requirement }) => ({
+    ...requirement,
+    name: requirement.name.trim(),
+    credits: Number(requirement.credits) || 0,
+    term: requirement.term === "" ? "" : Number(requirement.term),
+    courses: coursesText
+      .split(",")
+      .map((course) => course.trim())
+      .filter(Boolean),
+  })),
+  milestones: draft.milestones.map((milestone) => ({
+    ...milestone,
+    name: milestone.name.trim(),
+    term: milestone.term === "" ? "" : Number(milestone.term),
+  })),
+});
+
+/**
+ * editor for the degree program: required courses with credits and
+ * planned terms, milestones, and the credit totals
+ */
+const ProgramSettings = ({ program, onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => toDraft(program));
+  const errors = validateProgram(draft);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  const update = (key, value) => setDraft({ ...draft, [key]: value });
+
+  const updateItem = (list, index, key, value) =>
+    update(
+      list,
+      draft[list].map((item, itemIndex) => (itemIndex === index ? { ...item, [key]: value } : item))
+    );
+
+  const removeItem = (list, index) =>
+    update(
+      list,
+      draft[list].filter((_, itemIndex) => itemIndex !== index)
+    );
+
+  const handleSave = () => {
+    if (hasErrors) return;
+    onSave(fromDraft(draft));
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+      <div className="bg-white p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-bold mb-4">Degree Program</h2>
+
+        <div className="grid grid-cols-2 gap-3 mb-4 text-sm">
+          <label className="block">
+            <span className="block mb-1">Program name</span>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => update("name", e.target.value)}
+              placeholder="PhD in Neuroscience"
+              className="w-full p-2 border rounded"
+            />
+          </label>
+          <label className="block">
+            <span className="block mb-1">First term</span>
+            <input
+              type="text"
+              value={draft.startTerm}
+              onChange={(e) => update("startTerm", e.target.value)}
+              placeholder={`Fall ${new Date().getFullYear()}`}
+              className={`w-full p-2 border rounded ${errors.startTerm ? "border-red-500" : ""}`}
+            />
+            {errors.startTerm && (
+              <span className="text-xs text-red-600">{errors.startTerm}</span>
+            )}
+          </label>
+          <label className="block">
+            <span className="block mb-1">Credits required</span>
+            <input
+              type="number"
+              min="0"
+              value={draft.creditsRequired}
+              onChange={(e) => update("creditsRequired", e.target.value)}
+              className={`w-full p-2 border rounded ${
+                errors.creditsRequired ? "border-red-500" : ""
+              }`}
+            />
+            <span className="text-xs text-gray-500">
+              {errors.creditsRequired || "0 counts the required courses' credits"}
+            </span>
+          </label>
+          <label className="block">
+            <span className="block mb-1">Credits per term</span>
+            <input
+              type="number"
+              min="1"
+              value={draft.creditsPerTerm}
+              onChange={(e) => update("creditsPerTerm", e.target.value)}
+              className={`w-full p-2 border rounded ${
+                errors.creditsPerTerm ? "border-red-500" : ""
+              }`}
+            />
+            <span className="text-xs text-gray-500">
+              {errors.creditsPerTerm || "Used to project when remaining credits are done"}
+            </span>
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={draft.includeSummer}
+              onChange={(e) => update("includeSummer", e.target.checked)}
+            />
+            Count summer as a term
+          </label>
+        </div>
+
+        <h3 className="font-semibold mb-2">Required courses</h3>
+        <p className="text-xs text-gray-500 mb-2">
+          Term is counted from the first term (1 = first term). Course names link imported
+          sessions by their Course Name; separate several with commas.
+        </p>
+        {draft.requirements.map((requirement, index) => (
+          <div key={requirement.id} className="mb-2">
+            <div className="flex gap-2 text-sm">
+              <input
+                type="text"
+                value={requirement.name}
+                onChange={(e) => updateItem("requirements", index, "name", e.target.value)}
+                placeholder="Requirement"
+                className="flex-1 p-2 border rounded"
+              />
+              <input
+                type="number"
+                min="0"
+                value={requirement.credits}
+                onChange={(e) => updateItem("requirements", index, "credits", e.target.value)}
+                title="Credits"
+                className="w-20 p-2 border rounded"
+              />
+              <input
+                type="number"
+                min="1"
+                value={requirement.term}
+                onChange={(e) => updateItem("requirements", index, "term", e.target.value)}
+                title="Planned term"
+                placeholder="Term"
+                className="w-20 p-2 border rounded"
+              />
+              <input
+                type="text"
+                value={requirement.coursesText}
+                onChange={(e) =>
+                  updateItem("requirements", index, "coursesText", e.target.value)
+                }
+                placeholder="Course names"
+                className="flex-1 p-2 border rounded"
+              />
+              <button
+                onClick={() => removeItem("requirements", index)}
+                className="px-2 text-red-600"
+                title="Remove requirement"
+              >
+                ✕
+              </button>
+            </div>
+            {errors[`requirements.${index}`] && (
+              <span className="text-xs text-red-600">{errors[`requirements.${index}`]}</span>
+            )}
+          </div>
+        ))}
+        <button
+          onClick={() =>
+            update("requirements", [
+              ...draft.requirements,
+              { id: createItemId(), name: "", credits: 3, term: "", coursesText: "", completed: false },
+            ])
+          }
+          className="mb-4 text-sm text-blue-700 hover:underline"
+        >
+          + Add required course
+        </button>
+
+        <h3 className="font-semibold mb-2">Milestones</h3>
+        <p className="text-xs text-gray-500 mb-2">
+          A calendar event with the milestone&apos;s name in its title schedules it.
+        </p>
+        {draft.milestones.map((milestone, index) => (
+          <div key={milestone.id} className="mb-2">
+            <div className="flex gap-2 text-sm">
+              <input
+                type="text"
+                value={milestone.name}
+                onChange={(e) => updateItem("milestones", index, "name", e.target.value)}
+                placeholder="Milestone"
+                className="flex-1 p-2 border rounded"
+              />
+              <input
+                type="number"
+                min="1"
+                value={milestone.term}
+                onChange={(e) => updateItem("milestones", index, "term", e.target.value)}
+                title="Planned term"
+                placeholder="Term"
+                className="w-20 p-2 border rounded"
+              />
+              <button
+                onClick={() => removeItem("milestones", index)}
+                className="px-2 text-red-600"
+                title="Remove milestone"
+              >
+                ✕
+              </button>
+            </div>
+            {errors[`milestones.${index}`] && (
+              <span className="text-xs text-red-600">{errors[`milestones.${index}`]}</span>
+            )}
+          </div>
+        ))}
+        <button
+          onClick={() =>
+            update("milestones", [
+              ...draft.milestones,
+              { id: createItemId(), name: "", term: "", completedOn: "" },
+            ])
+          }
+          className="mb-4 text-sm text-blue-700 hover:underline"
+        >
+          + Add milestone
+        </button>
+
+        <div className="flex gap-2">
+          <button
+            onClick={handleSave}
+            disabled={hasErrors}
+            className="flex-1 bg-blue-500 text-white p-2 rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            Save
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProgramSettings;
@@ -0,0 +1,153 @@
+import React, { useState } from "react";
+import moment from "moment";
+import { REPEAT_OPTIONS } from "../lib/eventSeries";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DEFAULT_COUNT = 10;
+
+/**
+ * repeat settings for the Add/Edit Event form. renders plain named inputs
+ * so the form's FormData carries them; see readRecurrenceForm
+ */
+const RecurrenceFields = ({ start, recurrence }) => {
+  const [repeat, setRepeat] = useState(recurrence?.repeat || "none");
+  const [endType, setEndType] = useState(recurrence?.until ? "until" : "count");
+  const [exceptionDates, setExceptionDates] = useState(
+    recurrence?.exceptionDates || []
+  );
+  const [newException, setNewException] = useState("");
+  const weekdays = recurrence?.weekdays?.length
+    ? recurrence.weekdays
+    : [moment(start).day()];
+
+  const handleAddException = () => {
+    if (!newException || exceptionDates.includes(newException)) return;
+    setExceptionDates([...exceptionDates, newException].sort());
+    setNewException("");
+  };
+
+  return (
+    <div className="mb-4 text-sm">
+      <label className="block mb-1">Repeat</label>
+      <select
+        name="repeat"
+        value={repeat}
+        onChange={(e) => setRepeat(e.target.value)}
+        className="w-full p-2 border rounded"
+      >
+        {REPEAT_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      {repeat !== "none" && (
+        <div className="mt-2 space-y-2">
+          {(repeat === "weekly" || repeat === "biweekly") && (
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAYS.map((label, day) => (
+                <label key={label} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    name="weekdays"
+                    value={day}
+                    defaultChecked={weekdays.includes(day)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="flex items-center gap-1">
+              <input
+                type="radio"
+                name="endType"
+                value="count"
+                checked={endType === "count"}
+                onChange={() => setEndType("count")}
+              />
+              After
+            </label>
+            <input
+              type="number"
+              name="count"
+              min="1"
+              max="500"
+              defaultValue={recurrence?.count || DEFAULT_COUNT}
+              disabled={endType !== "count"}
+              className="w-20 p-1 border rounded"
+            />
+            <span>times</span>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="flex items-center gap-1">
+              <input
+                type="radio"
+                name="endType"
+                value="until"
+                checked={endType === "until"}
+                onChange={() => setEndType("until")}
+              />
+              Until
+            </label>
+            <input
+              type="date"
+              name="until"
+              defaultValue={recurrence?.until || ""}
+              disabled={endType !== "until"}
+              required={endType === "until"}
+              className="p-1 border rounded"
+            />
+          </div>
+
+          <div>
+            <label className="block mb-1">Skip dates</label>
+            <div className="flex gap-2">
+              <input
+                type="date"
+                value={newException}
+                onChange={(e) => setNewException(e.target.value)}
+                className="flex-1 p-1 border rounded"
+              />
+              <button
+                type="button"
+                onClick={handleAddException}
+                className="px-2 rounded bg-gray-200"
+              >
+                Add
+              </button>
+            </div>
+            {exceptionDates.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-1">
+                {exceptionDates.map((date) => (
+                  <span
+                    key={date}
+                    className="flex items-center gap-1 px-2 rounded bg-gray-100"
+                  >
+                    {moment(date).format("MMM D")}
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setExceptionDates(exceptionDates.filter((item) => item !== date))
+                      }
+                      aria-label={`Don't skip ${date}`}
+                      className="text-gray-500 hover:text-red-600"
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <input type="hidden" name="exceptionDates" value={exceptionDates.join(",")} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceFields;
@@ -0,0 +1,116 @@
+import React, { useState } from "react";
+import LeadTimePicker from "./LeadTimePicker";
+
+const PERMISSION_TEXT = {
+  granted: "Notifications are allowed.",
+  denied: "Notifications are blocked for this site; allow them in the browser's site settings.",
+  default: "The browser will ask before showing notifications.",
+  unsupported: "This browser can't show notifications.",
+};
+
+/**
+ * reminder settings: turning notifications on, lead times for deadlines
+ * and default lead times per category. events can still set their own
+ */
+const ReminderSettings = ({
+  settings,
+  categories,
+  permission,
+  onRequestPermission,
+  onTest,
+  onSave,
+  onClose,
+}) => {
+  const [draft, setDraft] = useState(settings);
+
+  const handleEnabled = async (enabled) => {
+    setDraft({ ...draft, enabled });
+    if (enabled && permission === "default") await onRequestPermission();
+  };
+
+  const setCategoryLeads = (category, leads) => {
+    const rest = Object.fromEntries(
+      Object.entries(draft.categoryLeads).filter(([key]) => key !== category)
+    );
+    setDraft({
+      ...draft,
+      categoryLeads: leads.length ? { ...rest, [category]: leads } : rest,
+    });
+  };
+
+  const handleSave = () => {
+    onSave(draft);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+      <div className="bg-white p-6 rounded-lg w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <h2 className="text-xl font-bold mb-4">Reminders</h2>
+
+        <label className="flex items-center gap-2 text-sm mb-1">
+          <input
+            type="checkbox"
+            checked={draft.enabled}
+            disabled={permission === "unsupported"}
+            onChange={(e) => handleEnabled(e.target.checked)}
+          />
+          Show reminder notifications
+        </label>
+        <p className="text-xs text-gray-500 mb-2">
+          {PERMISSION_TEXT[permission]} Reminders arrive while the planner is open in a tab,
+          even in the background; they can&apos;t reach you once the tab is closed.
+        </p>
+        {permission === "granted" && (
+          <button onClick={onTest} className="mb-4 text-sm text-blue-700 hover:underline">
+            Send a test notification
+          </button>
+        )}
+
+        <h3 className="font-semibold mt-2 mb-1">Deadlines</h3>
+        <p className="text-xs text-gray-500 mb-2">
+          Used for deadlines whose category has no reminders of its own.
+        </p>
+        <div className="mb-4">
+          <LeadTimePicker
+            value={draft.deadlineLeads}
+            onChange={(deadlineLeads) => setDraft({ ...draft, deadlineLeads })}
+          />
+        </div>
+
+        <h3 className="font-semibold mb-1">By category</h3>
+        <p className="text-xs text-gray-500 mb-2">
+          Events in a category are reminded at these times unless the event sets its own.
+        </p>
+        <div className="space-y-2 mb-4">
+          {categories.map((category) => (
+            <div key={category} className="flex items-center gap-2 text-sm">
+              <span className="w-28 shrink-0">{category}</span>
+              <LeadTimePicker
+                value={draft.categoryLeads[category] || []}
+                onChange={(leads) => setCategoryLeads(category, leads)}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={handleSave}
+            className="flex-1 bg-blue-500 text-white p-2 rounded hover:bg-blue-600"
+          >
+            Save
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReminderSettings;
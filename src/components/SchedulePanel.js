@@ -0,0 +1,269 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  createSchedule,
+  deleteSchedule,
+  fetchSchedule,
+  fetchSchedules,
+  renameSchedule,
+  saveScheduleEvents,
+} from "../lib/scheduleApi";
+import {
+  deleteCachedSchedule,
+  getCachedSchedule,
+  getCachedSchedules,
+  getMeta,
+  putCachedSchedule,
+  setMeta,
+} from "../lib/scheduleCache";
+import { createAutosaver } from "../lib/autosave";
+
+const AUTOSAVE_DELAY = 1000;
+const LAST_SCHEDULE_KEY = "lastScheduleId";
+const DRAFT_KEY = "draftEvents";
+
+const summaryOf = ({ events, ...schedule }) => ({
+  ...schedule,
+  eventCount: events.length,
+});
+
+/**
+ * the server copy of a schedule, unless the cached copy has edits that
+ * never reached the server: those are pushed first, so they always win
+ */
+const syncSchedule = async (id, cached) => {
+  const remote = cached?.pendingSync
+    ? await saveScheduleEvents(id, cached.events)
+    : await fetchSchedule(id);
+  await putCachedSchedule(remote).catch(() => {});
+  return remote;
+};
+
+/**
+ * save / open / rename / delete named schedules. the open schedule is
+ * autosaved to the API and cached in IndexedDB; unsaved work is kept as a
+ * local draft so a refresh never loses it
+ */
+const SchedulePanel = ({ events, onLoadEvents, onCurrentChange, disabled }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [saveStatus, setSaveStatus] = useState("");
+  const [isRestored, setIsRestored] = useState(false);
+  const [autosaver] = useState(() => createAutosaver(AUTOSAVE_DELAY));
+  // the restore effect runs once, so it reads the latest callbacks here
+  const callbacksRef = useRef({ onLoadEvents, onCurrentChange });
+  useEffect(() => {
+    callbacksRef.current = { onLoadEvents, onCurrentChange };
+  });
+
+  const loadEvents = useCallback(
+    (nextEvents) => {
+      autosaver.markSaved(nextEvents);
+      callbacksRef.current.onLoadEvents(nextEvents);
+    },
+    [autosaver]
+  );
+
+  const openLocally = useCallback(
+    (schedule) => {
+      const { events: scheduleEvents, ...details } = schedule;
+      setCurrent(details);
+      loadEvents(scheduleEvents);
+      setMeta(LAST_SCHEDULE_KEY, schedule.id).catch(() => {});
+    },
+    [loadEvents]
+  );
+
+  const refreshList = useCallback(async () => {
+    try {
+      setSchedules(await fetchSchedules());
+    } catch (error) {
+      console.warn("Falling back to cached schedules:", error);
+      const cached = await getCachedSchedules().catch(() => []);
+      setSchedules(
+        cached
+          .map(summaryOf)
+          .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      );
+    }
+  }, []);
+
+  useEffect(() => {
+    const restore = async () => {
+      const lastId = await getMeta(LAST_SCHEDULE_KEY).catch(() => null);
+      if (lastId) {
+        const cached = await getCachedSchedule(lastId).catch(() => null);
+        if (cached) openLocally(cached);
+        try {
+          const remote = await syncSchedule(lastId, cached);
+          if (!cached || remote.updatedAt > cached.updatedAt) {
+            openLocally(remote);
+          }
+        } catch (error) {
+          console.warn("Could not reach saved schedule:", error);
+          if (!cached) setMeta(LAST_SCHEDULE_KEY, null).catch(() => {});
+        }
+      } else {
+        const draft = await getMeta(DRAFT_KEY).catch(() => null);
+        if (draft?.length) loadEvents(draft);
+      }
+      setIsRestored(true);
+      refreshList();
+    };
+    restore();
+  }, [loadEvents, openLocally, refreshList]);
+
+  useEffect(() => {
+    callbacksRef.current.onCurrentChange?.(current);
+  }, [current]);
+
+  useEffect(() => {
+    if (!isRestored || !autosaver.hasChanges(events)) return;
+    if (!current) {
+      setMeta(DRAFT_KEY, events).catch(() => {});
+      autosaver.markSaved(events);
+      return;
+    }
+
+    putCachedSchedule({
+      ...current,
+      events,
+      updatedAt: new Date().toISOString(),
+      pendingSync: true,
+    }).catch(() => {});
+    setSaveStatus("Saving...");
+
+    autosaver.schedule(events, async (pendingEvents) => {
+      try {
+        const saved = await saveScheduleEvents(current.id, pendingEvents);
+        await putCachedSchedule(saved).catch(() => {});
+        setSchedules((list) =>
+          list.map((item) => (item.id === saved.id ? summaryOf(saved) : item))
+        );
+        setSaveStatus("All changes saved");
+      } catch (error) {
+        setSaveStatus("Saved on this device only — server unavailable");
+        throw error;
+      }
+    });
+  }, [events, current, isRestored, autosaver]);
+
+  const handleSaveAs = async () => {
+    const name = prompt("Name this schedule:", current ? `${current.name} copy` : "");
+    if (!name || !name.trim()) return;
+    await autosaver.flush();
+    try {
+      const schedule = await createSchedule(name.trim(), events);
+      await putCachedSchedule(schedule).catch(() => {});
+      openLocally(schedule);
+      setMeta(DRAFT_KEY, []).catch(() => {});
+      setSaveStatus(`Saved "${schedule.name}"`);
+      refreshList();
+    } catch (error) {
+      alert(`Could not save schedule: ${error.message}`);
+    }
+  };
+
+  const handleOpen = async (id) => {
+    // edits still waiting for the autosave belong to the schedule being left
+    await autosaver.flush();
+    if (!id) {
+      setCurrent(null);
+      setMeta(LAST_SCHEDULE_KEY, null).catch(() => {});
+      const draft = await getMeta(DRAFT_KEY).catch(() => null);
+      loadEvents(draft || []);
+      setSaveStatus("");
+      return;
+    }
+    const cached = await getCachedSchedule(id).catch(() => null);
+    try {
+      openLocally(await syncSchedule(id, cached));
+      setSaveStatus("");
+    } catch (error) {
+      if (cached) {
+        openLocally(cached);
+        setSaveStatus("Opened cached copy — server unavailable");
+      } else {
+        alert(`Could not open schedule: ${error.message}`);
+      }
+    }
+  };
+
+  const handleRename = async () => {
+    if (!current) return;
+    const name = prompt("Rename schedule:", current.name);
+    if (!name || !name.trim() || name.trim() === current.name) return;
+    try {
+      const schedule = await renameSchedule(current.id, name.trim());
+      await putCachedSchedule(schedule).catch(() => {});
+      setCurrent({ ...current, name: schedule.name });
+      refreshList();
+    } catch (error) {
+      alert(`Could not rename schedule: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!current) return;
+    if (!confirm(`Delete "${current.name}"? This cannot be undone.`)) return;
+    try {
+      autosaver.cancel();
+      await deleteSchedule(current.id);
+      await deleteCachedSchedule(current.id).catch(() => {});
+      setCurrent(null);
+      setMeta(LAST_SCHEDULE_KEY, null).catch(() => {});
+      // keep the events on screen as an unsaved draft
+      setMeta(DRAFT_KEY, events).catch(() => {});
+      setSaveStatus(`Deleted "${current.name}"`);
+      refreshList();
+    } catch (error) {
+      alert(`Could not delete schedule: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-medium mb-2">Saved Schedules</label>
+      <div className="flex flex-wrap gap-2">
+        <select
+          value={current?.id || ""}
+          onChange={(e) => handleOpen(e.target.value)}
+          className="flex-1 p-2 border rounded"
+          disabled={disabled}
+        >
+          <option value="">Unsaved schedule</option>
+          {schedules.map((schedule) => (
+            <option key={schedule.id} value={schedule.id}>
+              {schedule.name} ({schedule.eventCount} events)
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={handleSaveAs}
+          className="px-4 py-2 rounded bg-blue-500 text-white"
+          disabled={disabled}
+        >
+          Save As
+        </button>
+        <button
+          onClick={handleRename}
+          className="px-4 py-2 rounded bg-gray-200"
+          disabled={disabled || !current}
+        >
+          Rename
+        </button>
+        <button
+          onClick={handleDelete}
+          className="px-4 py-2 rounded bg-gray-200"
+          disabled={disabled || !current}
+        >
+          Delete
+        </button>
+      </div>
+      {saveStatus && (
+        <p className="mt-2 text-sm text-gray-600">{saveStatus}</p>
+      )}
+    </div>
+  );
+};
+
+export default SchedulePanel;
@@ -0,0 +1,229 @@
+import React, { useEffect, useState } from "react";
+import moment from "moment";
+import { createShare, revokeShare, shareUrl } from "../lib/scheduleApi";
+import { loadShareLinks, saveShareLinks } from "../lib/shareLinks";
+
+const EXPIRY_OPTIONS = [
+  { value: "", label: "Never" },
+  { value: "1", label: "In 1 day" },
+  { value: "7", label: "In 1 week" },
+  { value: "30", label: "In 30 days" },
+  { value: "120", label: "In 4 months" },
+];
+
+const MODES = [
+  {
+    value: "snapshot",
+    label: "Snapshot",
+    description: "A copy of the schedule as last saved; later edits don't show.",
+  },
+  {
+    value: "live",
+    label: "Live",
+    description: "Always shows the saved schedule, including later edits.",
+  },
+];
+
+const groupsText = (groups) => (groups.length ? groups.join(", ") : "All groups");
+
+/**
+ * read-only links to the saved schedule for people who don't use the
+ * planner: a snapshot or a live view of the selected learner groups,
+ * optionally expiring. links made in this browser can be copied or revoked
+ */
+const ShareSchedule = ({ schedule, selectedGroups, groupColors }) => {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState("snapshot");
+  const [expiryDays, setExpiryDays] = useState("");
+  const [shares, setShares] = useState([]);
+  const [status, setStatus] = useState("");
+  const [copiedToken, setCopiedToken] = useState(null);
+  const scheduleId = schedule?.id;
+
+  useEffect(() => {
+    if (open && scheduleId) setShares(loadShareLinks(scheduleId));
+  }, [open, scheduleId]);
+
+  const updateShares = (next) => {
+    setShares(next);
+    saveShareLinks(schedule.id, next);
+  };
+
+  const handleCreate = async () => {
+    setStatus("");
+    try {
+      const share = await createShare(schedule.id, {
+        mode,
+        groups: selectedGroups,
+        groupColors: Object.fromEntries(
+          Object.entries(groupColors).filter(
+            ([group]) => !selectedGroups.length || selectedGroups.includes(group)
+          )
+        ),
+        expiresAt: expiryDays
+          ? moment().add(Number(expiryDays), "days").toISOString()
+          : null,
+      });
+      updateShares([share, ...shares]);
+    } catch (error) {
+      setStatus(`Could not create the link: ${error.message}`);
+    }
+  };
+
+  const handleRevoke = async ({ token, manageKey }) => {
+    if (!confirm("Revoke this link? Anyone using it will lose access.")) return;
+    try {
+      await revokeShare(token, manageKey).catch((error) => {
+        // already revoked, e.g. along with a deleted schedule
+        if (error.status !== 404) throw error;
+      });
+      updateShares(shares.filter((share) => share.token !== token));
+    } catch (error) {
+      setStatus(`Could not revoke the link: ${error.message}`);
+    }
+  };
+
+  const handleCopy = async (token) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(token));
+      setCopiedToken(token);
+      setTimeout(() => setCopiedToken(null), 2000);
+    } catch (error) {
+      console.warn("Clipboard unavailable:", error);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        disabled={!schedule}
+        title={schedule ? "Share a read-only link" : "Save the schedule to share it"}
+        className="px-4 py-2 rounded bg-gray-200 disabled:opacity-50"
+      >
+        Share
+      </button>
+
+      {open && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white p-6 rounded-lg w-full max-w-lg max-h-[90vh] overflow-y-auto">
+            <h2 className="text-xl font-bold mb-4">Share {schedule.name}</h2>
+
+            <p className="text-sm mb-3">
+              <span className="font-medium">Groups:</span> {groupsText(selectedGroups)}
+              <span className="block text-xs text-gray-500">
+                Change the group filter to share other groups.
+              </span>
+            </p>
+
+            <fieldset className="mb-3 text-sm">
+              <legend className="font-medium mb-1">Link shows</legend>
+              {MODES.map((option) => (
+                <label key={option.value} className="flex items-start gap-2 mb-1">
+                  <input
+                    type="radio"
+                    name="share-mode"
+                    value={option.value}
+                    checked={mode === option.value}
+                    onChange={() => setMode(option.value)}
+                    className="mt-1"
+                  />
+                  <span>
+                    {option.label}
+                    <span className="block text-xs text-gray-500">{option.description}</span>
+                  </span>
+                </label>
+              ))}
+            </fieldset>
+
+            <label className="block text-sm mb-4">
+              <span className="block font-medium mb-1">Expires</span>
+              <select
+                value={expiryDays}
+                onChange={(e) => setExpiryDays(e.target.value)}
+                className="w-full p-2 border rounded"
+              >
+                {EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            {status && <p className="text-sm text-red-600 mb-2">{status}</p>}
+
+            <div className="flex gap-2 mb-6">
+              <button
+                onClick={handleCreate}
+                className="flex-1 bg-blue-500 text-white p-2 rounded hover:bg-blue-600"
+              >
+                Create link
+              </button>
+              <button
+                onClick={() => setOpen(false)}
+                className="flex-1 bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+              >
+                Close
+              </button>
+            </div>
+
+            <h3 className="font-semibold mb-1">Links</h3>
+            <p className="text-xs text-gray-500 mb-2">
+              Only this browser can revoke the links it created.
+            </p>
+            {shares.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No links created from this browser yet.
+              </p>
+            ) : (
+              <ul className="space-y-3 text-sm">
+                {shares.map((share) => {
+                  const expired = share.expiresAt && moment(share.expiresAt).isBefore(moment());
+                  return (
+                    <li key={share.token} className="p-2 border rounded">
+                      <input
+                        readOnly
+                        value={shareUrl(share.token)}
+                        onFocus={(e) => e.target.select()}
+                        className="w-full p-1 border rounded text-xs text-gray-600 mb-1"
+                      />
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="text-xs text-gray-600">
+                          {share.mode === "live" ? "Live" : "Snapshot"} ·{" "}
+                          {groupsText(share.groups)} ·{" "}
+                          {share.expiresAt ? (
+                            <span className={expired ? "text-red-600" : undefined}>
+                              {expired ? "Expired" : "Expires"}{" "}
+                              {moment(share.expiresAt).format("MMM D, YYYY h:mm A")}
+                            </span>
+                          ) : (
+                            "No expiry"
+                          )}
+                        </span>
+                        <button
+                          onClick={() => handleCopy(share.token)}
+                          className="ml-auto text-xs text-blue-700 hover:underline"
+                        >
+                          {copiedToken === share.token ? "Copied!" : "Copy"}
+                        </button>
+                        <button
+                          onClick={() => handleRevoke(share)}
+                          className="text-xs text-red-700 hover:underline"
+                        >
+                          Revoke
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ShareSchedule;
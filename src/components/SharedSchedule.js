@@ -0,0 +1,157 @@
+import React, { useMemo, useState } from "react";
+import { Calendar, momentLocalizer } from "react-big-calendar";
+import moment from "moment";
+import "react-big-calendar/lib/css/react-big-calendar.css";
+import AgendaView from "./AgendaView";
+import GroupLegend from "./GroupLegend";
+import { getCourseName, getSessionType, isDeadline } from "../lib/eventDetails";
+import {
+  DEFAULT_GROUP_SCHEME,
+  UNGROUPED,
+  generateGroupPalette,
+  sortGroups,
+} from "../lib/groupSchemes";
+
+const localizer = momentLocalizer(moment);
+
+const SharedEvent = ({ event }) => (
+  <span>
+    {isDeadline(event) && "⏰ "}
+    {event.title}
+  </span>
+);
+
+const timeText = (event) => {
+  if (event.allDay) return moment(event.start).format("dddd, MMM D, YYYY");
+  if (isDeadline(event)) return `Due ${moment(event.start).format("dddd, MMM D, YYYY h:mm A")}`;
+  return `${moment(event.start).format("dddd, MMM D, YYYY h:mm A")} – ${moment(
+    event.end
+  ).format("h:mm A")}`;
+};
+
+/**
+ * read-only calendar behind a share link. timed events are in the viewer's
+ * own zone, all-day events on the dates the sharer gave them (see
+ * fromStoredEvents); groups without a color from the sharer get one generated
+ */
+const SharedSchedule = ({ shared }) => {
+  const [view, setView] = useState("calendar");
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const groups = useMemo(
+    () =>
+      sortGroups(
+        Array.from(new Set(shared.events.map((event) => event.learnerGroup || UNGROUPED))),
+        DEFAULT_GROUP_SCHEME
+      ),
+    [shared.events]
+  );
+  const groupColors = useMemo(
+    () => ({ ...generateGroupPalette(groups), ...shared.groupColors }),
+    [groups, shared.groupColors]
+  );
+
+  return (
+    <div>
+      <div className="mb-4 text-sm text-gray-600">
+        <p>
+          {shared.groups.length ? shared.groups.join(", ") : "All groups"} ·{" "}
+          {shared.mode === "live"
+            ? `Updated ${moment(shared.updatedAt).format("MMM D, YYYY h:mm A")}`
+            : `Snapshot from ${moment(shared.updatedAt).format("MMM D, YYYY h:mm A")}`}
+          {shared.expiresAt &&
+            ` · Link expires ${moment(shared.expiresAt).format("MMM D, YYYY h:mm A")}`}
+        </p>
+        <p>Read-only: times are shown in your time zone.</p>
+      </div>
+
+      <div className="flex gap-4 mb-4">
+        <button
+          onClick={() => setView("calendar")}
+          className={`px-4 py-2 rounded ${
+            view === "calendar" ? "bg-blue-500 text-white" : "bg-gray-200"
+          }`}
+        >
+          Calendar View
+        </button>
+        <button
+          onClick={() => setView("agenda")}
+          className={`px-4 py-2 rounded ${
+            view === "agenda" ? "bg-blue-500 text-white" : "bg-gray-200"
+          }`}
+        >
+          Agenda View
+        </button>
+      </div>
+
+      <GroupLegend groups={groups} groupColors={groupColors} />
+
+      {view === "calendar" && (
+        <div style={{ height: "70vh" }}>
+          <Calendar
+            localizer={localizer}
+            events={shared.events}
+            startAccessor="start"
+            endAccessor="end"
+            defaultView="week"
+            views={["month", "week", "day"]}
+            onSelectEvent={setSelectedEvent}
+            components={{ event: SharedEvent }}
+            eventPropGetter={(event) => ({
+              style: {
+                backgroundColor: groupColors[event.learnerGroup] || "#3b82f6",
+                borderRadius: "4px",
+                border: "none",
+                color: "white",
+              },
+            })}
+          />
+        </div>
+      )}
+
+      {view === "agenda" && (
+        <AgendaView
+          events={shared.events}
+          now={new Date()}
+          groupColors={groupColors}
+          onSelectEvent={setSelectedEvent}
+        />
+      )}
+
+      {selectedEvent && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white p-6 rounded-lg w-full max-w-md">
+            <h2 className="text-xl font-bold mb-2">{selectedEvent.title}</h2>
+            <dl className="text-sm space-y-1 mb-4">
+              <div>
+                <dt className="inline font-medium">When: </dt>
+                <dd className="inline">{timeText(selectedEvent)}</dd>
+              </div>
+              {[
+                ["Course", getCourseName(selectedEvent)],
+                ["Session type", getSessionType(selectedEvent)],
+                ["Location", selectedEvent.location],
+                ["Learner group", selectedEvent.learnerGroup],
+                ["Notes", selectedEvent.notes],
+              ]
+                .filter(([, value]) => value && value !== "No Course")
+                .map(([label, value]) => (
+                  <div key={label}>
+                    <dt className="inline font-medium">{label}: </dt>
+                    <dd className="inline whitespace-pre-wrap">{value}</dd>
+                  </div>
+                ))}
+            </dl>
+            <button
+              onClick={() => setSelectedEvent(null)}
+              className="w-full bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharedSchedule;
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+
+/**
+ * asks which sheets of a multi-sheet workbook to import
+ */
+const SheetPicker = ({ fileName, sheets, onConfirm, onCancel }) => {
+  const [selected, setSelected] = useState(() => sheets.map((sheet) => sheet.name));
+  const allSelected = selected.length === sheets.length;
+
+  const toggleSheet = (name) => {
+    setSelected((current) =>
+      current.includes(name)
+        ? current.filter((item) => item !== name)
+        : [...current, name]
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // keep workbook order regardless of click order
+    onConfirm(sheets.filter((sheet) => selected.includes(sheet.name)));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white p-6 rounded-lg w-full max-w-md max-h-[90vh] overflow-y-auto"
+      >
+        <h2 className="text-xl font-bold mb-2">Choose Sheets</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {fileName} has {sheets.length} sheets. Each sheet is checked
+          separately, so their columns don&apos;t need to match.
+        </p>
+
+        <label className="flex items-center gap-2 mb-2 text-sm font-medium">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={() =>
+              setSelected(allSelected ? [] : sheets.map((sheet) => sheet.name))
+            }
+          />
+          All sheets
+        </label>
+        <ul className="border rounded mb-4 text-sm">
+          {sheets.map((sheet) => (
+            <li key={sheet.name} className="p-2 border-t first:border-t-0">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(sheet.name)}
+                  onChange={() => toggleSheet(sheet.name)}
+                />
+                <span className="flex-1">{sheet.name}</span>
+                <span className="text-gray-500">
+                  {sheet.rows.length} rows
+                </span>
+              </label>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex gap-2">
+          <button
+            type="submit"
+            disabled={selected.length === 0}
+            className="flex-1 bg-blue-500 text-white p-2 rounded hover:bg-blue-600 disabled:opacity-50"
+          >
+            Import {selected.length} {selected.length === 1 ? "Sheet" : "Sheets"}
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 bg-gray-500 text-white p-2 rounded hover:bg-gray-600"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SheetPicker;
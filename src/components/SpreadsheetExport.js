@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { buildScheduleCsv, buildScheduleWorkbook } from "../lib/scheduleExport";
+import { downloadFile, toFileSlug } from "../lib/download";
+import { matchesFilters } from "../lib/eventFilters";
+
+/**
+ * CSV / Excel download of the schedule as edited, in the columns the
+ * importer reads. events is every event; with the group filter on, only
+ * the selected learner groups are written
+ */
+const SpreadsheetExport = ({ events, selectedGroups, schedule }) => {
+  const [onlySelectedGroups, setOnlySelectedGroups] = useState(true);
+  const filterByGroup = onlySelectedGroups && selectedGroups.length > 0;
+  const exported = filterByGroup
+    ? events.filter((event) => matchesFilters(event, { groups: selectedGroups }))
+    : events;
+  const fileName = toFileSlug(
+    [schedule?.name || "Schedule", filterByGroup && selectedGroups.join("-")]
+      .filter(Boolean)
+      .join("-")
+  );
+
+  const handleCsv = () => {
+    downloadFile(buildScheduleCsv(exported), `${fileName}.csv`, "text/csv;charset=utf-8");
+  };
+
+  const handleXlsx = () => {
+    downloadFile(
+      buildScheduleWorkbook(exported),
+      `${fileName}.xlsx`,
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+  };
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-2">
+      <button
+        onClick={handleCsv}
+        disabled={exported.length === 0}
+        className="px-4 py-2 rounded bg-gray-200 disabled:opacity-50"
+      >
+        Export CSV
+      </button>
+      <button
+        onClick={handleXlsx}
+        disabled={exported.length === 0}
+        className="px-4 py-2 rounded bg-gray-200 disabled:opacity-50"
+      >
+        Export Excel
+      </button>
+      {selectedGroups.length > 0 && (
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={onlySelectedGroups}
+            onChange={(e) => setOnlySelectedGroups(e.target.checked)}
+          />
+          Only {selectedGroups.join(", ")}
+        </label>
+      )}
+      <span className="text-sm text-gray-600">{exported.length} events</span>
+    </div>
+  );
+};
+
+export default SpreadsheetExport;
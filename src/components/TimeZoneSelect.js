@@ -0,0 +1,29 @@
+import React, { useMemo } from "react";
+import { listTimeZones } from "../lib/timezone";
+
+/**
+ * labelled IANA time zone picker; renders nothing until a zone is known
+ */
+const TimeZoneSelect = ({ label, value, onChange, disabled, className = "" }) => {
+  const zones = useMemo(() => listTimeZones(), []);
+  if (!value) return null;
+  return (
+    <label className={`flex items-center gap-2 text-sm ${className}`}>
+      {label}
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="p-1 border rounded"
+        disabled={disabled}
+      >
+        {(zones.includes(value) ? zones : [value, ...zones]).map((zone) => (
+          <option key={zone} value={zone}>
+            {zone.replace(/_/g, " ")}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default TimeZoneSelect;
@@ -0,0 +1,79 @@
+import React from "react";
+import moment from "moment";
+import { getCourseName } from "../lib/eventDetails";
+import { upcomingDeadlines } from "../lib/reminders";
+
+const DAYS_AHEAD = 14;
+
+const dueText = ({ event, overdue, dueIn }, now) => {
+  if (overdue) return "Past due";
+  if (event.allDay && moment(event.start).isSame(now, "day")) return "Today";
+  return `Due ${dueIn}`;
+};
+
+const dueDetails = (event) => {
+  const course = getCourseName(event);
+  return [
+    moment(event.start).format(event.allDay ? "ddd, MMM D" : "ddd, MMM D h:mm A"),
+    course !== "No Course" && course,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+};
+
+/**
+ * sidebar of deadlines due today and over the next two weeks. events
+ * and now are in the display zone
+ */
+const UpcomingDeadlines = ({ events, now, groupColors, onSelectEvent, onOpenSettings }) => {
+  const deadlines = upcomingDeadlines(events, now, DAYS_AHEAD);
+
+  return (
+    <aside className="w-full lg:w-64 shrink-0 p-3 border rounded text-sm self-start">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold">Upcoming deadlines</h3>
+        <button
+          onClick={onOpenSettings}
+          title="Reminder settings"
+          className="text-xs text-blue-700 hover:underline"
+        >
+          Reminders
+        </button>
+      </div>
+      {deadlines.length === 0 ? (
+        <p className="text-gray-500">Nothing due in the next {DAYS_AHEAD} days.</p>
+      ) : (
+        <ul className="space-y-2">
+          {deadlines.map((deadline) => (
+            <li key={deadline.event.id}>
+              <button
+                onClick={() => onSelectEvent(deadline.event)}
+                className="w-full text-left flex gap-2 hover:bg-gray-50 rounded"
+              >
+                <span
+                  className="w-1 shrink-0 rounded"
+                  style={{
+                    backgroundColor: groupColors[deadline.event.learnerGroup] || "#3b82f6",
+                  }}
+                />
+                <span className="min-w-0">
+                  <span className="block font-medium truncate">{deadline.event.title}</span>
+                  <span className="block text-xs text-gray-600">{dueDetails(deadline.event)}</span>
+                  <span
+                    className={`block text-xs ${
+                      deadline.overdue ? "text-red-600" : "text-gray-500"
+                    }`}
+                  >
+                    {dueText(deadline, now)}
+                  </span>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+};
+
+export default UpcomingDeadlines;
@@ -0,0 +1,58 @@
+import React from "react";
+import moment from "moment";
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const hourOptions = (hours) =>
+  hours.map((hour) => (
+    <option key={hour} value={hour}>
+      {moment({ hour: hour % 24 }).format("h A")}
+    </option>
+  ));
+
+/**
+ * start / end hour and weekdays-only inputs for a working-hours setting.
+ * the end hour is kept after the start hour
+ */
+const WorkingHoursFields = ({ value, onChange }) => {
+  const update = (changes) => {
+    const next = { ...value, ...changes };
+    next.endHour = Math.max(next.endHour, next.startHour + 1);
+    onChange(next);
+  };
+
+  return (
+    <>
+      <label className="flex flex-col">
+        Working hours from
+        <select
+          value={value.startHour}
+          onChange={(e) => update({ startHour: Number(e.target.value) })}
+          className="p-1 border rounded"
+        >
+          {hourOptions(HOURS)}
+        </select>
+      </label>
+      <label className="flex flex-col">
+        to
+        <select
+          value={value.endHour}
+          onChange={(e) => update({ endHour: Number(e.target.value) })}
+          className="p-1 border rounded"
+        >
+          {hourOptions(HOURS.map((hour) => hour + 1).filter((hour) => hour > value.startHour))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2 pb-1">
+        <input
+          type="checkbox"
+          checked={value.weekdaysOnly}
+          onChange={(e) => update({ weekdaysOnly: e.target.checked })}
+        />
+        Weekdays only
+      </label>
+    </>
+  );
+};
+
+export default WorkingHoursFields;
@@ -0,0 +1,265 @@
+import React, { useEffect, useMemo, useState } from "react";
+import moment from "moment";
+import WorkingHoursFields from "./WorkingHoursFields";
+import { analyzeWorkload, workloadCsv } from "../lib/workloadAnalytics";
+import { DEFAULT_WORKING_HOURS, loadWorkingHours, saveWorkingHours } from "../lib/timeIntervals";
+import { downloadFile, toFileSlug } from "../lib/download";
+
+const DEFAULT_WEEKS = 8;
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const SummaryCard = ({ label, value, detail }) => (
+  <div className="p-3 border rounded">
+    <div className="text-xs text-gray-500">{label}</div>
+    <div className="text-xl font-semibold">{value}</div>
+    {detail && <div className="text-xs text-gray-600">{detail}</div>}
+  </div>
+);
+
+const HourBars = ({ title, items, colorFor }) => {
+  const max = Math.max(0, ...items.map((item) => item.hours));
+  return (
+    <div>
+      <h3 className="font-semibold mb-2">{title}</h3>
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-500">No sessions.</p>
+      ) : (
+        <div className="space-y-1 text-sm">
+          {items.map((item) => (
+            <div key={item.key} className="flex items-center gap-2">
+              <span className="w-32 shrink-0 truncate" title={item.key}>
+                {item.key}
+              </span>
+              <div className="flex-1 h-3 bg-gray-100 rounded">
+                <div
+                  className="h-3 rounded"
+                  style={{
+                    width: `${max ? (item.hours / max) * 100 : 0}%`,
+                    backgroundColor: colorFor?.(item.key) || "#3b82f6",
+                  }}
+                />
+              </div>
+              <span className="w-20 shrink-0 text-right text-gray-600">
+                {item.hours} h · {item.sessions}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * contact hours, free working time and busiest times over a date range.
+ * events are the filtered events in the display zone, so the numbers
+ * follow the group filter
+ */
+const WorkloadAnalytics = ({ events, groupColors, scheduleName, selectedGroups }) => {
+  const [from, setFrom] = useState(() => moment().startOf("week").format("YYYY-MM-DD"));
+  const [to, setTo] = useState(() =>
+    moment().startOf("week").add(DEFAULT_WEEKS, "weeks").subtract(1, "day").format("YYYY-MM-DD")
+  );
+  const [workingHours, setWorkingHours] = useState(DEFAULT_WORKING_HOURS);
+
+  useEffect(() => {
+    setWorkingHours(loadWorkingHours());
+  }, []);
+
+  const validRange = from && to && !moment(to).isBefore(from);
+  const analysis = useMemo(
+    () => (validRange ? analyzeWorkload(events, from, to, workingHours) : null),
+    [events, from, to, workingHours, validRange]
+  );
+
+  const handleWorkingHours = (next) => {
+    setWorkingHours(next);
+    saveWorkingHours(next);
+  };
+
+  const handleExport = () => {
+    const fileName = toFileSlug(
+      [scheduleName || "Schedule", selectedGroups.join("-"), "workload", from, to]
+        .filter(Boolean)
+        .join("-")
+    );
+    downloadFile(workloadCsv(analysis), `${fileName}.csv`, "text/csv;charset=utf-8");
+  };
+
+  const weekMax = analysis ? Math.max(0, ...analysis.weeks.map((week) => week.hours)) : 0;
+  const heatMax = analysis ? Math.max(0, ...analysis.heatmap.flat()) : 0;
+  // monday first, matching the working-week layout
+  const heatDays = [1, 2, 3, 4, 5, 6, 0];
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-4 mb-4 text-sm">
+        <label className="flex flex-col">
+          From
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="p-1 border rounded"
+          />
+        </label>
+        <label className="flex flex-col">
+          To
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="p-1 border rounded"
+          />
+        </label>
+        <WorkingHoursFields value={workingHours} onChange={handleWorkingHours} />
+        <button
+          onClick={handleExport}
+          disabled={!analysis}
+          className="ml-auto px-4 py-2 rounded bg-gray-200 disabled:opacity-50"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      {!analysis ? (
+        <p className="text-sm text-red-600">The end date must not be before the start date.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            <SummaryCard
+              label="Contact hours"
+              value={analysis.totals.hours}
+              detail={`${analysis.totals.sessions} sessions`}
+            />
+            <SummaryCard
+              label="Average per week"
+              value={
+                analysis.weeks.length
+                  ? Math.round((analysis.totals.hours / analysis.weeks.length) * 10) / 10
+                  : 0
+              }
+              detail={`over ${analysis.weeks.length} weeks`}
+            />
+            <SummaryCard
+              label="Free working hours"
+              value={analysis.totals.freeHours}
+              detail={`of ${analysis.totals.workingHours} working hours`}
+            />
+            <SummaryCard
+              label="Busiest day"
+              value={
+                analysis.busiestDays.length
+                  ? moment(analysis.busiestDays[0].date).format("ddd, MMM D")
+                  : "—"
+              }
+              detail={analysis.busiestDays.length ? `${analysis.busiestDays[0].hours} h` : null}
+            />
+          </div>
+
+          <h3 className="font-semibold mb-2">Hours per week</h3>
+          <div className="flex items-end gap-2 h-40 mb-1 border-b">
+            {analysis.weeks.map((week) => (
+              <div
+                key={week.start.toISOString()}
+                className="flex-1 flex flex-col justify-end h-full"
+                title={`${week.hours} h in sessions · ${week.freeHours} h free`}
+              >
+                <span className="text-xs text-center text-gray-600">{week.hours}</span>
+                <div
+                  className="bg-blue-500 rounded-t"
+                  style={{ height: `${weekMax ? (week.hours / weekMax) * 100 : 0}%` }}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2 mb-6">
+            {analysis.weeks.map((week) => (
+              <span
+                key={week.start.toISOString()}
+                className="flex-1 text-xs text-center text-gray-500"
+              >
+                {moment(week.start).format("MMM D")}
+              </span>
+            ))}
+          </div>
+
+          <div className="grid md:grid-cols-3 gap-6 mb-6">
+            <HourBars title="By course" items={analysis.byCourse} />
+            <HourBars title="By session type" items={analysis.bySessionType} />
+            <HourBars
+              title="By learner group"
+              items={analysis.byGroup}
+              colorFor={(group) => groupColors[group]}
+            />
+          </div>
+
+          <div className="flex flex-col lg:flex-row gap-6">
+            <div className="overflow-x-auto">
+              <h3 className="font-semibold mb-2">Busiest times</h3>
+              <table className="text-xs border-separate" style={{ borderSpacing: "2px" }}>
+                <thead>
+                  <tr>
+                    <th />
+                    {HOURS.map((hour) => (
+                      <th key={hour} className="font-normal text-gray-500">
+                        {hour % 3 === 0 ? moment({ hour }).format("hA") : ""}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {heatDays.map((day) => (
+                    <tr key={day}>
+                      <th className="pr-2 font-normal text-gray-500 text-left">
+                        {moment().day(day).format("ddd")}
+                      </th>
+                      {HOURS.map((hour) => {
+                        const hours = analysis.heatmap[day][hour];
+                        return (
+                          <td
+                            key={hour}
+                            title={`${moment().day(day).format("dddd")} ${moment({ hour }).format(
+                              "h A"
+                            )}: ${hours} h`}
+                            className="w-4 h-4 rounded-sm bg-gray-100"
+                            style={
+                              hours
+                                ? {
+                                    backgroundColor: "#2563eb",
+                                    opacity: 0.15 + 0.85 * (hours / heatMax),
+                                  }
+                                : undefined
+                            }
+                          />
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div>
+              <h3 className="font-semibold mb-2">Busiest days</h3>
+              {analysis.busiestDays.length === 0 ? (
+                <p className="text-sm text-gray-500">No sessions in this range.</p>
+              ) : (
+                <ol className="text-sm space-y-1">
+                  {analysis.busiestDays.map((day) => (
+                    <li key={day.date} className="flex justify-between gap-4">
+                      <span>{moment(day.date).format("ddd, MMM D, YYYY")}</span>
+                      <span className="text-gray-600">{day.hours} h</span>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WorkloadAnalytics;
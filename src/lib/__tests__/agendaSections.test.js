@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { agendaSections } from "../agendaSections";
+import { at } from "./helpers";
+
+
+const session = (title, course, learnerGroup, start, end) => ({
+  title,
+  desc: course && `${course} - Lecture`,
+  learnerGroup,
+  start: at(start),
+  end: at(end),
+});
+
+const events = [
+  session("Histology Lab", "Histology", "B2", "2024-03-05 13:00", "2024-03-05 15:00"),
+  session("Thorax", "Anatomy", "A1", "2024-03-04 10:00", "2024-03-04 11:00"),
+  session("Welcome", null, null, "2024-03-04 08:00", "2024-03-04 09:00"),
+  session("Heart", "Anatomy", "B2", "2024-03-04 09:00", "2024-03-04 10:00"),
+  session("Old", "Anatomy", "A1", "2024-02-26 09:00", "2024-02-26 10:00"),
+];
+
+const outline = (sections) =>
+  sections.map(({ key, count, subsections }) => [
+    key,
+    count,
+    subsections.map((subsection) => [
+      subsection.key,
+      subsection.events.map((event) => event.title),
+    ]),
+  ]);
+
+describe("agendaSections", () => {
+  const range = { from: at("2024-03-04 00:00"), to: at("2024-03-10 00:00") };
+
+  it("splits each day by course", () => {
+    expect(outline(agendaSections(events, { ...range, subgroupBy: "course" }))).toEqual([
+      [
+        "2024-03-04",
+        3,
+        [
+          ["Anatomy", ["Heart", "Thorax"]],
+          ["No Course", ["Welcome"]],
+        ],
+      ],
+      ["2024-03-05", 1, [["Histology", ["Histology Lab"]]]],
+    ]);
+  });
+
+  it("splits each day by learner group, ungrouped sessions included", () => {
+    const [monday] = agendaSections(events, { ...range, subgroupBy: "group" });
+    expect(outline([monday])[0][2]).toEqual([
+      ["A1", ["Thorax"]],
+      ["B2", ["Heart"]],
+      ["Ungrouped", ["Welcome"]],
+    ]);
+  });
+
+  it("keeps days whole without sub-sections, and leaves the range open", () => {
+    const sections = agendaSections(events, { from: null, to: null, subgroupBy: "none" });
+    expect(outline(sections).map(([key, , subsections]) => [key, subsections])).toEqual([
+      ["2024-02-26", [[null, ["Old"]]]],
+      ["2024-03-04", [[null, ["Welcome", "Heart", "Thorax"]]]],
+      ["2024-03-05", [[null, ["Histology Lab"]]]],
+    ]);
+  });
+});
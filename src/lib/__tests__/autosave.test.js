@@ -0,0 +1,70 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createAutosaver } from "../autosave";
+
+describe("createAutosaver", () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  // what SchedulePanel does on every change of the events array
+  const change = (autosaver, events, save) => {
+    if (autosaver.hasChanges(events)) autosaver.schedule(events, save);
+  };
+
+  it("saves an undo back to the loaded events", async () => {
+    const server = [];
+    const save = vi.fn(async (events) => server.push(events));
+    const autosaver = createAutosaver(1000);
+    const loaded = [{ id: "a" }];
+    const edited = [{ id: "a", title: "moved" }];
+
+    autosaver.markSaved(loaded);
+    change(autosaver, loaded, save);
+    await vi.runAllTimersAsync();
+    expect(save).not.toHaveBeenCalled();
+
+    change(autosaver, edited, save);
+    await vi.runAllTimersAsync();
+    change(autosaver, loaded, save);
+    await vi.runAllTimersAsync();
+
+    expect(server).toEqual([edited, loaded]);
+    expect(autosaver.hasChanges(loaded)).toBe(false);
+  });
+
+  it("saves only the latest events of a burst, and retries after a failure", async () => {
+    const save = vi.fn().mockRejectedValueOnce(new Error("offline")).mockResolvedValue();
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const autosaver = createAutosaver(1000);
+    const first = [{ id: "a" }];
+    const second = [{ id: "b" }];
+
+    autosaver.markSaved([]);
+    change(autosaver, first, save);
+    change(autosaver, second, save);
+    await vi.runAllTimersAsync();
+    expect(save.mock.calls).toEqual([[second]]);
+    expect(autosaver.hasChanges(second)).toBe(true);
+
+    change(autosaver, second, save);
+    await vi.runAllTimersAsync();
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(autosaver.hasChanges(second)).toBe(false);
+  });
+
+  it("flushes a scheduled save straight away when switching schedules", async () => {
+    const save = vi.fn().mockResolvedValue();
+    const autosaver = createAutosaver(1000);
+    const edited = [{ id: "a" }];
+
+    autosaver.markSaved([]);
+    change(autosaver, edited, save);
+    await autosaver.flush();
+    expect(save).toHaveBeenCalledWith(edited);
+
+    await vi.runAllTimersAsync();
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+});
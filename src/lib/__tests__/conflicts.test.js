@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { conflictsForEvent, findConflicts } from "../conflicts";
+import { at } from "./helpers";
+
+
+const session = (id, start, end, extra = {}) => ({
+  id,
+  title: id,
+  start: at(start),
+  end: at(end),
+  ...extra,
+});
+
+const summary = (conflicts) => conflicts.map(({ kind, key, a, b }) => [kind, key, a.id, b.id]);
+
+describe("findConflicts", () => {
+  it("matches rooms regardless of case and spacing", () => {
+    const events = [
+      session("a", "2024-03-04 09:00", "2024-03-04 10:00", { location: "Room 101" }),
+      session("b", "2024-03-04 09:30", "2024-03-04 10:30", { location: " room  101 " }),
+      session("c", "2024-03-04 09:30", "2024-03-04 10:30", { location: "Room 102" }),
+    ];
+    expect(summary(findConflicts(events))).toEqual([["location", "Room 101", "a", "b"]]);
+  });
+
+  it("ignores ungrouped sessions, unknown rooms and back-to-back sessions", () => {
+    const events = [
+      session("a", "2024-03-04 09:00", "2024-03-04 10:00", { learnerGroup: "Ungrouped" }),
+      session("b", "2024-03-04 09:00", "2024-03-04 10:00", { learnerGroup: "Ungrouped" }),
+      session("c", "2024-03-04 09:00", "2024-03-04 10:00", { location: "TBA" }),
+      session("d", "2024-03-04 09:00", "2024-03-04 10:00", { location: "tba" }),
+      session("e", "2024-03-04 10:00", "2024-03-04 11:00", { learnerGroup: "A1" }),
+      session("f", "2024-03-04 11:00", "2024-03-04 12:00", { learnerGroup: "A1" }),
+    ];
+    expect(findConflicts(events)).toEqual([]);
+  });
+});
+
+describe("conflictsForEvent", () => {
+  it("checks an edited event against the others, not its old version", () => {
+    const events = [
+      session("a", "2024-03-04 09:00", "2024-03-04 10:00", { learnerGroup: "A1" }),
+      session("b", "2024-03-04 11:00", "2024-03-04 12:00", { learnerGroup: "A1" }),
+    ];
+    const moved = { ...events[1], start: at("2024-03-04 09:30"), end: at("2024-03-04 10:30") };
+    expect(summary(conflictsForEvent(moved, events))).toEqual([["group", "A1", "b", "a"]]);
+  });
+});
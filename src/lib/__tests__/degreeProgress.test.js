@@ -0,0 +1,136 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_PROGRAM,
+  evaluateProgress,
+  linkCourse,
+  parseTerm,
+  termLabel,
+  termOfDate,
+  validateProgram,
+} from "../degreeProgress";
+
+const session = (course, start, end, title = "Lecture") => ({
+  title,
+  desc: `${course} - Lecture`,
+  start: new Date(start),
+  end: new Date(end),
+});
+
+const program = {
+  ...DEFAULT_PROGRAM,
+  name: "PhD in Neuroscience",
+  startTerm: "Fall 2023",
+  creditsRequired: 24,
+  creditsPerTerm: 6,
+  requirements: [
+    { id: "neuro", name: "Neuroanatomy", credits: 4, term: 1, courses: ["Neuroanatomy"] },
+    { id: "stats", name: "Biostatistics", credits: 3, term: 2, courses: ["Biostats 601"] },
+    { id: "ethics", name: "Research ethics", credits: 1, term: 2, courses: [] },
+    { id: "methods", name: "Methods", credits: 3, term: 4, courses: ["Methods"] },
+  ],
+  milestones: [
+    { id: "quals", name: "Qualifying exam", term: 3, completedOn: "" },
+    { id: "proposal", name: "Proposal defense", term: 4, completedOn: "" },
+    { id: "thesis", name: "Thesis submission", term: 6, completedOn: "" },
+  ],
+};
+
+const events = [
+  session("Neuroanatomy", "2023-09-05T13:00:00Z", "2023-09-05T15:00:00Z"),
+  session("Neuroanatomy", "2023-12-01T13:00:00Z", "2023-12-01T15:00:00Z"),
+  session("Biostats 601", "2024-01-20T13:00:00Z", "2024-01-20T15:00:00Z"),
+  session("Biostats 601", "2024-04-20T13:00:00Z", "2024-04-20T15:00:00Z"),
+  session("Methods", "2024-09-03T13:00:00Z", "2024-09-03T15:00:00Z"),
+  session("Journal Club", "2024-02-01T13:00:00Z", "2024-02-01T14:00:00Z"),
+  { ...session("", "2024-05-10T13:00:00Z", "2024-05-10T16:00:00Z", "Qualifying exam"), desc: "" },
+];
+
+const now = new Date("2024-03-01T12:00:00Z");
+
+describe("terms", () => {
+  it("counts terms consecutively, with or without summer", () => {
+    const fall = parseTerm("Fall 2023", program);
+    expect(termOfDate(new Date(2024, 2, 1), program)).toBe(fall + 1);
+    expect(termLabel(fall + 2, program)).toBe("Fall 2024");
+    // June belongs to spring when summer isn't a term
+    expect(termLabel(termOfDate(new Date(2024, 5, 15), program), program)).toBe("Spring 2024");
+
+    const withSummer = { ...program, includeSummer: true };
+    expect(termLabel(termOfDate(new Date(2024, 5, 15), withSummer), withSummer)).toBe(
+      "Summer 2024"
+    );
+    expect(parseTerm("Autumn 2023", program)).toBeNull();
+  });
+});
+
+describe("validateProgram", () => {
+  it("reports bad terms, credits and blank names", () => {
+    const errors = validateProgram({
+      ...program,
+      startTerm: "next fall",
+      creditsPerTerm: 0,
+      requirements: [{ ...program.requirements[0], name: " " }],
+      milestones: [{ ...program.milestones[0], term: 0 }],
+    });
+    expect(Object.keys(errors).sort()).toEqual([
+      "creditsPerTerm",
+      "milestones.0",
+      "requirements.0",
+      "startTerm",
+    ]);
+    expect(validateProgram(program)).toEqual({});
+  });
+});
+
+describe("evaluateProgress", () => {
+  const progress = evaluateProgress(program, events, now);
+  const byId = (list) => Object.fromEntries(list.map((item) => [item.id, item]));
+
+  it("reads requirement status from the linked course's sessions", () => {
+    const requirements = byId(progress.requirements);
+    expect(requirements.neuro.status).toBe("completed");
+    expect(requirements.stats.status).toBe("in-progress");
+    expect(requirements.methods.status).toBe("scheduled");
+    expect(requirements.ethics).toMatchObject({ status: "remaining", overdue: false });
+    expect(termLabel(requirements.methods.term, program)).toBe("Fall 2024");
+    expect(requirements.methods.offPlan).toBe(true);
+  });
+
+  it("totals credits and lists courses without a requirement", () => {
+    expect(progress.credits).toEqual({ required: 24, completed: 4, inProgress: 6, remaining: 20 });
+    expect(progress.unlinkedCourses.map((course) => course.name)).toEqual(["Journal Club"]);
+  });
+
+  it("schedules milestones from calendar events and keeps them in order", () => {
+    const milestones = byId(progress.milestones);
+    expect(milestones.quals.status).toBe("scheduled");
+    expect(termLabel(milestones.quals.term, program)).toBe("Spring 2024");
+    expect(termLabel(milestones.proposal.term, program)).toBe("Spring 2025");
+  });
+
+  it("projects graduation from planned terms and unplaced credits", () => {
+    // thesis is planned for term 6 (Spring 2026); 14 credits not tied to a
+    // course need three terms at 6 per term, which ends sooner
+    expect(progress.projectedLabel).toBe("Spring 2026");
+    // 50 unplaced credits take nine terms from Spring 2024
+    const heavy = evaluateProgress({ ...program, creditsRequired: 60 }, events, now);
+    expect(heavy.projectedLabel).toBe("Spring 2028");
+    expect(progress.plan[0].label).toBe("Fall 2023");
+    expect(progress.plan.at(-1).label).toBe("Spring 2026");
+  });
+
+  it("moves late work to the current term", () => {
+    const late = evaluateProgress(program, events, new Date("2026-09-01T12:00:00Z"));
+    const milestones = byId(late.milestones);
+    expect(milestones.thesis.overdue).toBe(true);
+    expect(termLabel(milestones.thesis.term, program)).toBe("Fall 2026");
+    // the 14 credits still missing need three terms from now
+    expect(late.projectedLabel).toBe("Fall 2027");
+  });
+
+  it("links a course to one requirement at a time", () => {
+    const linked = linkCourse(program, "biostats 601", "ethics");
+    expect(byId(linked.requirements).stats.courses).toEqual([]);
+    expect(byId(linked.requirements).ethics.courses).toEqual(["biostats 601"]);
+  });
+});
@@ -0,0 +1,57 @@
+import moment from "moment";
+import { describe, expect, it } from "vitest";
+import { createSeries, deleteSeriesEvent, updateSeriesEvent } from "../eventSeries";
+
+// 08:00 in Tokyo is 19:00 the day before in New York, where tests run
+const tokyoMorning = {
+  title: "Journal Club",
+  start: new Date("2024-03-04T23:00:00Z"),
+  end: new Date("2024-03-05T00:00:00Z"),
+  timeZone: "Asia/Tokyo",
+};
+
+const daily = { repeat: "daily", weekdays: [], until: null, count: 4, exceptionDates: [] };
+
+const tokyoDates = (events) =>
+  events
+    .map((event) => event.start)
+    .sort((a, b) => a - b)
+    .map((start) => moment(start).utcOffset(9 * 60).format("YYYY-MM-DD HH:mm"));
+
+describe("series in another zone", () => {
+  const series = createSeries(tokyoMorning, daily, { seriesId: "s1" });
+
+  it("remembers a deleted occurrence by its date in the event's zone", () => {
+    const remaining = deleteSeriesEvent(series, series[1], "this");
+    expect(remaining[0].recurrence.exceptionDates).toEqual(["2024-03-06"]);
+
+    const regenerated = createSeries(tokyoMorning, remaining[0].recurrence);
+    expect(tokyoDates(regenerated)).toEqual([
+      "2024-03-05 08:00",
+      "2024-03-07 08:00",
+      "2024-03-08 08:00",
+    ]);
+  });
+
+  it("ends a truncated series the day before the split in the event's zone", () => {
+    const kept = deleteSeriesEvent(series, series[2], "following");
+    expect(kept.map((event) => event.recurrence.until)).toEqual(["2024-03-06", "2024-03-06"]);
+
+    const regenerated = createSeries(tokyoMorning, { ...daily, count: null, until: "2024-03-06" });
+    expect(tokyoDates(regenerated)).toEqual(["2024-03-05 08:00", "2024-03-06 08:00"]);
+  });
+
+  it("splits an edited series without losing the occurrence before it", () => {
+    const target = series[2];
+    const edited = updateSeriesEvent(
+      series,
+      target,
+      { start: target.start, end: target.end, title: "Moved", recurrence: daily },
+      "following"
+    );
+    expect(tokyoDates(edited.filter((event) => event.seriesId === "s1"))).toEqual([
+      "2024-03-05 08:00",
+      "2024-03-06 08:00",
+    ]);
+  });
+});
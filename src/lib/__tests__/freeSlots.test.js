@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { findFreeSlots } from "../freeSlots";
+import { at, spanFormatter } from "./helpers";
+
+const local = spanFormatter("ddd HH:mm");
+
+const session = (learnerGroup, start, end, extra = {}) => ({
+  id: `${learnerGroup}-${start}`,
+  title: "Session",
+  learnerGroup,
+  start: at(start),
+  end: at(end),
+  ...extra,
+});
+
+const workingHours = { startHour: 9, endHour: 17, weekdaysOnly: true };
+
+describe("findFreeSlots", () => {
+  const events = [
+    session("A1", "2024-03-08 09:00", "2024-03-08 11:00"),
+    session("C2", "2024-03-08 10:30", "2024-03-08 12:00"),
+    session("C2", "2024-03-08 14:00", "2024-03-08 16:30"),
+    session("B3", "2024-03-08 12:00", "2024-03-08 14:00"),
+    session("A1", "2024-03-11 09:00", "2024-03-11 16:15"),
+    session("A1", "2024-03-08 12:30", "2024-03-08 12:30", { type: "deadline" }),
+    session("C2", "2024-03-11 00:00", "2024-03-12 00:00", { allDay: true }),
+  ];
+
+  it("finds working hours when every chosen group is free", () => {
+    const slots = findFreeSlots(events, ["A1", "C2"], "2024-03-08", "2024-03-11", workingHours, 30);
+    expect(slots.map(local)).toEqual([
+      ["Fri 12:00", "Fri 14:00"],
+      ["Fri 16:30", "Fri 17:00"],
+      ["Mon 16:15", "Mon 17:00"],
+    ]);
+  });
+
+  it("drops slots shorter than the minimum and trims the past", () => {
+    const slots = findFreeSlots(
+      events,
+      ["A1", "C2"],
+      "2024-03-08",
+      "2024-03-11",
+      workingHours,
+      45,
+      at("2024-03-08 13:00")
+    );
+    expect(slots.map(local)).toEqual([
+      ["Fri 13:00", "Fri 14:00"],
+      ["Mon 16:15", "Mon 17:00"],
+    ]);
+  });
+
+  it("treats ungrouped sessions as busy for every group unless told not to", () => {
+    const withLecture = [
+      ...events,
+      session("", "2024-03-08 12:00", "2024-03-08 13:00"),
+      session("Ungrouped", "2024-03-08 16:30", "2024-03-08 17:00"),
+    ];
+    const args = [["A1", "C2"], "2024-03-08", "2024-03-08", workingHours, 30, undefined];
+    expect(findFreeSlots(withLecture, ...args).map(local)).toEqual([["Fri 13:00", "Fri 14:00"]]);
+    expect(findFreeSlots(withLecture, ...args, false).map(local)).toEqual([
+      ["Fri 12:00", "Fri 14:00"],
+      ["Fri 16:30", "Fri 17:00"],
+    ]);
+  });
+
+  it("keeps slots inside working hours on DST days", () => {
+    const weekend = { startHour: 9, endHour: 17, weekdaysOnly: false };
+    const sunday = [session("A1", "2024-03-10 12:00", "2024-03-10 13:00")];
+    const spring = findFreeSlots(sunday, ["A1"], "2024-03-10", "2024-03-10", weekend, 30);
+    const autumn = findFreeSlots([], ["A1"], "2024-11-03", "2024-11-03", weekend, 30);
+    expect(spring.map(local)).toEqual([
+      ["Sun 09:00", "Sun 12:00"],
+      ["Sun 13:00", "Sun 17:00"],
+    ]);
+    expect(autumn.map(local)).toEqual([["Sun 09:00", "Sun 17:00"]]);
+  });
+
+  it("ignores other groups' sessions", () => {
+    const slots = findFreeSlots(events, ["C2"], "2024-03-08", "2024-03-08", workingHours, 60);
+    expect(slots.map(local)).toEqual([
+      ["Fri 09:00", "Fri 10:30"],
+      ["Fri 12:00", "Fri 14:00"],
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { generateGroupPalette, groupColor } from "../groupSchemes";
+
+const contrastWithWhite = (hex) => {
+  const [r, g, b] = hex
+    .match(/[0-9a-f]{2}/g)
+    .map((pair) => parseInt(pair, 16) / 255)
+    .map((c) => (c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)));
+  return 1.05 / (0.2126 * r + 0.7152 * g + 0.0722 * b + 0.05);
+};
+
+describe("generateGroupPalette", () => {
+  it("keeps a group's color when other groups come and go", () => {
+    const full = generateGroupPalette(["A1", "A2", "B1", "Team 12"]);
+    const filtered = generateGroupPalette(["Team 12", "B1"]);
+    expect(filtered["Team 12"]).toBe(full["Team 12"]);
+    expect(filtered.B1).toBe(full.B1);
+    expect(full.A1).toBe(groupColor("A1"));
+  });
+
+  it("gives every group a color white text can be read on", () => {
+    const groups = ["A1", "A2", "B1", "B2", "Team 3", "Cohort West", "PA-3"];
+    const palette = generateGroupPalette(groups);
+    groups.forEach((group) => {
+      expect(palette[group]).toMatch(/^#[0-9a-f]{6}$/);
+      expect(contrastWithWhite(palette[group])).toBeGreaterThanOrEqual(4.5);
+    });
+    expect(palette.Ungrouped).toBe("#6b7280");
+  });
+
+  it("never gives two groups of a set the same color", () => {
+    const teams = Array.from({ length: 12 }, (_, index) => `Team ${index + 1}`);
+    const palette = generateGroupPalette(teams);
+    expect(new Set(teams.map((team) => palette[team])).size).toBe(12);
+
+    const many = Array.from({ length: 120 }, (_, index) => `Cohort ${index}`);
+    const big = generateGroupPalette([...many, "A1", "B2"]);
+    expect(new Set(Object.values(big)).size).toBe(123);
+  });
+
+  it("gives the default A1–H2 groups sixteen different colors", () => {
+    const groups = "ABCDEFGH".split("").flatMap((letter) => [`${letter}1`, `${letter}2`]);
+    expect(new Set(groups.map(groupColor)).size).toBe(16);
+    expect(groupColor("a1")).toBe(groupColor("A1"));
+  });
+});
@@ -0,0 +1,18 @@
+import moment from "moment";
+
+/**
+ * shared test helpers. times are written and read as local wall-clock
+ * text; vitest runs in America/New_York (see vitest.config)
+ */
+const DATE_TIME = "YYYY-MM-DD HH:mm";
+
+export const at = (value) => moment(value, DATE_TIME).toDate();
+
+export const local = (date) => moment(date).format(DATE_TIME);
+
+// one argument, so it can be passed straight to map
+export const spanFormatter =
+  (format) =>
+  ({ start, end }) => [moment(start).format(format), moment(end).format(format)];
+
+export const localSpan = spanFormatter(DATE_TIME);
@@ -0,0 +1,117 @@
+import { describe, expect, it } from "vitest";
+import { buildCalendar, foldLine, parseCalendar } from "../ics";
+import { at, local } from "./helpers";
+
+const lecture = {
+  id: "evt-1",
+  title: "Renal Physiology; Part 2, Acid/Base",
+  start: at("2024-03-11 09:00"),
+  end: at("2024-03-11 10:30"),
+  location: "Science Hall 204",
+  desc: "Physiology - Lecture",
+  learnerGroup: "A1",
+  notes: "Bring the worksheet\nand a calculator",
+};
+
+const orientation = {
+  id: "evt-2",
+  title: "Orientation",
+  start: at("2024-01-22 00:00"),
+  end: at("2024-01-24 00:00"),
+  allDay: true,
+};
+
+describe("buildCalendar and parseCalendar", () => {
+  const text = buildCalendar([lecture, orientation], {
+    name: "Block 1",
+    now: new Date("2024-01-01T00:00:00Z"),
+  });
+
+  it("reads back the events it wrote", () => {
+    const [first, second] = parseCalendar(text);
+    expect(first).toMatchObject({
+      uid: "evt-2@grad-planner",
+      title: "Orientation",
+      allDay: true,
+    });
+    expect([local(first.start), local(first.end)]).toEqual([
+      "2024-01-22 00:00",
+      "2024-01-24 00:00",
+    ]);
+    expect(second).toMatchObject({
+      uid: "evt-1@grad-planner",
+      title: lecture.title,
+      start: lecture.start,
+      end: lecture.end,
+      location: "Science Hall 204",
+      allDay: false,
+      categories: ["A1"],
+    });
+    expect(second.description).toBe(
+      "Physiology - Lecture\nLearner Group: A1\nBring the worksheet\nand a calculator"
+    );
+  });
+
+  it("writes all-day events as the local calendar dates they cover", () => {
+    expect(text).toContain("DTSTART;VALUE=DATE:20240122\r\n");
+    expect(text).toContain("DTEND;VALUE=DATE:20240124\r\n");
+    expect(text).toContain("DTSTART:20240311T130000Z\r\n");
+    expect(text).toContain("SUMMARY:Renal Physiology\\; Part 2\\, Acid/Base\r\n");
+  });
+
+  it("writes all-day dates in the zone they were made in, not the local one", () => {
+    // Mar 5 in Berlin, built here in New York (or on a server in UTC)
+    const berlin = {
+      id: "evt-3",
+      title: "Exam day",
+      start: new Date("2024-03-04T23:00:00Z"),
+      end: new Date("2024-03-05T23:00:00Z"),
+      allDay: true,
+      timeZone: "Europe/Berlin",
+    };
+    const built = buildCalendar([berlin], { now: new Date("2024-01-01T00:00:00Z") });
+    expect(built).toContain("DTSTART;VALUE=DATE:20240305\r\n");
+    expect(built).toContain("DTEND;VALUE=DATE:20240306\r\n");
+  });
+
+  it("folds long lines without splitting characters", () => {
+    const line = `SUMMARY:${"é".repeat(60)}`;
+    const folded = foldLine(line);
+    const parts = folded.split("\r\n ");
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach((part, index) =>
+      expect(new TextEncoder().encode(part).length).toBeLessThanOrEqual(index ? 74 : 75)
+    );
+    expect(parts.join("")).toBe(line);
+  });
+
+  it("expands a recurring event, minus its exceptions and overrides", () => {
+    const events = parseCalendar(
+      [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "BEGIN:VEVENT",
+        "UID:lab@example.edu",
+        "DTSTART;TZID=America/New_York:20240304T130000",
+        "DTEND;TZID=America/New_York:20240304T150000",
+        "RRULE:FREQ=WEEKLY;COUNT=4",
+        "EXDATE;TZID=America/New_York:20240311T130000",
+        "SUMMARY:Histology Lab",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:lab@example.edu",
+        "RECURRENCE-ID;TZID=America/New_York:20240318T130000",
+        "DTSTART;TZID=America/New_York:20240318T140000",
+        "DTEND;TZID=America/New_York:20240318T160000",
+        "SUMMARY:Histology Lab (moved)",
+        "END:VEVENT",
+        "END:VCALENDAR",
+      ].join("\r\n")
+    );
+    expect(events.map((event) => [event.title, local(event.start)])).toEqual([
+      ["Histology Lab", "2024-03-04 13:00"],
+      ["Histology Lab (moved)", "2024-03-18 14:00"],
+      ["Histology Lab", "2024-03-25 13:00"],
+    ]);
+  });
+});
@@ -0,0 +1,190 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { normalizeTable, readTables } from "../ingest/pipeline";
+import { acceptedFileTypes, findAdapter } from "../ingest/registry";
+import { suggestMapping } from "../columnMapping";
+import { parseScheduleRow, toScheduleRow } from "../scheduleParsing";
+import { local } from "./helpers";
+
+const fixtureFile = (name, type = "") =>
+  new File([readFileSync(path.join(__dirname, "fixtures", name))], name, { type });
+
+
+const importFile = async (name, options = {}) => {
+  const { tables, ...rest } = await readTables(fixtureFile(name));
+  const results = tables.map((table) =>
+    normalizeTable(table, {
+      ...options,
+      mapping:
+        options.mapping === "suggest"
+          ? suggestMapping(table.headers, table.rows).mapping
+          : options.mapping,
+    })
+  );
+  return {
+    ...rest,
+    tables,
+    events: results.flatMap((result) => result.events),
+    rejected: results.flatMap((result) => result.rejected),
+  };
+};
+
+vi.spyOn(console, "warn").mockImplementation(() => {});
+
+describe("adapter registry", () => {
+  it("finds adapters by extension, then MIME type", () => {
+    expect(findAdapter({ name: "Block 1.XLSX" }).id).toBe("xlsx");
+    expect(findAdapter({ name: "export", type: "text/calendar" }).id).toBe("ics");
+    expect(findAdapter({ name: "notes.txt", type: "text/plain" })).toBeNull();
+  });
+
+  it("lists every extension for the file input", () => {
+    expect(acceptedFileTypes().split(",")).toEqual(
+      expect.arrayContaining([".xlsx", ".csv", ".tsv", ".json", ".ics"])
+    );
+  });
+
+  it("rejects files no adapter reads", async () => {
+    await expect(readTables(new File(["hello"], "notes.txt"))).rejects.toThrow(
+      "Unsupported file type"
+    );
+  });
+});
+
+describe("ingestion pipeline", () => {
+  it("gives CSV and XLSX rows the same treatment", async () => {
+    const csv = await importFile("schedule.csv");
+    const xlsx = await importFile("schedule.xlsx");
+    const thorax = (events) => events.find((event) => event.title === "Thorax");
+
+    expect(csv.label).toBe("CSV");
+    expect(xlsx.tables.map((table) => table.name)).toEqual(["Block 1", "Nights"]);
+    expect({ ...thorax(csv.events), sourceSheet: undefined }).toEqual({
+      ...thorax(xlsx.events),
+      sourceSheet: undefined,
+    });
+    expect(thorax(csv.events).desc).toBe("Anatomy - Lecture - Section A1");
+  });
+
+  it("numbers CSV rows as the file does", async () => {
+    const { rejected } = await importFile("schedule.csv");
+    expect(rejected.map((row) => row.rowNumber)).toEqual([15, 16, 17, 18, 19]);
+    expect(rejected[0].sheet).toBeNull();
+  });
+
+  it("reads TSV through a column mapping", async () => {
+    const { events, rejected } = await importFile("schedule.tsv", { mapping: "suggest" });
+    expect(events.map((event) => event.title)).toEqual(["Upper limb", "Night shift"]);
+    expect(local(events[0].start)).toBe("2024-02-05 09:00");
+    expect(events[0].learnerGroup).toBe("A1");
+    expect(local(events[1].end)).toBe("2024-02-07 01:00");
+    expect(rejected).toMatchObject([{ rowNumber: 5, field: "Start Time" }]);
+  });
+
+  it("reads JSON events back at the same instants", async () => {
+    const { events, rejected } = await importFile("schedule.json");
+    expect(rejected).toEqual([]);
+    expect(events[0]).toMatchObject({
+      title: "Thorax",
+      desc: "Anatomy - Lecture - Section A1",
+      learnerGroup: "A1",
+      timeZone: "America/New_York",
+    });
+    expect(events[0].start.toISOString()).toBe("2024-01-15T14:00:00.000Z");
+    expect(events[1].end.toISOString()).toBe("2024-01-16T12:00:00.000Z");
+    expect(events[2]).toMatchObject({ allDay: true });
+    expect(local(events[2].end)).toBe("2024-01-24 00:00");
+  });
+
+  it("reads iCalendar events with their zone, uid and group", async () => {
+    const { events } = await importFile("schedule.ics");
+    const renal = events.filter((event) => event.title === "Renal");
+    expect(renal).toHaveLength(3);
+    expect(renal[0]).toMatchObject({
+      uid: "lecture-1@example.edu",
+      timeZone: "Europe/London",
+      learnerGroup: "C2",
+      desc: "Physiology - Lecture",
+    });
+    expect(renal[0].start.toISOString()).toBe("2024-01-15T09:00:00.000Z");
+
+    const exam = events.find((event) => event.title === "Block exam");
+    expect(exam).toMatchObject({ allDay: true, learnerGroup: "D1" });
+    expect(local(exam.start)).toBe("2024-02-01 00:00");
+    expect(local(exam.end)).toBe("2024-02-02 00:00");
+  });
+});
+
+describe("import worker client", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.resetModules();
+  });
+
+  it("finishes pending and later requests inline after the worker crashes", async () => {
+    const workers = [];
+    vi.stubGlobal(
+      "Worker",
+      class {
+        constructor() {
+          this.messages = [];
+          this.terminate = vi.fn();
+          workers.push(this);
+        }
+        postMessage(message) {
+          this.messages.push(message);
+        }
+      }
+    );
+    const { readScheduleFile } = await import("../ingest/client");
+
+    const reading = readScheduleFile(fixtureFile("schedule.csv"));
+    expect(workers[0].messages).toHaveLength(1);
+    workers[0].onerror({ message: "out of memory" });
+
+    const expected = await readTables(fixtureFile("schedule.csv"));
+    expect(await reading).toEqual(expected);
+    expect(workers[0].terminate).toHaveBeenCalled();
+
+    expect(await readScheduleFile(fixtureFile("schedule.csv"))).toEqual(expected);
+    expect(workers).toHaveLength(1);
+  });
+});
+
+describe("toScheduleRow", () => {
+  const roundTrip = (event) => {
+    const row = toScheduleRow(event);
+    return parseScheduleRow((name) => row[name] ?? "").event;
+  };
+
+  it("writes a row that parses back to the same event", () => {
+    const event = {
+      title: "Night float",
+      start: new Date("2024-03-10T05:00:00Z"),
+      end: new Date("2024-03-10T15:00:00Z"),
+      desc: "Clinical Skills - Shift - Ward team",
+      location: "Ward 4",
+      learnerGroup: "H1",
+      timeZone: "America/Chicago",
+      uid: "night-1",
+    };
+    expect(roundTrip(event)).toEqual(event);
+  });
+
+  it("writes all-day events with their last day", () => {
+    const event = {
+      title: "Orientation",
+      start: new Date(2024, 0, 22),
+      end: new Date(2024, 0, 24),
+      allDay: true,
+    };
+    expect(toScheduleRow(event)).toMatchObject({
+      "Section Date": "2024-01-22",
+      "End Date": "2024-01-23",
+      "All Day": "Yes",
+      "Start Time": "",
+    });
+    expect(roundTrip(event)).toMatchObject({ start: event.start, end: event.end, allDay: true });
+  });
+});
@@ -0,0 +1,81 @@
+import moment from "moment";
+import { describe, expect, it } from "vitest";
+import {
+  daySegment,
+  defaultPrintRange,
+  eventsInRange,
+  gridHours,
+  layoutDay,
+  printPages,
+} from "../printLayout";
+import { at } from "./helpers";
+
+const day = (date) => moment(date).format("YYYY-MM-DD");
+const event = (id, start, end, extra = {}) => ({ id, start: at(start), end: at(end), ...extra });
+
+describe("print ranges and pages", () => {
+  it("starts from the week, month or two weeks around a date", () => {
+    const date = at("2024-01-17 10:00");
+    const week = defaultPrintRange("week", date);
+    const month = defaultPrintRange("month", date);
+    const agenda = defaultPrintRange("agenda", date);
+    expect([day(week.start), day(week.end)]).toEqual(["2024-01-14", "2024-01-20"]);
+    expect([day(month.start), day(month.end)]).toEqual(["2024-01-01", "2024-01-31"]);
+    expect([day(agenda.start), day(agenda.end)]).toEqual(["2024-01-17", "2024-01-30"]);
+  });
+
+  it("gives each week the range touches its own page", () => {
+    const pages = printPages("week", at("2024-01-17 00:00"), at("2024-01-22 00:00"));
+    expect(pages.map((page) => day(page.start))).toEqual(["2024-01-14", "2024-01-21"]);
+    expect(pages[0].days).toHaveLength(7);
+  });
+
+  it("fills month pages out to whole weeks", () => {
+    const [page] = printPages("month", at("2024-02-10 00:00"), at("2024-02-20 00:00"));
+    expect(day(page.start)).toBe("2024-02-01");
+    expect(day(page.days[0])).toBe("2024-01-28");
+    expect(day(page.days.at(-1))).toBe("2024-03-02");
+    expect(page.days).toHaveLength(35);
+  });
+
+  it("keeps events that overlap the range's days", () => {
+    const events = [
+      event("late", "2024-01-21 09:00", "2024-01-21 10:00"),
+      event("night", "2024-01-13 22:00", "2024-01-14 06:00"),
+      event("before", "2024-01-12 09:00", "2024-01-12 10:00"),
+    ];
+    const kept = eventsInRange(events, at("2024-01-14 00:00"), at("2024-01-20 00:00"));
+    expect(kept.map((item) => item.id)).toEqual(["night"]);
+  });
+});
+
+describe("week grid layout", () => {
+  it("splits overnight events at midnight", () => {
+    const night = event("night", "2024-01-15 22:00", "2024-01-16 06:00");
+    expect(daySegment(night, at("2024-01-15 00:00")).end).toEqual(at("2024-01-16 00:00"));
+    expect(daySegment(night, at("2024-01-16 00:00")).start).toEqual(at("2024-01-16 00:00"));
+    expect(daySegment(night, at("2024-01-17 00:00"))).toBeNull();
+  });
+
+  it("stretches office hours to fit early and late sessions", () => {
+    expect(gridHours([])).toEqual({ first: 8, last: 18 });
+    const segments = [
+      daySegment(event("early", "2024-01-15 06:30", "2024-01-15 07:30"), at("2024-01-15 00:00")),
+      daySegment(event("night", "2024-01-15 22:00", "2024-01-16 06:00"), at("2024-01-15 00:00")),
+    ];
+    expect(gridHours(segments)).toEqual({ first: 6, last: 24 });
+  });
+
+  it("puts overlapping sessions side by side", () => {
+    const segments = [
+      event("a", "2024-01-15 09:00", "2024-01-15 11:00"),
+      event("b", "2024-01-15 10:00", "2024-01-15 12:00"),
+      event("c", "2024-01-15 11:00", "2024-01-15 12:00"),
+      event("d", "2024-01-15 13:00", "2024-01-15 14:00"),
+    ].map((item) => ({ event: item, start: item.start, end: item.end }));
+    const lanes = Object.fromEntries(
+      layoutDay(segments).map((item) => [item.event.id, [item.lane, item.lanes]])
+    );
+    expect(lanes).toEqual({ a: [0, 2], b: [1, 2], c: [0, 2], d: [0, 1] });
+  });
+});
@@ -0,0 +1,87 @@
+import moment from "moment";
+import { describe, expect, it } from "vitest";
+import { expandRecurrence, formatRRule, parseRRule } from "../recurrence";
+import { at, local } from "./helpers";
+
+const starts = (occurrences) => occurrences.map((occurrence) => local(occurrence.start));
+
+describe("parseRRule", () => {
+  it("reads the parts we support and writes them back", () => {
+    const rule = parseRRule("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10;WKST=SU");
+    expect(rule).toMatchObject({
+      freq: "WEEKLY",
+      interval: 2,
+      byDay: [
+        { day: 1, nth: null },
+        { day: 3, nth: null },
+      ],
+      count: 10,
+    });
+    expect(formatRRule(rule)).toBe("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10");
+    expect(parseRRule("FREQ=MONTHLY;BYDAY=-1FR").byDay).toEqual([{ day: 5, nth: -1 }]);
+  });
+
+  it("rejects rules without a frequency we know", () => {
+    expect(parseRRule("FREQ=SECONDLY")).toBeNull();
+    expect(parseRRule("COUNT=3")).toBeNull();
+  });
+});
+
+describe("expandRecurrence", () => {
+  it("keeps a weekly class at the same local time across the DST change", () => {
+    const occurrences = expandRecurrence(parseRRule("FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4"), {
+      start: at("2024-03-04 09:00"),
+      end: at("2024-03-04 10:30"),
+    });
+    expect(starts(occurrences)).toEqual([
+      "2024-03-04 09:00",
+      "2024-03-06 09:00",
+      "2024-03-11 09:00",
+      "2024-03-13 09:00",
+    ]);
+    expect(local(occurrences[3].end)).toBe("2024-03-13 10:30");
+  });
+
+  it("repeats at the wall-clock time of the event's own zone", () => {
+    // 9:00 in London is 5:00 in New York until London's clocks change
+    const occurrences = expandRecurrence(parseRRule("FREQ=DAILY;COUNT=3"), {
+      start: new Date("2024-03-30T09:00:00Z"),
+      end: new Date("2024-03-30T10:00:00Z"),
+      timeZone: "Europe/London",
+    });
+    expect(occurrences.map((occurrence) => occurrence.start.toISOString())).toEqual([
+      "2024-03-30T09:00:00.000Z",
+      "2024-03-31T08:00:00.000Z",
+      "2024-04-01T08:00:00.000Z",
+    ]);
+  });
+
+  it("finds the last Friday of each month until the end date", () => {
+    const rule = parseRRule("FREQ=MONTHLY;BYDAY=-1FR");
+    rule.until = at("2024-04-30 23:59");
+    const occurrences = expandRecurrence(rule, {
+      start: at("2024-01-26 15:00"),
+      end: at("2024-01-26 16:00"),
+    });
+    expect(starts(occurrences)).toEqual([
+      "2024-01-26 15:00",
+      "2024-02-23 15:00",
+      "2024-03-29 15:00",
+      "2024-04-26 15:00",
+    ]);
+  });
+
+  it("skips exception dates and stops at the range end", () => {
+    const occurrences = expandRecurrence(parseRRule("FREQ=DAILY"), {
+      start: at("2024-01-01 08:00"),
+      end: at("2024-01-01 09:00"),
+      exceptionDates: ["2024-01-02"],
+      rangeEnd: at("2024-01-04 12:00"),
+    });
+    expect(occurrences.map((occurrence) => moment(occurrence.start).format("MM-DD"))).toEqual([
+      "01-01",
+      "01-03",
+      "01-04",
+    ]);
+  });
+});
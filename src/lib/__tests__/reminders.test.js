@@ -0,0 +1,115 @@
+import { describe, expect, it } from "vitest";
+import { findConflicts } from "../conflicts";
+import {
+  DEFAULT_REMINDER_SETTINGS,
+  leadTimesFor,
+  upcomingDeadlines,
+  upcomingReminders,
+} from "../reminders";
+import { at, local } from "./helpers";
+
+
+const deadline = (id, due, extra = {}) => ({
+  id,
+  title: id,
+  type: "deadline",
+  start: at(due),
+  end: at(due),
+  ...extra,
+});
+
+const settings = {
+  ...DEFAULT_REMINDER_SETTINGS,
+  enabled: true,
+  categoryLeads: { Exam: [10080, 1440] },
+};
+
+describe("reminder lead times", () => {
+  it("prefers the event's own, then its category's, then the deadline defaults", () => {
+    const irb = deadline("irb", "2024-03-01 17:00");
+    expect(leadTimesFor({ ...irb, reminders: [15] }, settings)).toEqual([15]);
+    expect(leadTimesFor({ ...irb, reminders: [] }, settings)).toEqual([]);
+    expect(leadTimesFor({ ...irb, category: "Exam" }, settings)).toEqual([10080, 1440]);
+    expect(leadTimesFor(irb, settings)).toEqual([1440, 60]);
+    expect(leadTimesFor({ title: "Lecture", start: new Date() }, settings)).toEqual([]);
+  });
+});
+
+describe("upcomingReminders", () => {
+  const now = at("2024-03-01 12:00");
+
+  it("lists reminders due within the horizon, soonest first", () => {
+    const reminders = upcomingReminders(
+      [
+        deadline("report", "2024-03-02 17:00", { location: "Grants office" }),
+        deadline("irb", "2024-03-01 12:30"),
+        deadline("later", "2024-04-01 09:00"),
+      ],
+      settings,
+      null,
+      now
+    );
+    expect(reminders.map((reminder) => [reminder.id, local(reminder.fireAt)])).toEqual([
+      ["report:1440", "2024-03-01 17:00"],
+      ["report:60", "2024-03-02 16:00"],
+    ]);
+    expect(reminders[0]).toMatchObject({
+      eventId: "report",
+      title: "Deadline: report",
+      body: "Due Sat, Mar 2 at 5:00 PM · Grants office",
+    });
+  });
+
+  it("reminds about all-day deadlines from the morning", () => {
+    const [reminder] = upcomingReminders(
+      [deadline("funding", "2024-03-04 00:00", { end: at("2024-03-05 00:00"), allDay: true })],
+      { ...settings, deadlineLeads: [1440] },
+      null,
+      now
+    );
+    expect(local(reminder.fireAt)).toBe("2024-03-03 09:00");
+    expect(reminder.body).toBe("Due Monday, Mar 4");
+  });
+
+  it("quotes times in the display zone", () => {
+    const [reminder] = upcomingReminders(
+      [deadline("report", "2024-03-02 17:00")],
+      { ...settings, deadlineLeads: [60] },
+      "Europe/London",
+      now
+    );
+    expect(local(reminder.fireAt)).toBe("2024-03-02 16:00");
+    expect(reminder.body).toBe("Due Sat, Mar 2 at 10:00 PM");
+  });
+});
+
+describe("upcomingDeadlines", () => {
+  it("lists today's and coming deadlines, marking the ones past due", () => {
+    const now = at("2024-03-01 12:00");
+    const list = upcomingDeadlines(
+      [
+        deadline("past", "2024-02-29 17:00"),
+        deadline("morning", "2024-03-01 09:00"),
+        deadline("next", "2024-03-05 09:00"),
+        deadline("far", "2024-04-05 09:00"),
+        { id: "lecture", start: at("2024-03-02 09:00"), end: at("2024-03-02 10:00") },
+      ],
+      now
+    );
+    expect(list.map((item) => [item.event.id, item.overdue])).toEqual([
+      ["morning", true],
+      ["next", false],
+    ]);
+  });
+
+  it("keeps deadlines out of conflict checks", () => {
+    const lecture = {
+      id: "lecture",
+      learnerGroup: "A1",
+      start: at("2024-03-01 09:00"),
+      end: at("2024-03-01 11:00"),
+    };
+    const quiz = deadline("quiz", "2024-03-01 10:00", { learnerGroup: "A1" });
+    expect(findConflicts([lecture, quiz])).toEqual([]);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { fromStoredEvents, toStoredEvents } from "../scheduleApi";
+import { localSpan } from "./helpers";
+
+describe("stored events", () => {
+  // Mar 5, made in a Berlin browser
+  const berlinAllDay = {
+    title: "Exam day",
+    start: "2024-03-04T23:00:00.000Z",
+    end: "2024-03-05T23:00:00.000Z",
+    allDay: true,
+    timeZone: "Europe/Berlin",
+  };
+
+  it("keeps all-day events on their calendar dates in another zone", () => {
+    const [event] = fromStoredEvents([berlinAllDay]);
+    expect(localSpan(event)).toEqual(["2024-03-05 00:00", "2024-03-06 00:00"]);
+    expect(event.timeZone).toBe("America/New_York");
+  });
+
+  it("reads timed events as instants, and stores all-day ones with the local zone", () => {
+    const timed = {
+      title: "Lecture",
+      start: "2024-03-05T14:00:00.000Z",
+      end: "2024-03-05T15:00:00.000Z",
+      timeZone: "Europe/Berlin",
+    };
+    const [allDay, lecture] = fromStoredEvents([berlinAllDay, timed]);
+    expect(lecture.start.toISOString()).toBe(timed.start);
+    expect(toStoredEvents([allDay, lecture])).toEqual([
+      {
+        ...berlinAllDay,
+        start: "2024-03-05T05:00:00.000Z",
+        end: "2024-03-06T05:00:00.000Z",
+        timeZone: "America/New_York",
+      },
+      timed,
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+import { readFileSync } from "fs";
+import path from "path";
+import { describe, expect, it, vi } from "vitest";
+import { normalizeTable, readTables } from "../ingest/pipeline";
+import { buildScheduleCsv, buildScheduleWorkbook, toScheduleTable } from "../scheduleExport";
+
+const importFile = async (file) => {
+  const { tables } = await readTables(file);
+  return tables.flatMap((table) => normalizeTable(table, {}).events);
+};
+
+const fixture = (name) =>
+  importFile(new File([readFileSync(path.join(__dirname, "fixtures", name))], name));
+
+// what an export has to preserve; ids are assigned again on import
+const comparable = (event) => ({ ...event, id: undefined, source: undefined });
+
+vi.spyOn(console, "warn").mockImplementation(() => {});
+
+describe("schedule export", () => {
+  it("writes the importer's columns, adding optional ones only when used", () => {
+    const event = {
+      title: "Thorax",
+      start: new Date(2024, 0, 15, 9),
+      end: new Date(2024, 0, 15, 10, 30),
+      desc: "Anatomy - Lecture - Section A1",
+      location: "Hall 1",
+      learnerGroup: "A1",
+    };
+    expect(toScheduleTable([event])).toEqual([
+      [
+        "Course Name",
+        "Session Type",
+        "Session Name",
+        "Section Name",
+        "Section Date",
+        "Start Time",
+        "End Time",
+        "Location",
+        "Learner Group",
+      ],
+      ["Anatomy", "Lecture", "Thorax", "Section A1", "2024-01-15", "09:00", "10:30", "Hall 1", "A1"],
+    ]);
+    const [headers] = toScheduleTable([{ ...event, timeZone: "Europe/London" }]);
+    expect(headers.at(-1)).toBe("Time Zone");
+  });
+
+  it("round-trips through CSV", async () => {
+    const events = await fixture("schedule.csv");
+    const csv = buildScheduleCsv(events);
+    const reimported = await importFile(new File([csv], "export.csv"));
+    expect(reimported.map(comparable)).toEqual(
+      [...events].sort((a, b) => a.start - b.start).map(comparable)
+    );
+  });
+
+  it("round-trips through Excel, keeping each event's sheet", async () => {
+    const events = await fixture("schedule.xlsx");
+    const added = {
+      title: "Office hours",
+      start: new Date(2024, 0, 19, 14),
+      end: new Date(2024, 0, 19, 15),
+      desc: "Advising",
+      location: "Room 12",
+      learnerGroup: "A1",
+      timeZone: "America/New_York",
+    };
+    const workbook = buildScheduleWorkbook([...events, added]);
+    const { tables } = await readTables(new File([workbook], "export.xlsx"));
+    expect(tables.map((table) => table.name)).toEqual(["Block 1", "Nights", "Schedule"]);
+
+    const reimported = await importFile(new File([workbook], "export.xlsx"));
+    const key = (event) => `${event.start.toISOString()} ${event.title}`;
+    const bySheet = (list) =>
+      [...list].sort((a, b) => key(a).localeCompare(key(b))).map(comparable);
+    expect(bySheet(reimported)).toEqual(
+      bySheet([...events, { ...added, sourceSheet: "Schedule" }])
+    );
+  });
+});
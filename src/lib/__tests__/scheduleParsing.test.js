@@ -0,0 +1,349 @@
+import { readFileSync } from "fs";
+import path from "path";
+import Papa from "papaparse";
+import * as XLSX from "xlsx";
+import { describe, expect, it, vi } from "vitest";
+import { GROUP_SCHEME_PRESETS } from "../groupSchemes";
+import {
+  deriveLearnerGroup,
+  fixInvalidDate,
+  parseDateTime,
+  parseScheduleRow,
+  parseScheduleRows,
+  parseTime,
+} from "../scheduleParsing";
+import { local } from "./helpers";
+
+const fixture = (name) => path.join(__dirname, "fixtures", name);
+
+
+// the importers log every row they skip
+vi.spyOn(console, "warn").mockImplementation(() => {});
+
+/**
+ * reads the CSV fixture the way the CSV importer does
+ */
+const readCsv = () => {
+  const { data, meta } = Papa.parse(readFileSync(fixture("schedule.csv"), "utf8"), {
+    header: true,
+    dynamicTyping: false,
+    skipEmptyLines: true,
+  });
+  return { headers: meta.fields, rows: data };
+};
+
+/**
+ * reads one sheet of the XLSX fixture the way the Excel importer does
+ */
+const readSheet = (name) => {
+  const workbook = XLSX.read(readFileSync(fixture("schedule.xlsx")), {
+    type: "buffer",
+    cellDates: true,
+  });
+  const data = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 });
+  return { headers: data[0], rows: data.slice(1) };
+};
+
+const byCase = (events) =>
+  Object.fromEntries(events.map((event) => [event.title, event]));
+
+describe("fixInvalidDate", () => {
+  it("formats Date cells as YYYYMMDD", () => {
+    expect(fixInvalidDate(new Date(2024, 0, 5))).toBe("20240105");
+  });
+
+  it("repairs the +057342 year", () => {
+    expect(fixInvalidDate("+0573421016")).toBe("20231016");
+  });
+
+  it("stringifies numbers and leaves other strings alone", () => {
+    expect(fixInvalidDate(45313)).toBe("45313");
+    expect(fixInvalidDate("01/16/2024")).toBe("01/16/2024");
+  });
+});
+
+describe("parseTime", () => {
+  it.each([
+    ["09:00", { hours: 9, minutes: 0 }],
+    ["0930", { hours: 9, minutes: 30 }],
+    ["23:59", { hours: 23, minutes: 59 }],
+    ["1:45 pm", { hours: 13, minutes: 45 }],
+    ["8 AM", { hours: 8, minutes: 0 }],
+    ["12 am", { hours: 0, minutes: 0 }],
+    ["12:30 am", { hours: 0, minutes: 30 }],
+    ["12 pm", { hours: 12, minutes: 0 }],
+    ["12:45 PM", { hours: 12, minutes: 45 }],
+    ["noon", { hours: 12, minutes: 0 }],
+    ["Midnight", { hours: 0, minutes: 0 }],
+  ])("reads %s", (value, expected) => {
+    expect(parseTime(value)).toEqual(expected);
+  });
+
+  it("reads Date cells by their local time", () => {
+    expect(parseTime(new Date(1899, 11, 30, 14, 15))).toEqual({ hours: 14, minutes: 15 });
+  });
+
+  it.each(["", null, "soon", "24:00", "10:75", "13 pm"])("rejects %j", (value) => {
+    expect(parseTime(value)).toBeNull();
+  });
+});
+
+describe("parseDateTime", () => {
+  it.each([
+    ["2024-01-15", "2024-01-15 09:00"],
+    ["01/16/2024", "2024-01-16 09:00"],
+    ["20240117", "2024-01-17 09:00"],
+    ["Jan 18, 2024", "2024-01-18 09:00"],
+    ["19 Jan 2024", "2024-01-19 09:00"],
+    ["2024/01/20", "2024-01-20 09:00"],
+    ["22-01-2024", "2024-01-22 09:00"],
+  ])("reads %s", (date, expected) => {
+    expect(local(parseDateTime(date, "09:00"))).toBe(expected);
+  });
+
+  it("reads Excel serial dates", () => {
+    expect(local(parseDateTime("45313", "10:00"))).toBe("2024-01-22 10:00");
+    expect(local(parseDateTime(45292, "10:00"))).toBe("2024-01-01 10:00");
+  });
+
+  it("accounts for Excel's 29 Feb 1900 leap bug", () => {
+    // serial 61 is 1 Mar 1900 and serial 59 is 28 Feb 1900 in Excel
+    expect(local(parseDateTime("61", "10:00"))).toBe("1900-03-01 10:00");
+    expect(local(parseDateTime("59", "10:00"))).toBe("1900-02-28 10:00");
+    expect(local(parseDateTime("1", "10:00"))).toBe("1900-01-01 10:00");
+  });
+
+  it("reads serials around 60 the way Excel shows them", () => {
+    // 60 is the 29 Feb 1900 that never happened; it lands on 28 Feb
+    expect(
+      ["58", "59", "60", "61", "62"].map((serial) => local(parseDateTime(serial, "10:00")))
+    ).toEqual([
+      "1900-02-27 10:00",
+      "1900-02-28 10:00",
+      "1900-02-28 10:00",
+      "1900-03-01 10:00",
+      "1900-03-02 10:00",
+    ]);
+  });
+
+  it("rejects dates it can't read", () => {
+    expect(parseDateTime("2024-13-45", "09:00")).toBeNull();
+    expect(parseDateTime("next tuesday", "09:00")).toBeNull();
+    expect(parseDateTime("", "09:00")).toBeNull();
+    expect(parseDateTime("2024-01-15", "soon")).toBeNull();
+  });
+
+  it("reads wall-clock time in the given zone", () => {
+    expect(parseDateTime("2024-01-15", "09:00", "Europe/London").toISOString()).toBe(
+      "2024-01-15T09:00:00.000Z"
+    );
+    expect(parseDateTime("2024-07-15", "09:00", "Europe/London").toISOString()).toBe(
+      "2024-07-15T08:00:00.000Z"
+    );
+  });
+
+  it("moves a day forward by calendar day across a DST change", () => {
+    // clocks in Los Angeles go forward on 10 Mar 2024
+    expect(
+      parseDateTime("2024-03-09", "07:00", "America/Los_Angeles", 1).toISOString()
+    ).toBe("2024-03-10T14:00:00.000Z");
+  });
+});
+
+describe("deriveLearnerGroup", () => {
+  it("uses a Learner Group cell that fits the scheme", () => {
+    expect(deriveLearnerGroup("b2", "Lecture", "")).toBe("B2");
+  });
+
+  it("falls back to the section, then the session name", () => {
+    expect(deriveLearnerGroup("Z9", "Lecture", "Section C 1")).toBe("C1");
+    expect(deriveLearnerGroup("", "Lab for D2", "")).toBe("D2");
+    expect(deriveLearnerGroup("", "Lab for D2", "Section A1")).toBe("A1");
+  });
+
+  it("returns Ungrouped when nothing matches", () => {
+    expect(deriveLearnerGroup("Z9", "Lecture", "Section 4")).toBe("Ungrouped");
+  });
+
+  it("follows the scheme it is given", () => {
+    const teams = GROUP_SCHEME_PRESETS.find((preset) => preset.id === "team-number");
+    expect(deriveLearnerGroup("team 12", "", "", teams)).toBe("Team 12");
+    expect(deriveLearnerGroup("", "Clinic - Team 3", "", teams)).toBe("Team 3");
+    expect(deriveLearnerGroup("A1", "", "", teams)).toBe("Ungrouped");
+  });
+});
+
+describe("parseScheduleRow", () => {
+  const row = (values) => (name) => values[name] ?? "";
+  const base = {
+    "Session Name": "Thorax",
+    "Section Date": "2024-01-15",
+    "Start Time": "09:00",
+    "End Time": "10:00",
+  };
+
+  it("fills in defaults for optional fields", () => {
+    const { event } = parseScheduleRow(row(base));
+    expect(event).toMatchObject({
+      title: "Thorax",
+      desc: "",
+      location: "Unknown Location",
+      learnerGroup: "Ungrouped",
+    });
+    expect(event).not.toHaveProperty("timeZone");
+  });
+
+  it("keeps the zone the row was read in", () => {
+    const { event } = parseScheduleRow(row(base), undefined, "Asia/Tokyo");
+    expect(event.timeZone).toBe("Asia/Tokyo");
+    expect(event.start.toISOString()).toBe("2024-01-15T00:00:00.000Z");
+  });
+
+  it("ends an overnight session on the next day", () => {
+    const { event } = parseScheduleRow(
+      row({ ...base, "Start Time": "22:00", "End Time": "07:00" }),
+      undefined,
+      "America/Los_Angeles"
+    );
+    expect(event.start.toISOString()).toBe("2024-01-16T06:00:00.000Z");
+    expect(event.end.toISOString()).toBe("2024-01-16T15:00:00.000Z");
+  });
+
+  it("keeps the wall-clock end of an overnight session across DST", () => {
+    const { event } = parseScheduleRow(
+      row({ ...base, "Section Date": "2024-03-09", "Start Time": "22:00", "End Time": "07:00" }),
+      undefined,
+      "America/Los_Angeles"
+    );
+    // 22:00 PST to 07:00 PDT is eight hours
+    expect(event.end - event.start).toBe(8 * 60 * 60 * 1000);
+  });
+
+  it.each([
+    [{ "Section Date": "" }, "Missing section date", "Section Date"],
+    [{ "Start Time": "" }, "Missing start time", "Start Time"],
+    [{ "End Time": "" }, "Missing end time", "End Time"],
+    [{ "Start Time": "soon" }, 'Unrecognized start time "soon"', "Start Time"],
+    [{ "End Time": "later" }, 'Unrecognized end time "later"', "End Time"],
+    [{ "Section Date": "someday" }, 'Invalid date "someday"', "Section Date"],
+    [{ "End Time": "09:00" }, "End time is the same as start time", "End Time"],
+  ])("rejects %j", (changes, reason, field) => {
+    expect(parseScheduleRow(row({ ...base, ...changes }))).toEqual({
+      error: { reason, field },
+    });
+  });
+});
+
+describe("CSV fixture", () => {
+  const { headers, rows } = readCsv();
+  const { events, rejected } = parseScheduleRows(headers, rows);
+  const sessions = byCase(events);
+
+  it("imports every readable row and skips the blank one", () => {
+    expect(events).toHaveLength(12);
+    expect(rejected).toHaveLength(5);
+  });
+
+  it("reads each date and time format", () => {
+    expect(local(sessions["Thorax"].start)).toBe("2024-01-15 09:00");
+    expect(local(sessions["Thorax"].end)).toBe("2024-01-15 10:30");
+    expect(local(sessions["Dissection"].start)).toBe("2024-01-16 13:00");
+    expect(local(sessions["Renal"].start)).toBe("2024-01-17 09:30");
+    expect(local(sessions["Case review"].start)).toBe("2024-01-18 12:00");
+    expect(local(sessions["Case review"].end)).toBe("2024-01-18 13:00");
+    expect(local(sessions["Consent"].start)).toBe("2024-01-19 00:00");
+    expect(local(sessions["Consent"].end)).toBe("2024-01-19 00:30");
+    expect(local(sessions["Capacity"].start)).toBe("2024-01-20 12:00");
+    expect(local(sessions["Kinetics"].start)).toBe("2024-01-22 08:00");
+    expect(local(sessions["Dynamics"].start)).toBe("2024-01-22 10:00");
+    expect(local(sessions["Slides"].start)).toBe("2023-10-16 14:00");
+  });
+
+  it("moves the end of cross-midnight sessions to the next day", () => {
+    expect(local(sessions["Night float"].end)).toBe("2024-01-24 07:00");
+    expect(local(sessions["Evening"].start)).toBe("2024-01-24 22:00");
+    expect(local(sessions["Evening"].end)).toBe("2024-01-25 00:00");
+  });
+
+  it("derives learner groups from the column, section or nothing", () => {
+    expect(sessions["Thorax"].learnerGroup).toBe("A1");
+    expect(sessions["Dissection"].learnerGroup).toBe("B2");
+    expect(sessions["Renal"].learnerGroup).toBe("C2");
+    expect(sessions["Case review"].learnerGroup).toBe("D1");
+    expect(sessions["Suturing"].learnerGroup).toBe("Ungrouped");
+  });
+
+  it("builds the description from course, session type and section", () => {
+    expect(sessions["Thorax"].desc).toBe("Anatomy - Lecture - Section A1");
+    expect(sessions["Renal"].desc).toBe("Physiology - Lecture");
+  });
+
+  it("reports rejected rows with their file row number and reason", () => {
+    expect(
+      rejected.map(({ rowNumber, reason, field }) => ({ rowNumber, reason, field }))
+    ).toEqual([
+      { rowNumber: 15, reason: "Missing section date", field: "Section Date" },
+      { rowNumber: 16, reason: "Missing start time", field: "Start Time" },
+      { rowNumber: 17, reason: 'Unrecognized start time "soon"', field: "Start Time" },
+      { rowNumber: 18, reason: 'Invalid date "2024-13-45"', field: "Section Date" },
+      { rowNumber: 19, reason: "End time is the same as start time", field: "End Time" },
+    ]);
+    expect(rejected[0].values["Session Name"]).toBe("Pelvis");
+  });
+
+  it("reads the rows in the schedule's zone", () => {
+    const inTokyo = byCase(
+      parseScheduleRows(headers, rows, { timeZone: "Asia/Tokyo" }).events
+    );
+    expect(inTokyo["Thorax"].start.toISOString()).toBe("2024-01-15T00:00:00.000Z");
+    expect(inTokyo["Thorax"].timeZone).toBe("Asia/Tokyo");
+  });
+
+  it("reads renamed columns through a mapping", () => {
+    const renamed = headers.map((header) => (header === "Section Date" ? "Day" : header));
+    const { events: mapped } = parseScheduleRows(renamed, rows.map(Object.values), {
+      mapping: { "Section Date": "Day" },
+    });
+    expect(mapped).toHaveLength(12);
+  });
+});
+
+describe("XLSX fixture", () => {
+  it("reads date cells, time cells, serials and text", () => {
+    const { headers, rows } = readSheet("Block 1");
+    const { events, rejected } = parseScheduleRows(headers, rows, { sheet: "Block 1" });
+    const sessions = byCase(events);
+
+    expect(events).toHaveLength(5);
+    expect(local(sessions["Thorax"].start)).toBe("2024-01-15 09:00");
+    expect(local(sessions["Thorax"].end)).toBe("2024-01-15 10:30");
+    expect(local(sessions["Dissection"].start)).toBe("2024-07-16 13:00");
+    expect(local(sessions["Dissection"].end)).toBe("2024-07-16 15:45");
+    expect(local(sessions["Renal"].start)).toBe("2024-01-22 10:00");
+    expect(local(sessions["Cardiac"].start)).toBe("2024-01-18 13:00");
+    expect(sessions["Thorax"].sourceSheet).toBe("Block 1");
+
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0]).toMatchObject({
+      rowNumber: 7,
+      sheet: "Block 1",
+      reason: "Missing end time",
+    });
+  });
+
+  it("keeps overnight sessions nine wall-clock hours long over DST", () => {
+    const { headers, rows } = readSheet("Block 1");
+    const { events } = parseScheduleRows(headers, rows);
+    const night = byCase(events)["Night float"];
+    expect(local(night.start)).toBe("2024-03-09 22:00");
+    expect(local(night.end)).toBe("2024-03-10 07:00");
+  });
+
+  it("reads each sheet on its own", () => {
+    const { headers, rows } = readSheet("Nights");
+    const { events } = parseScheduleRows(headers, rows, { sheet: "Nights" });
+    expect(events).toHaveLength(1);
+    expect(local(events[0].start)).toBe("2024-11-02 18:00");
+    expect(events[0].learnerGroup).toBe("H2");
+  });
+});
@@ -0,0 +1,142 @@
+import { mkdtemp, readFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { createJsonFileStore } from "../server/jsonFileStore";
+import { createSchedule, updateSchedule } from "../server/scheduleStore";
+import { createShare, openShare, revokeShare, revokeSharesFor } from "../server/shareStore";
+
+const events = [
+  {
+    title: "Anatomy Lecture",
+    start: "2024-03-04T14:00:00.000Z",
+    end: "2024-03-04T15:00:00.000Z",
+    learnerGroup: "A1",
+  },
+  {
+    title: "Welcome Talk",
+    start: "2024-03-04T16:00:00.000Z",
+    end: "2024-03-04T17:00:00.000Z",
+  },
+  {
+    title: "Histology Lab",
+    start: "2024-03-05T14:00:00.000Z",
+    end: "2024-03-05T16:00:00.000Z",
+    learnerGroup: "B2",
+  },
+];
+
+let dataDir;
+
+beforeEach(async () => {
+  dataDir = await mkdtemp(path.join(tmpdir(), "grad-planner-"));
+  process.env.SCHEDULE_DATA_DIR = dataDir;
+});
+
+afterEach(async () => {
+  delete process.env.SCHEDULE_DATA_DIR;
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+describe("createJsonFileStore", () => {
+  const store = () =>
+    createJsonFileStore("counts.json", (parsed) => ({ counts: parsed.counts || {} }));
+
+  it("reads an empty store before the file exists", async () => {
+    expect(await store().read()).toEqual({ counts: {} });
+  });
+
+  it("writes changes to disk in order", async () => {
+    const { read, mutate } = store();
+    const results = await Promise.all(
+      [1, 2, 3].map(() =>
+        mutate((data) => {
+          data.counts.a = (data.counts.a || 0) + 1;
+          return data.counts.a;
+        })
+      )
+    );
+
+    expect(results).toEqual([1, 2, 3]);
+    expect(await store().read()).toEqual({ counts: { a: 3 } });
+    expect(JSON.parse(await readFile(path.join(dataDir, "counts.json"), "utf8"))).toEqual(
+      await read()
+    );
+  });
+});
+
+describe("share links", () => {
+  it("opens a snapshot narrowed to its groups, ungrouped events included", async () => {
+    const schedule = await createSchedule({ name: "Block 1", events });
+    const share = await createShare({ scheduleId: schedule.id, groups: ["A1", "Ungrouped"] });
+    await updateSchedule(schedule.id, { events: [] });
+
+    const shared = await openShare(share.token);
+    expect(shared.mode).toBe("snapshot");
+    expect(shared.name).toBe("Block 1");
+    expect(shared.events.map((event) => event.title)).toEqual([
+      "Anatomy Lecture",
+      "Welcome Talk",
+    ]);
+  });
+
+  it("follows later edits on a live link", async () => {
+    const schedule = await createSchedule({ name: "Block 1", events });
+    const share = await createShare({ scheduleId: schedule.id, mode: "live", groups: ["B2"] });
+    await updateSchedule(schedule.id, { name: "Block 1 (v2)", events: events.slice(0, 2) });
+
+    const shared = await openShare(share.token);
+    expect(shared.name).toBe("Block 1 (v2)");
+    expect(shared.events).toEqual([]);
+  });
+
+  it("returns null for an unknown schedule and rejects a bad mode", async () => {
+    expect(await createShare({ scheduleId: "missing" })).toBeNull();
+    await expect(createShare({ scheduleId: "missing", mode: "edit" })).rejects.toThrow(
+      "mode must be one of"
+    );
+  });
+
+  it("expires links", async () => {
+    const schedule = await createSchedule({ name: "Block 1", events });
+    const share = await createShare({
+      scheduleId: schedule.id,
+      expiresAt: "2999-01-01T00:00:00.000Z",
+    });
+
+    expect(await openShare(share.token, new Date("2998-12-31T23:59:59Z"))).not.toBe("expired");
+    expect(await openShare(share.token, new Date("2999-01-01T00:00:00Z"))).toBe("expired");
+    await expect(
+      createShare({ scheduleId: schedule.id, expiresAt: "2000-01-01T00:00:00.000Z" })
+    ).rejects.toThrow("expiresAt must be in the future");
+  });
+
+  it("revokes only with the manage key, which is never stored", async () => {
+    const schedule = await createSchedule({ name: "Block 1", events });
+    const share = await createShare({ scheduleId: schedule.id });
+    const stored = await readFile(path.join(dataDir, "shares.json"), "utf8");
+    expect(stored).not.toContain(share.manageKey);
+
+    expect(await revokeShare(share.token, undefined)).toBe("forbidden");
+    expect(await revokeShare(share.token, schedule.id)).toBe("forbidden");
+    expect(await openShare(share.token)).not.toBeNull();
+
+    expect(await revokeShare(share.token, share.manageKey)).toBe(true);
+    expect(await openShare(share.token)).toBeNull();
+    expect(await revokeShare(share.token, share.manageKey)).toBe(false);
+  });
+
+  it("drops every link to a deleted schedule", async () => {
+    const schedule = await createSchedule({ name: "Block 1", events });
+    const other = await createSchedule({ name: "Block 2", events });
+    const shares = await Promise.all([
+      createShare({ scheduleId: schedule.id }),
+      createShare({ scheduleId: schedule.id, mode: "live" }),
+      createShare({ scheduleId: other.id }),
+    ]);
+
+    expect(await revokeSharesFor(schedule.id)).toBe(2);
+    expect(await openShare(shares[0].token)).toBeNull();
+    expect(await openShare(shares[2].token)).not.toBeNull();
+  });
+});
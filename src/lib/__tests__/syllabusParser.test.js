@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { parseScheduleText } from "../syllabusParser";
+import { localSpan } from "./helpers";
+
+const SYLLABUS = `BIOL 610 Advanced Cell Biology
+Location: Science Hall 204
+Class time: Tuesdays 9:00-10:30 am
+
+Week\tDate\tTopic
+1\tMar 5\tMembrane Transport
+2\tMar 12\tSignal Transduction
+\tMar 14\tLab 1: Western Blot, Group B2, 1-4 pm, Room 118
+3\tMarch 19\tMidterm Exam
+4\t3/22\tProject proposal due 5:00 PM
+5\tApr 2\tSpring recess`;
+
+describe("parseScheduleText", () => {
+  const { courseName, events } = parseScheduleText(SYLLABUS, { year: 2024 });
+  const byTitle = (title) => events.find((event) => event.title === title);
+
+  it("reads the course and one session per dated row", () => {
+    expect(courseName).toBe("BIOL 610");
+    expect(events.map((event) => event.title)).toEqual([
+      "Membrane Transport",
+      "Signal Transduction",
+      "Lab 1: Western Blot, Group B2",
+      "Midterm Exam",
+      "Project proposal due",
+      "Spring recess",
+    ]);
+  });
+
+  it("uses the class time and location when a row has none", () => {
+    expect(localSpan(byTitle("Membrane Transport"))).toEqual([
+      "2024-03-05 09:00",
+      "2024-03-05 10:30",
+    ]);
+    expect(byTitle("Membrane Transport").location).toBe("Science Hall 204");
+    expect(byTitle("Midterm Exam").desc).toBe("BIOL 610 - Exam");
+  });
+
+  it("keeps end times right after the switch to daylight saving time", () => {
+    // clocks went forward in New York on Sunday, March 10 2024
+    expect(localSpan(byTitle("Signal Transduction"))).toEqual([
+      "2024-03-12 09:00",
+      "2024-03-12 10:30",
+    ]);
+    const { events: [sunday] } = parseScheduleText("Mar 10, 2024 Review session 9:00-10:30 am");
+    expect(localSpan(sunday)).toEqual(["2024-03-10 09:00", "2024-03-10 10:30"]);
+  });
+
+  it("reads a row's own time, room and learner group", () => {
+    const lab = byTitle("Lab 1: Western Blot, Group B2");
+    expect(localSpan(lab)).toEqual(["2024-03-14 13:00", "2024-03-14 16:00"]);
+    expect(lab).toMatchObject({ location: "Room 118", learnerGroup: "B2" });
+    expect(lab.desc).toBe("BIOL 610 - Lab");
+  });
+
+  it("gives a single time an hour", () => {
+    expect(localSpan(byTitle("Project proposal due"))).toEqual([
+      "2024-03-22 17:00",
+      "2024-03-22 18:00",
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, expect, it } from "vitest";
+import {
+  fromDisplayDate,
+  getTimeZoneOffset,
+  resolveTimeZone,
+  toDisplayDate,
+  toDisplayEvent,
+  zonedTimeToUtc,
+} from "../timezone";
+import { at, local, localSpan } from "./helpers";
+
+describe("zonedTimeToUtc", () => {
+  it("reads wall-clock time in the given zone", () => {
+    expect(
+      zonedTimeToUtc({ year: 2024, month: 7, day: 1, hours: 9 }, "Asia/Tokyo").toISOString()
+    ).toBe("2024-07-01T00:00:00.000Z");
+    expect(
+      zonedTimeToUtc({ year: 2024, month: 7, day: 1, hours: 9 }, "Europe/London").toISOString()
+    ).toBe("2024-07-01T08:00:00.000Z");
+  });
+
+  it("moves times skipped by the spring DST jump forward", () => {
+    // New York clocks jumped from 2:00 to 3:00 on March 10 2024
+    expect(
+      zonedTimeToUtc(
+        { year: 2024, month: 3, day: 10, hours: 2, minutes: 30 },
+        "America/New_York"
+      ).toISOString()
+    ).toBe("2024-03-10T07:30:00.000Z");
+  });
+
+  it("picks the earlier of two repeated autumn times", () => {
+    // 1:30 happened twice in New York on November 3 2024
+    expect(
+      zonedTimeToUtc(
+        { year: 2024, month: 11, day: 3, hours: 1, minutes: 30 },
+        "America/New_York"
+      ).toISOString()
+    ).toBe("2024-11-03T05:30:00.000Z");
+  });
+});
+
+describe("display zone conversion", () => {
+  const instant = new Date("2024-03-04T23:00:00Z");
+
+  it("shifts an instant to the display zone's wall clock and back", () => {
+    const shown = toDisplayDate(instant, "Asia/Tokyo");
+    expect(local(shown)).toBe("2024-03-05 08:00");
+    expect(fromDisplayDate(shown, "Asia/Tokyo").toISOString()).toBe(instant.toISOString());
+  });
+
+  it("leaves dates alone without a display zone or in the local one", () => {
+    expect(toDisplayDate(instant, null)).toBe(instant);
+    expect(fromDisplayDate(instant, "America/New_York")).toBe(instant);
+  });
+
+  it("keeps an all-day event on its own day in another display zone", () => {
+    const allDay = { allDay: true, start: at("2024-03-05 00:00"), end: at("2024-03-06 00:00") };
+    expect(localSpan(toDisplayEvent(allDay, "America/Los_Angeles"))).toEqual([
+      "2024-03-05 00:00",
+      "2024-03-06 00:00",
+    ]);
+    const timed = { start: at("2024-03-05 09:00"), end: at("2024-03-05 10:00") };
+    expect(localSpan(toDisplayEvent(timed, "America/Los_Angeles"))).toEqual([
+      "2024-03-05 06:00",
+      "2024-03-05 07:00",
+    ]);
+  });
+
+  it("knows a zone's offset on either side of a DST change", () => {
+    const hour = 60 * 60 * 1000;
+    expect(getTimeZoneOffset(new Date("2024-03-10T06:00:00Z"), "America/New_York")).toBe(
+      -5 * hour
+    );
+    expect(getTimeZoneOffset(new Date("2024-03-10T08:00:00Z"), "America/New_York")).toBe(
+      -4 * hour
+    );
+  });
+});
+
+describe("resolveTimeZone", () => {
+  it.each([
+    ["America/Chicago", "America/Chicago"],
+    ['"Eastern Standard Time"', "America/New_York"],
+    ["/citadel.org/20190103_1/Europe/Berlin", "Europe/Berlin"],
+    ["Mars/Olympus_Mons", null],
+    ["", null],
+  ])("maps %s", (tzid, expected) => {
+    expect(resolveTimeZone(tzid)).toBe(expected);
+  });
+});
@@ -0,0 +1,125 @@
+import moment from "moment";
+import Papa from "papaparse";
+import { describe, expect, it } from "vitest";
+import { mergeIntervals, subtractIntervals, workingWindows } from "../timeIntervals";
+import { analyzeWorkload, workloadCsv } from "../workloadAnalytics";
+import { at, localSpan } from "./helpers";
+
+const span = (start, end) => ({ start: at(start), end: at(end) });
+
+const session = (id, start, end, desc, learnerGroup = "A1") => ({
+  id,
+  title: id,
+  desc,
+  learnerGroup,
+  ...span(start, end),
+});
+
+const workingHours = { startHour: 9, endHour: 17, weekdaysOnly: true };
+
+describe("time intervals", () => {
+  it("merges overlapping and touching intervals", () => {
+    const merged = mergeIntervals([
+      span("2024-03-04 13:00", "2024-03-04 14:00"),
+      span("2024-03-04 09:00", "2024-03-04 10:00"),
+      span("2024-03-04 09:30", "2024-03-04 11:00"),
+      span("2024-03-04 11:00", "2024-03-04 12:00"),
+    ]);
+    expect(merged.map(localSpan)).toEqual([
+      ["2024-03-04 09:00", "2024-03-04 12:00"],
+      ["2024-03-04 13:00", "2024-03-04 14:00"],
+    ]);
+  });
+
+  it("keeps windows on the wall clock across DST changes", () => {
+    const allWeek = { startHour: 8, endHour: 18, weekdaysOnly: false };
+    const spring = workingWindows(at("2024-03-10 00:00"), at("2024-03-10 00:00"), allWeek);
+    const autumn = workingWindows(at("2024-11-03 00:00"), at("2024-11-03 00:00"), allWeek);
+    expect([...spring, ...autumn].map(localSpan)).toEqual([
+      ["2024-03-10 08:00", "2024-03-10 18:00"],
+      ["2024-11-03 08:00", "2024-11-03 18:00"],
+    ]);
+  });
+
+  it("leaves the uncovered parts of each window", () => {
+    const windows = workingWindows(at("2024-03-08 00:00"), at("2024-03-11 00:00"), workingHours);
+    expect(windows.map(localSpan)).toEqual([
+      ["2024-03-08 09:00", "2024-03-08 17:00"],
+      ["2024-03-11 09:00", "2024-03-11 17:00"],
+    ]);
+    const free = subtractIntervals(windows, [
+      span("2024-03-08 08:00", "2024-03-08 10:00"),
+      span("2024-03-08 12:00", "2024-03-08 13:00"),
+      span("2024-03-11 09:00", "2024-03-11 17:00"),
+    ]);
+    expect(free.map(localSpan)).toEqual([
+      ["2024-03-08 10:00", "2024-03-08 12:00"],
+      ["2024-03-08 13:00", "2024-03-08 17:00"],
+    ]);
+  });
+});
+
+describe("analyzeWorkload", () => {
+  const events = [
+    session("lecture", "2024-03-04 09:00", "2024-03-04 11:00", "Anatomy - Lecture - 1"),
+    session("lab", "2024-03-04 10:00", "2024-03-04 12:30", "Anatomy - Lab - 1", "B2"),
+    session("seminar", "2024-03-12 14:00", "2024-03-12 15:00", "Ethics - Seminar - 1"),
+    session("night", "2024-03-13 23:00", "2024-03-14 01:00", "Ethics - Lab - 2"),
+    { id: "due", title: "Essay", type: "deadline", ...span("2024-03-05 17:00", "2024-03-05 17:00") },
+    {
+      id: "retreat",
+      title: "Retreat",
+      allDay: true,
+      ...span("2024-03-06 00:00", "2024-03-07 00:00"),
+    },
+  ];
+  const analysis = analyzeWorkload(events, "2024-03-04", "2024-03-15", workingHours);
+
+  it("totals contact hours per week, course, session type and group", () => {
+    expect(analysis.totals).toEqual({
+      hours: 7.5,
+      sessions: 4,
+      workingHours: 80,
+      freeHours: 75.5,
+    });
+    expect(analysis.weeks.map((week) => [moment(week.start).format("YYYY-MM-DD"), week.hours]))
+      .toEqual([
+        ["2024-03-03", 4.5],
+        ["2024-03-10", 3],
+      ]);
+    expect(analysis.weeks[0]).toMatchObject({ busyHours: 3.5, sessions: 2, freeHours: 36.5 });
+    expect(analysis.byCourse).toEqual([
+      { key: "Anatomy", hours: 4.5, sessions: 2 },
+      { key: "Ethics", hours: 3, sessions: 2 },
+    ]);
+    expect(analysis.bySessionType).toEqual([
+      { key: "Lab", hours: 4.5, sessions: 2 },
+      { key: "Lecture", hours: 2, sessions: 1 },
+      { key: "Seminar", hours: 1, sessions: 1 },
+    ]);
+    expect(analysis.byGroup.map((group) => group.key)).toEqual(["A1", "B2"]);
+  });
+
+  it("splits sessions across the hours and days they touch", () => {
+    expect(analysis.heatmap[1][9]).toBe(1);
+    expect(analysis.heatmap[1][10]).toBe(2);
+    expect(analysis.heatmap[1][12]).toBe(0.5);
+    expect(analysis.heatmap[3][23]).toBe(1);
+    expect(analysis.heatmap[4][0]).toBe(1);
+    expect(analysis.busiestDays.map((day) => [day.date, day.hours])).toEqual([
+      ["2024-03-04", 4.5],
+      ["2024-03-12", 1],
+      ["2024-03-13", 1],
+      ["2024-03-14", 1],
+    ]);
+  });
+
+  it("exports the summary as CSV", () => {
+    const rows = Papa.parse(workloadCsv(analysis)).data;
+    expect(rows[0]).toEqual(["Section", "Item", "Hours", "Sessions", "Free Working Hours"]);
+    expect(rows).toContainEqual(["Total", "All sessions", "7.5", "4", "75.5"]);
+    expect(rows).toContainEqual(["Week", "2024-03-03", "4.5", "2", "36.5"]);
+    expect(rows).toContainEqual(["Course", "Anatomy", "4.5", "2", ""]);
+    expect(rows).toContainEqual(["Busiest Day", "2024-03-04", "4.5", "", ""]);
+  });
+});
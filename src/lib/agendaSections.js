@@ -0,0 +1,56 @@
+import moment from "moment";
+import { getCourseName } from "./eventDetails";
+import { UNGROUPED } from "./groupSchemes";
+
+export const AGENDA_SUBGROUPS = [
+  { value: "course", label: "Course" },
+  { value: "group", label: "Learner Group" },
+  { value: "none", label: "Nothing" },
+];
+
+const subgroupKeyFor = (event, subgroupBy) => {
+  if (subgroupBy === "course") return getCourseName(event);
+  if (subgroupBy === "group") return event.learnerGroup || UNGROUPED;
+  return null;
+};
+
+/**
+ * events between from and to (either may be null) as day sections, each
+ * split into course or learner group sub-sections sorted by name. with
+ * subgroupBy "none" a day has a single sub-section keyed null. events are
+ * expected in the display zone already
+ */
+export const agendaSections = (events, { from, to, subgroupBy }) => {
+  const start = from ? moment(from).startOf("day") : null;
+  const end = to ? moment(to).endOf("day") : null;
+  const days = new Map();
+  events
+    .filter(
+      (event) =>
+        (!start || moment(event.end).isAfter(start)) &&
+        (!end || moment(event.start).isBefore(end))
+    )
+    .sort((a, b) => a.start - b.start)
+    .forEach((event) => {
+      const dayKey = moment(event.start).format("YYYY-MM-DD");
+      if (!days.has(dayKey)) days.set(dayKey, new Map());
+      const subgroups = days.get(dayKey);
+      const key = subgroupKeyFor(event, subgroupBy);
+      if (!subgroups.has(key)) subgroups.set(key, []);
+      subgroups.get(key).push(event);
+    });
+
+  return Array.from(days, ([key, subgroups]) => {
+    const subsections = Array.from(subgroups, ([subKey, subEvents]) => ({
+      key: subKey,
+      events: subEvents,
+    })).sort((a, b) =>
+      String(a.key).localeCompare(String(b.key), undefined, { numeric: true })
+    );
+    return {
+      key,
+      count: subsections.reduce((total, subsection) => total + subsection.events.length, 0),
+      subsections,
+    };
+  });
+};
@@ -0,0 +1,44 @@
+/**
+ * debounced saving of an events array. it remembers the array last saved
+ * (or loaded), not the one first loaded, so undoing back to an earlier
+ * array still counts as a change to save
+ */
+export const createAutosaver = (delay) => {
+  let saved = null;
+  let pending = null;
+
+  const cancel = () => {
+    if (pending) clearTimeout(pending.timer);
+    pending = null;
+  };
+
+  const run = async () => {
+    if (!pending) return;
+    const { events, save } = pending;
+    cancel();
+    try {
+      await save(events);
+      saved = events;
+    } catch (error) {
+      console.warn("Autosave failed:", error);
+    }
+  };
+
+  return {
+    // events that match what the server (or draft store) already has
+    markSaved: (events) => {
+      cancel();
+      saved = events;
+    },
+    hasChanges: (events) => events !== saved || pending !== null,
+    // save(events) runs after delay unless replaced by a newer call;
+    // it should throw when the save didn't go through
+    schedule: (events, save) => {
+      cancel();
+      pending = { events, save, timer: setTimeout(run, delay) };
+    },
+    // runs a scheduled save now, e.g. before switching schedules
+    flush: run,
+    cancel,
+  };
+};
@@ -0,0 +1,272 @@
+import { loadSetting, saveSetting } from "./localSettings";
+
+/**
+ * maps spreadsheet columns to the event fields the importers read.
+ * a mapping is keyed by our standard header name and holds the file's
+ * header for that field, or null when the file has no such column
+ */
+export const MAPPABLE_FIELDS = [
+  {
+    header: "Section Date",
+    required: true,
+    kind: "date",
+    aliases: ["date", "day", "class date", "session date", "meeting date", "event date"],
+  },
+  {
+    header: "Start Time",
+    required: true,
+    kind: "time",
+    aliases: ["start", "begin", "begins", "from", "time start", "starts"],
+  },
+  {
+    header: "End Time",
+    required: true,
+    kind: "time",
+    aliases: ["end", "finish", "ends", "to", "until", "time end"],
+  },
+  {
+    header: "Course Name",
+    kind: "text",
+    aliases: ["course", "class", "subject", "course title", "course code", "module"],
+  },
+  {
+    header: "Session Type",
+    kind: "text",
+    aliases: ["type", "format", "activity", "category", "event type"],
+  },
+  {
+    header: "Session Name",
+    kind: "text",
+    aliases: ["session", "title", "topic", "event", "name", "description", "session title"],
+  },
+  {
+    header: "Section Name",
+    kind: "text",
+    aliases: ["section", "sec", "section title"],
+  },
+  {
+    header: "Location",
+    kind: "text",
+    aliases: ["room", "building", "venue", "where", "place", "site"],
+  },
+  {
+    header: "Learner Group",
+    kind: "text",
+    aliases: ["group", "cohort", "team", "learner groups", "student group"],
+  },
+  {
+    header: "End Date",
+    kind: "date",
+    aliases: ["end day", "to date", "until date", "finish date", "last day"],
+  },
+  {
+    header: "All Day",
+    kind: "text",
+    aliases: ["all day event", "allday", "full day"],
+  },
+  {
+    header: "Time Zone",
+    kind: "text",
+    aliases: ["timezone", "tz", "zone", "tzid"],
+  },
+  {
+    header: "UID",
+    kind: "text",
+    aliases: ["event uid", "ical uid", "uuid"],
+  },
+];
+
+const PROFILES_KEY = "mappingProfiles";
+const MIN_SCORE = 0.3;
+const PREVIEW_SAMPLE = 20;
+
+const normalizeHeader = (value) =>
+  (value ?? "")
+    .toString()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const bigrams = (value) => {
+  const grams = [];
+  for (let i = 0; i < value.length - 1; i++) grams.push(value.slice(i, i + 2));
+  return grams;
+};
+
+/**
+ * Sørensen–Dice similarity of two strings' character bigrams
+ */
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  if (!gramsA.length || !gramsB.length) return 0;
+  const remaining = [...gramsB];
+  let matches = 0;
+  gramsA.forEach((gram) => {
+    const index = remaining.indexOf(gram);
+    if (index >= 0) {
+      matches++;
+      remaining.splice(index, 1);
+    }
+  });
+  return (2 * matches) / (gramsA.length + gramsB.length);
+};
+
+const headerScore = (header, field) => {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return 0;
+  if (normalized === normalizeHeader(field.header)) return 1;
+  if (field.aliases.includes(normalized)) return 0.9;
+  const names = [field.header, ...field.aliases].map(normalizeHeader);
+  const words = normalized.split(" ");
+  const wordHit = names.some((name) => name.split(" ").every((word) => words.includes(word)));
+  const best = Math.max(...names.map((name) => similarity(normalized, name)));
+  return wordHit ? Math.max(0.75, best) : best * 0.8;
+};
+
+const DATE_LIKE =
+  /^(\d{4}[-/]\d{1,2}[-/]\d{1,2}|\d{1,2}[-/]\d{1,2}[-/]\d{2,4}|\d{8}|[a-z]{3,9}\.? \d{1,2},? \d{4}|\d{1,2} [a-z]{3,9}\.? \d{4})$/i;
+const TIME_LIKE = /^(\d{1,2}(:\d{2})?\s*([ap]\.?m\.?)?|\d{1,2}:?\d{2}|noon|midnight)$/i;
+
+const looksLikeDate = (value) => {
+  if (value instanceof Date) return true;
+  if (typeof value === "number") return value > 20000 && value < 80000;
+  return DATE_LIKE.test(value.toString().trim());
+};
+
+const looksLikeTime = (value) => {
+  if (value instanceof Date) return true;
+  // Excel stores times of day as fractions of a day
+  if (typeof value === "number") return value >= 0 && value < 1;
+  return TIME_LIKE.test(value.toString().trim());
+};
+
+/**
+ * how well a column's sample values fit the field's kind, 0..1
+ */
+const contentScore = (values, field) => {
+  const filled = values.filter(
+    (value) => value !== undefined && value !== null && value.toString().trim() !== ""
+  );
+  if (!filled.length) return 0.5;
+  const dateShare = filled.filter(looksLikeDate).length / filled.length;
+  const timeShare = filled.filter(looksLikeTime).length / filled.length;
+  if (field.kind === "date") return dateShare;
+  if (field.kind === "time") return timeShare;
+  return 1 - Math.max(dateShare, timeShare);
+};
+
+/**
+ * suggests a column for each field from header text and content type.
+ * returns { mapping, confidence } with confidence per field (0..1)
+ */
+export const suggestMapping = (headers, rows) => {
+  const sample = rows.slice(0, PREVIEW_SAMPLE);
+  const candidates = [];
+  MAPPABLE_FIELDS.forEach((field) => {
+    headers.forEach((header, column) => {
+      if (normalizeHeader(header) === "") return;
+      const byHeader = headerScore(header, field);
+      const byContent = contentScore(
+        sample.map((row) => row[column]),
+        field
+      );
+      // dates and times are recognisable from content alone; for text
+      // columns content can only count against a header match
+      const score =
+        field.kind === "text"
+          ? byHeader * (0.7 + byContent * 0.3)
+          : byHeader * 0.7 + byContent * 0.3;
+      candidates.push({ field: field.header, header, score });
+    });
+  });
+
+  // best pairs first, each column and field used once
+  candidates.sort((a, b) => b.score - a.score);
+  const mapping = Object.fromEntries(MAPPABLE_FIELDS.map((field) => [field.header, null]));
+  const confidence = {};
+  const usedHeaders = new Set();
+  candidates.forEach(({ field, header, score }) => {
+    if (score < MIN_SCORE || mapping[field] !== null || usedHeaders.has(header)) return;
+    mapping[field] = header;
+    confidence[field] = Math.min(1, score);
+    usedHeaders.add(header);
+  });
+  return { mapping, confidence };
+};
+
+export const missingRequiredFields = (mapping) =>
+  MAPPABLE_FIELDS.filter((field) => field.required && !mapping[field.header]).map(
+    (field) => field.header
+  );
+
+/**
+ * true when every standard header is present as-is, so no wizard is needed
+ */
+export const isStandardLayout = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  return MAPPABLE_FIELDS.filter((field) => field.required).every((field) =>
+    normalized.includes(normalizeHeader(field.header))
+  );
+};
+
+export const headerSignature = (headers) =>
+  headers.map(normalizeHeader).filter(Boolean).join("|");
+
+export const loadMappingProfiles = () => loadSetting(PROFILES_KEY, []);
+
+export const findMappingProfile = (headers) => {
+  const signature = headerSignature(headers);
+  return loadMappingProfiles().find((profile) => profile.signature === signature) || null;
+};
+
+export const saveMappingProfile = (name, headers, mapping) => {
+  const signature = headerSignature(headers);
+  const profiles = loadMappingProfiles().filter(
+    (profile) => profile.name !== name && profile.signature !== signature
+  );
+  const profile = { name, signature, mapping, savedAt: new Date().toISOString() };
+  saveSetting(PROFILES_KEY, [...profiles, profile]);
+  return profile;
+};
+
+export const deleteMappingProfile = (name) => {
+  saveSetting(
+    PROFILES_KEY,
+    loadMappingProfiles().filter((profile) => profile.name !== name)
+  );
+};
+
+/**
+ * applies a saved profile to a file with the same columns in any order;
+ * headers the file doesn't have are dropped
+ */
+export const mappingFromProfile = (profile, headers) => {
+  const byNormalized = new Map(headers.map((header) => [normalizeHeader(header), header]));
+  return Object.fromEntries(
+    Object.entries(profile.mapping).map(([field, header]) => [
+      field,
+      header ? byNormalized.get(normalizeHeader(header)) || null : null,
+    ])
+  );
+};
+
+/**
+ * reads a field through the mapping; fields absent from the mapping fall
+ * back to a column with the standard header name
+ */
+export const createFieldReader = (headers, mapping) => {
+  const indexByNormalized = new Map(
+    headers.map((header, index) => [normalizeHeader(header), index])
+  );
+  return (row, name) => {
+    const header = mapping && name in mapping ? mapping[name] : name;
+    if (!header) return "";
+    const index = indexByNormalized.get(normalizeHeader(header));
+    if (index === undefined) return "";
+    const value = Array.isArray(row) ? row[index] : row[headers[index]];
+    return value ?? "";
+  };
+};
@@ -0,0 +1,97 @@
+import { isDeadline } from "./eventDetails";
+import { UNGROUPED } from "./groupSchemes";
+
+/**
+ * finds sessions that overlap in time for the same learner group or in
+ * the same room. a conflict is { kind: "group" | "location", key, a, b }
+ * where key is the group or location the two events share. rooms match
+ * regardless of case and spacing ("Room  101" is "room 101")
+ */
+const UNASSIGNED_GROUPS = new Set(["", UNGROUPED]);
+const UNASSIGNED_LOCATIONS = new Set(["", "unknown location", "tba", "tbd", "online"]);
+
+const tidyLocation = (location) => (location || "").trim().replace(/\s+/g, " ");
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const bucketKey = (event, kind) => {
+  if (event.allDay || isDeadline(event)) return null;
+  if (kind === "group") {
+    const group = (event.learnerGroup || "").trim();
+    return UNASSIGNED_GROUPS.has(group) ? null : group;
+  }
+  const location = tidyLocation(event.location).toLowerCase();
+  return UNASSIGNED_LOCATIONS.has(location) ? null : location;
+};
+
+// the shared group or room as the first event spells it
+const conflictKey = (event, kind) =>
+  kind === "group" ? event.learnerGroup.trim() : tidyLocation(event.location);
+
+const bucketEvents = (events, kind) => {
+  const buckets = new Map();
+  events.forEach((event) => {
+    const key = bucketKey(event, kind);
+    if (key === null) return;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(event);
+  });
+  return buckets;
+};
+
+/**
+ * sweeps each bucket in start order, comparing an event only with those
+ * still running when it starts
+ */
+const sweepBucket = (kind, bucket, conflicts) => {
+  const sorted = [...bucket].sort((a, b) => a.start - b.start);
+  let active = [];
+  sorted.forEach((event) => {
+    active = active.filter((other) => other.end > event.start);
+    active.forEach((other) => {
+      if (overlaps(other, event)) {
+        conflicts.push({ kind, key: conflictKey(other, kind), a: other, b: event });
+      }
+    });
+    active.push(event);
+  });
+};
+
+export const findConflicts = (events) => {
+  const conflicts = [];
+  ["group", "location"].forEach((kind) => {
+    bucketEvents(events, kind).forEach((bucket) => sweepBucket(kind, bucket, conflicts));
+  });
+  return conflicts.sort((x, y) => x.a.start - y.a.start);
+};
+
+/**
+ * ids of every event involved in at least one conflict
+ */
+export const conflictingIds = (conflicts) => {
+  const ids = new Set();
+  conflicts.forEach(({ a, b }) => {
+    ids.add(a.id);
+    ids.add(b.id);
+  });
+  return ids;
+};
+
+/**
+ * conflicts a new or edited event would have with the rest of the
+ * calendar; an event with the candidate's id is treated as its old version
+ */
+export const conflictsForEvent = (candidate, events) => {
+  const others = events.filter((event) => !candidate.id || event.id !== candidate.id);
+  const conflicts = [];
+  ["group", "location"].forEach((kind) => {
+    const key = bucketKey(candidate, kind);
+    if (key === null) return;
+    others.forEach((event) => {
+      if (bucketKey(event, kind) === key && overlaps(candidate, event)) {
+        conflicts.push({ kind, key: conflictKey(candidate, kind), a: candidate, b: event });
+      }
+    });
+  });
+  return conflicts;
+};
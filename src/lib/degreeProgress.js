@@ -0,0 +1,299 @@
+import moment from "moment";
+import { getCourseName } from "./eventDetails";
+import { loadSetting, saveSetting } from "./localSettings";
+
+/**
+ * degree requirements and progress. a program lists required courses
+ * (with credits and the term they're planned for), milestones and how
+ * many credits the degree needs. imported courses are linked to
+ * requirements by their Course Name, and progress is read from when
+ * those courses' sessions happen. terms are counted from the program's
+ * start term: term 1 is the start term
+ */
+const PROGRAM_KEY = "degreeProgram";
+
+// startMonth is 1-12; a term runs until the next one starts
+const SEASONS = [
+  { name: "Spring", startMonth: 1 },
+  { name: "Summer", startMonth: 6 },
+  { name: "Fall", startMonth: 8 },
+];
+
+export const DEFAULT_PROGRAM = {
+  name: "",
+  startTerm: "",
+  creditsRequired: 0,
+  creditsPerTerm: 9,
+  includeSummer: false,
+  requirements: [],
+  milestones: [
+    { id: "quals", name: "Qualifying exam", term: 4, completedOn: "" },
+    { id: "proposal", name: "Proposal defense", term: 6, completedOn: "" },
+    { id: "thesis", name: "Thesis submission", term: 10, completedOn: "" },
+  ],
+};
+
+export const loadProgram = () => ({
+  ...DEFAULT_PROGRAM,
+  ...loadSetting(PROGRAM_KEY, {}),
+});
+
+export const saveProgram = (program) => saveSetting(PROGRAM_KEY, program);
+
+export const createItemId = () => Math.random().toString(36).slice(2, 10);
+
+const seasonsFor = (program) =>
+  program.includeSummer ? SEASONS : SEASONS.filter((season) => season.name !== "Summer");
+
+/**
+ * terms as consecutive integers, so "two terms later" is just + 2
+ */
+export const termOfDate = (date, program) => {
+  const seasons = seasonsFor(program);
+  const day = moment(date);
+  const month = day.month() + 1;
+  const season = seasons.reduce(
+    (found, item, index) => (item.startMonth <= month ? index : found),
+    0
+  );
+  return day.year() * seasons.length + season;
+};
+
+export const termLabel = (term, program) => {
+  const seasons = seasonsFor(program);
+  return `${seasons[term % seasons.length].name} ${Math.floor(term / seasons.length)}`;
+};
+
+/**
+ * "Fall 2024" as a term, or null
+ */
+export const parseTerm = (label, program) => {
+  const match = (label || "").trim().match(/^([a-z]+)\s+(\d{4})$/i);
+  if (!match) return null;
+  const seasons = seasonsFor(program);
+  const season = seasons.findIndex(
+    (item) => item.name.toLowerCase() === match[1].toLowerCase()
+  );
+  return season === -1 ? null : Number(match[2]) * seasons.length + season;
+};
+
+const isCount = (value) => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+/**
+ * returns an error message per field, keyed like the settings form
+ */
+export const validateProgram = (program) => {
+  const errors = {};
+  if (program.startTerm && parseTerm(program.startTerm, program) === null) {
+    errors.startTerm = `Use a term like "Fall ${new Date().getFullYear()}"`;
+  }
+  if (!isCount(program.creditsRequired)) {
+    errors.creditsRequired = "Credits must be a whole number";
+  }
+  if (!isCount(program.creditsPerTerm) || Number(program.creditsPerTerm) === 0) {
+    errors.creditsPerTerm = "Credits per term must be at least 1";
+  }
+  program.requirements.forEach((requirement, index) => {
+    if (!requirement.name.trim()) errors[`requirements.${index}`] = "Name is required";
+    else if (!isCount(requirement.credits)) {
+      errors[`requirements.${index}`] = "Credits must be a whole number";
+    } else if (requirement.term !== "" && !(Number(requirement.term) >= 1)) {
+      errors[`requirements.${index}`] = "Term must be 1 or later";
+    }
+  });
+  program.milestones.forEach((milestone, index) => {
+    if (!milestone.name.trim()) errors[`milestones.${index}`] = "Name is required";
+    else if (milestone.term !== "" && !(Number(milestone.term) >= 1)) {
+      errors[`milestones.${index}`] = "Term must be 1 or later";
+    }
+  });
+  return errors;
+};
+
+const normalizeName = (name) => name.replace(/\s+/g, " ").trim().toLowerCase();
+
+/**
+ * the requirement an imported course counts toward, matched by name
+ */
+export const requirementForCourse = (program, courseName) =>
+  program.requirements.find((requirement) =>
+    requirement.courses.some((course) => normalizeName(course) === normalizeName(courseName))
+  ) || null;
+
+/**
+ * links a course to a requirement, unlinking it from any other
+ */
+export const linkCourse = (program, courseName, requirementId) => ({
+  ...program,
+  requirements: program.requirements.map((requirement) => {
+    const courses = requirement.courses.filter(
+      (course) => normalizeName(course) !== normalizeName(courseName)
+    );
+    return {
+      ...requirement,
+      courses: requirement.id === requirementId ? [...courses, courseName] : courses,
+    };
+  }),
+});
+
+/**
+ * each course on the calendar with the span of its sessions
+ */
+export const summarizeCourses = (events) => {
+  const courses = new Map();
+  events.forEach((event) => {
+    const name = getCourseName(event);
+    if (name === "No Course") return;
+    const course = courses.get(name) || { name, first: event.start, last: event.end, sessions: 0 };
+    courses.set(name, {
+      ...course,
+      first: event.start < course.first ? event.start : course.first,
+      last: event.end > course.last ? event.end : course.last,
+      sessions: course.sessions + 1,
+    });
+  });
+  return Array.from(courses.values()).sort((a, b) => a.first - b.first);
+};
+
+const plannedTermOf = (item, startTerm) =>
+  item.term === "" || item.term === undefined || startTerm === null
+    ? null
+    : startTerm + Number(item.term) - 1;
+
+const requirementStatus = (requirement, linked, now, program) => {
+  const last = linked.length ? new Date(Math.max(...linked.map((course) => course.last))) : null;
+  const first = linked.length ? new Date(Math.min(...linked.map((course) => course.first))) : null;
+  if (requirement.completed) {
+    return { status: "completed", term: last && termOfDate(last, program) };
+  }
+  if (!linked.length) return { status: "remaining", term: null };
+  if (last <= now) return { status: "completed", term: termOfDate(last, program) };
+  if (first <= now) return { status: "in-progress", term: termOfDate(last, program) };
+  return { status: "scheduled", term: termOfDate(first, program) };
+};
+
+const milestoneStatus = (milestone, events, now, program) => {
+  if (milestone.completedOn) {
+    return {
+      status: "completed",
+      date: moment(milestone.completedOn).toDate(),
+      term: termOfDate(moment(milestone.completedOn), program),
+    };
+  }
+  // a calendar event named like the milestone (e.g. "Qualifying exam")
+  // schedules it
+  const name = normalizeName(milestone.name);
+  const event = events
+    .filter((item) => normalizeName(item.title || "").includes(name))
+    .sort((a, b) => a.start - b.start)[0];
+  if (!event) return { status: "remaining", date: null, term: null };
+  return {
+    status: event.end <= now ? "completed" : "scheduled",
+    date: event.start,
+    term: termOfDate(event.start, program),
+  };
+};
+
+/**
+ * the dashboard's numbers: every requirement and milestone with its
+ * status and term, credit totals, the term-by-term plan and the
+ * projected graduation term. work that is late moves to the current
+ * term, milestones stay in order, and credits not yet tied to a course
+ * are spread over later terms at creditsPerTerm
+ */
+export const evaluateProgress = (program, events, now = new Date()) => {
+  const courses = summarizeCourses(events);
+  const currentTerm = termOfDate(now, program);
+  const startTerm =
+    parseTerm(program.startTerm, program) ??
+    (courses.length ? termOfDate(courses[0].first, program) : currentTerm);
+
+  const requirements = program.requirements.map((requirement) => {
+    const linked = courses.filter(
+      (course) => requirementForCourse(program, course.name)?.id === requirement.id
+    );
+    const plannedTerm = plannedTermOf(requirement, startTerm);
+    const { status, term } = requirementStatus(requirement, linked, now, program);
+    return {
+      ...requirement,
+      credits: Number(requirement.credits) || 0,
+      linkedCourses: linked.map((course) => course.name),
+      status,
+      plannedTerm,
+      term: term ?? plannedTerm,
+      overdue: status === "remaining" && plannedTerm !== null && plannedTerm < currentTerm,
+      offPlan: status !== "remaining" && plannedTerm !== null && term !== null && term !== plannedTerm,
+    };
+  });
+
+  let previousMilestone = -Infinity;
+  const milestones = program.milestones.map((milestone) => {
+    const plannedTerm = plannedTermOf(milestone, startTerm);
+    const { status, date, term } = milestoneStatus(milestone, events, now, program);
+    let projectedTerm = term ?? plannedTerm ?? currentTerm;
+    if (status !== "completed") {
+      projectedTerm = Math.max(projectedTerm, currentTerm, previousMilestone);
+    }
+    previousMilestone = projectedTerm;
+    return {
+      ...milestone,
+      status,
+      date,
+      plannedTerm,
+      term: projectedTerm,
+      overdue: status === "remaining" && plannedTerm !== null && plannedTerm < currentTerm,
+    };
+  });
+
+  const requiredCredits =
+    Number(program.creditsRequired) ||
+    requirements.reduce((total, requirement) => total + requirement.credits, 0);
+  const creditsWith = (statuses) =>
+    requirements
+      .filter((requirement) => statuses.includes(requirement.status))
+      .reduce((total, requirement) => total + requirement.credits, 0);
+  const credits = {
+    required: requiredCredits,
+    completed: creditsWith(["completed"]),
+    inProgress: creditsWith(["in-progress", "scheduled"]),
+  };
+  credits.remaining = Math.max(0, credits.required - credits.completed);
+
+  const open = [...requirements, ...milestones].filter((item) => item.status !== "completed");
+  let projectedTerm = open.length
+    ? Math.max(...open.map((item) => Math.max(item.term ?? currentTerm, currentTerm)))
+    : Math.max(startTerm, ...[...requirements, ...milestones].map((item) => item.term ?? startTerm));
+  const unplacedCredits = credits.remaining - credits.inProgress;
+  if (unplacedCredits > 0) {
+    const perTerm = Number(program.creditsPerTerm) || DEFAULT_PROGRAM.creditsPerTerm;
+    projectedTerm = Math.max(
+      projectedTerm,
+      currentTerm + Math.ceil(unplacedCredits / perTerm) - 1
+    );
+  }
+
+  const plan = [];
+  for (let term = startTerm; term <= projectedTerm; term += 1) {
+    const inTerm = (item) =>
+      (item.status === "completed" ? item.term : Math.max(item.term ?? currentTerm, currentTerm)) ===
+      term;
+    plan.push({
+      term,
+      label: termLabel(term, program),
+      requirements: requirements.filter(inTerm),
+      milestones: milestones.filter((milestone) => milestone.term === term),
+    });
+  }
+
+  return {
+    requirements,
+    milestones,
+    credits,
+    plan,
+    startTerm,
+    currentTerm,
+    projectedTerm,
+    projectedLabel: termLabel(projectedTerm, program),
+    unlinkedCourses: courses.filter((course) => !requirementForCourse(program, course.name)),
+  };
+};
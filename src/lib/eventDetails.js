@@ -0,0 +1,45 @@
+/**
+ * helpers for reading the parts the importers pack into an event's desc
+ * ("Course Name - Session Type - Section Name")
+ */
+const descParts = (event) =>
+  (event.desc || "")
+    .split(" - ")
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+export const getCourseName = (event) => descParts(event)[0] || "No Course";
+
+export const getSessionType = (event) => descParts(event)[1] || "";
+
+export const getSectionName = (event) => descParts(event)[2] || "";
+
+/**
+ * the desc parts as editable fields, without the "No Course" fallback
+ */
+export const splitDesc = (event) => {
+  const [course = "", sessionType = "", section = ""] = descParts(event);
+  return { course, sessionType, section };
+};
+
+export const buildDesc = ({ course, sessionType, section }) =>
+  [course, sessionType, section]
+    .map((part) => (part || "").trim())
+    .filter(Boolean)
+    .join(" - ");
+
+/**
+ * deadlines are points in time (assignment due, IRB renewal, ...), or a
+ * whole day when allDay; they have no length and never conflict
+ */
+export const isDeadline = (event) => event.type === "deadline";
+
+export const DEFAULT_CATEGORIES = [
+  "Class",
+  "Lab",
+  "Exam",
+  "Assignment",
+  "Meeting",
+  "Office Hours",
+  "Personal",
+];
@@ -0,0 +1,78 @@
+import { getCourseName, getSessionType } from "./eventDetails";
+import { UNGROUPED } from "./groupSchemes";
+import { loadSetting, saveSetting } from "./localSettings";
+
+/**
+ * multi-value event filters. each list holds the accepted values for one
+ * field; an empty list means "any". saved views are named filter sets and
+ * "my groups" is the learner groups the user belongs to
+ */
+export const EMPTY_FILTERS = {
+  groups: [],
+  courses: [],
+  sessionTypes: [],
+  locations: [],
+};
+
+export const FILTER_FIELDS = [
+  {
+    key: "groups",
+    label: "Learner Groups",
+    valueOf: (event) => event.learnerGroup || UNGROUPED,
+  },
+  { key: "courses", label: "Courses", valueOf: getCourseName },
+  {
+    key: "sessionTypes",
+    label: "Session Types",
+    valueOf: (event) => getSessionType(event) || "No Session Type",
+  },
+  {
+    key: "locations",
+    label: "Locations",
+    valueOf: (event) => event.location || "Unknown Location",
+  },
+];
+
+const MY_GROUPS_KEY = "myGroups";
+const SAVED_VIEWS_KEY = "savedViews";
+
+export const matchesFilters = (event, filters) =>
+  FILTER_FIELDS.every(
+    ({ key, valueOf }) => !filters[key]?.length || filters[key].includes(valueOf(event))
+  );
+
+export const hasActiveFilters = (filters) =>
+  FILTER_FIELDS.some(({ key }) => filters[key]?.length > 0);
+
+/**
+ * distinct values per filter field, for the option lists. groups come
+ * from the caller so they keep the calendar's group ordering
+ */
+export const filterOptions = (events, groups) =>
+  Object.fromEntries(
+    FILTER_FIELDS.map(({ key, valueOf }) => [
+      key,
+      key === "groups"
+        ? groups
+        : Array.from(new Set(events.map(valueOf))).sort((a, b) => a.localeCompare(b)),
+    ])
+  );
+
+export const loadMyGroups = () => loadSetting(MY_GROUPS_KEY, []);
+
+export const saveMyGroups = (groups) => saveSetting(MY_GROUPS_KEY, groups);
+
+export const loadSavedViews = () => loadSetting(SAVED_VIEWS_KEY, []);
+
+export const saveView = (name, filters) => {
+  const views = loadSavedViews().filter((view) => view.name !== name);
+  const next = [...views, { name, filters: { ...EMPTY_FILTERS, ...filters } }];
+  saveSetting(SAVED_VIEWS_KEY, next);
+  return next;
+};
+
+export const deleteView = (name) => {
+  const next = loadSavedViews().filter((view) => view.name !== name);
+  saveSetting(SAVED_VIEWS_KEY, next);
+  return next;
+};
@@ -0,0 +1,45 @@
+import { getCourseName, getSectionName } from "./eventDetails";
+
+/**
+ * stable event ids and keys, so imports can be deduplicated and diffed
+ * without relying on object identity
+ */
+export const createEventId = () => {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `evt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// returns the same array when nothing needs an id, so callers can
+// compare by reference to tell a reload from an edit
+export const withEventIds = (events) =>
+  events.every((event) => event.id)
+    ? events
+    : events.map((event) => (event.id ? event : { ...event, id: createEventId() }));
+
+const normalize = (value) => (value || "").toString().trim().toLowerCase();
+
+/**
+ * identifies a session independent of when it happens:
+ * course, session name, section and learner group
+ */
+export const sessionIdentity = (event) =>
+  [
+    getCourseName(event),
+    event.title,
+    getSectionName(event),
+    event.learnerGroup,
+  ]
+    .map(normalize)
+    .join("|");
+
+/**
+ * identifies one occurrence of a session: its identity plus start and end
+ */
+export const eventKey = (event) =>
+  [
+    sessionIdentity(event),
+    new Date(event.start).getTime(),
+    new Date(event.end).getTime(),
+  ].join("|");
@@ -0,0 +1,191 @@
+import moment from "moment";
+import { expandRecurrence, fromWallClock } from "./recurrence";
+import { createEventId } from "./eventIdentity";
+import { toDisplayDate } from "./timezone";
+
+/**
+ * recurring events made in the Add/Edit modal. a series is stored as its
+ * occurrences, each carrying the same seriesId and recurrence:
+ * { repeat, weekdays, until, count, exceptionDates } where weekdays are
+ * 0 (Sunday) to 6 and dates are "YYYY-MM-DD" strings in the event's own
+ * zone (local when it has none)
+ */
+export const REPEAT_OPTIONS = [
+  { value: "none", label: "Does not repeat" },
+  { value: "daily", label: "Daily" },
+  { value: "weekly", label: "Weekly" },
+  { value: "biweekly", label: "Every 2 weeks" },
+  { value: "monthly", label: "Monthly" },
+];
+
+export const SERIES_SCOPES = [
+  { value: "this", label: "This event" },
+  { value: "following", label: "This and following events" },
+  { value: "all", label: "All events in the series" },
+];
+
+const DATE_FORMAT = "YYYY-MM-DD";
+
+const isWeekly = (repeat) => repeat === "weekly" || repeat === "biweekly";
+
+export const toRecurrenceRule = (recurrence, timeZone = null) => ({
+  freq: isWeekly(recurrence.repeat) ? "WEEKLY" : recurrence.repeat.toUpperCase(),
+  interval: recurrence.repeat === "biweekly" ? 2 : 1,
+  byDay: isWeekly(recurrence.repeat)
+    ? recurrence.weekdays.map((day) => ({ day, nth: null }))
+    : [],
+  count: recurrence.count || undefined,
+  until: recurrence.until
+    ? fromWallClock(moment.utc(recurrence.until, DATE_FORMAT).endOf("day"), timeZone)
+    : undefined,
+});
+
+/**
+ * reads the fields rendered by RecurrenceFields; null means no repeat
+ */
+export const readRecurrenceForm = (formData) => {
+  const repeat = formData.get("repeat") || "none";
+  if (repeat === "none") return null;
+  const endType = formData.get("endType");
+  return {
+    repeat,
+    weekdays: isWeekly(repeat) ? formData.getAll("weekdays").map(Number) : [],
+    until: endType === "until" ? formData.get("until") || null : null,
+    count: endType === "count" ? parseInt(formData.get("count"), 10) || null : null,
+    exceptionDates: (formData.get("exceptionDates") || "")
+      .split(",")
+      .filter(Boolean),
+  };
+};
+
+const withoutSeries = (event) => {
+  const single = { ...event };
+  delete single.seriesId;
+  delete single.recurrence;
+  return single;
+};
+
+/**
+ * expands an event into a series. firstId keeps an existing event's id on
+ * the first occurrence so edits don't orphan references to it
+ */
+export const createSeries = (
+  base,
+  recurrence,
+  { seriesId = createEventId(), firstId = null } = {}
+) =>
+  expandRecurrence(toRecurrenceRule(recurrence, base.timeZone || null), {
+    start: base.start,
+    end: base.end,
+    // repeats at the same wall-clock time in the event's zone across DST
+    timeZone: base.timeZone || null,
+    exceptionDates: recurrence.exceptionDates,
+  }).map(({ start, end }, index) => ({
+    ...withoutSeries(base),
+    id: index === 0 && firstId ? firstId : createEventId(),
+    seriesId,
+    recurrence,
+    start,
+    end,
+  }));
+
+const seriesEvents = (events, seriesId) =>
+  events
+    .filter((event) => event.seriesId === seriesId)
+    .sort((a, b) => a.start - b.start);
+
+const seriesDate = (event) =>
+  moment(toDisplayDate(event.start, event.timeZone)).format(DATE_FORMAT);
+
+/**
+ * the occurrences before target, with the rule ending the day before it
+ */
+const truncateSeries = (series, target) => {
+  const until = moment(seriesDate(target), DATE_FORMAT)
+    .subtract(1, "day")
+    .format(DATE_FORMAT);
+  return series
+    .filter((event) => event.start < target.start)
+    .map((event) => ({
+      ...event,
+      recurrence: { ...event.recurrence, until, count: null },
+    }));
+};
+
+/**
+ * saves an edit to an event. a single event with a recurrence becomes a
+ * series. for an occurrence of a series, "this" changes only that
+ * occurrence; "following" splits the series at it and regenerates the
+ * rest from the edit; "all" regenerates the whole series, moving every
+ * occurrence by however much the edited one moved. a recurrence of null
+ * turns the edited part back into a single event
+ */
+export const updateSeriesEvent = (events, target, changes, scope) => {
+  const { recurrence, ...fields } = changes;
+  if (!target.seriesId) {
+    const edited = { ...target, ...fields };
+    return recurrence
+      ? [
+          ...events.filter((event) => event.id !== target.id),
+          ...createSeries(edited, recurrence, { firstId: target.id }),
+        ]
+      : events.map((event) => (event.id === target.id ? edited : event));
+  }
+  if (scope === "this") {
+    return events.map((event) =>
+      event.id === target.id ? { ...event, ...fields } : event
+    );
+  }
+
+  const series = seriesEvents(events, target.seriesId);
+  const others = events.filter((event) => event.seriesId !== target.seriesId);
+  const first = series[0] || target;
+  const split = scope === "following" && first.id !== target.id;
+  const kept = split ? truncateSeries(series, target) : [];
+
+  const shift = fields.start - target.start;
+  const duration = fields.end - fields.start;
+  const start = split ? fields.start : new Date(first.start.getTime() + shift);
+  const base = {
+    ...target,
+    ...fields,
+    start,
+    end: new Date(start.getTime() + duration),
+  };
+
+  const regenerated = recurrence
+    ? createSeries(base, recurrence, {
+        seriesId: split ? createEventId() : target.seriesId,
+        firstId: split ? target.id : first.id,
+      })
+    : [{ ...withoutSeries(base), id: target.id }];
+  return [...others, ...kept, ...regenerated];
+};
+
+/**
+ * deletes one occurrence (remembered as an exception date), it and the
+ * ones after it, or the whole series
+ */
+export const deleteSeriesEvent = (events, target, scope) => {
+  if (scope === "this") {
+    const date = seriesDate(target);
+    return events
+      .filter((event) => event.id !== target.id)
+      .map((event) =>
+        event.seriesId === target.seriesId
+          ? {
+              ...event,
+              recurrence: {
+                ...event.recurrence,
+                exceptionDates: [...event.recurrence.exceptionDates, date],
+              },
+            }
+          : event
+      );
+  }
+  const others = events.filter((event) => event.seriesId !== target.seriesId);
+  if (scope === "following") {
+    return [...others, ...truncateSeries(seriesEvents(events, target.seriesId), target)];
+  }
+  return others;
+};
@@ -0,0 +1,18 @@
+import moment from "moment";
+
+/**
+ * the checks every change to an event's times goes through, whether typed
+ * in the editor or dragged on the grid. may ask the user to confirm
+ */
+export const confirmEventTimes = (start, end) => {
+  if (end <= start) {
+    alert("End time must be after start time!");
+    return false;
+  }
+  // ending at the following midnight still counts as one day
+  const lastMoment = moment(end).subtract(1, "ms");
+  if (!moment(start).isSame(lastMoment, "day")) {
+    return confirm("⚠️ This event spans multiple days. Continue?");
+  }
+  return true;
+};
@@ -0,0 +1,41 @@
+import { isDeadline } from "./eventDetails";
+import { UNGROUPED } from "./groupSchemes";
+import { intervalHours, subtractIntervals, workingWindows } from "./timeIntervals";
+
+export const MIN_DURATION_OPTIONS = [
+  { value: 30, label: "30 minutes" },
+  { value: 60, label: "1 hour" },
+  { value: 90, label: "1.5 hours" },
+  { value: 120, label: "2 hours" },
+  { value: 180, label: "3 hours" },
+];
+
+/**
+ * working-hours slots from the first to the last day (inclusive) in which
+ * none of the groups has a session, at least minMinutes long. events are
+ * wall-clock copies in the display zone; deadlines and all-day events
+ * don't block time. ungrouped sessions (whole-class lectures and the
+ * like) block every group unless ungroupedBusy is false. slots before now
+ * are trimmed away
+ */
+export const findFreeSlots = (
+  events,
+  groups,
+  from,
+  to,
+  workingHours,
+  minMinutes,
+  now,
+  ungroupedBusy = true
+) => {
+  const selected = new Set(groups);
+  const blocks = (event) => {
+    const group = (event.learnerGroup || "").trim();
+    if (!group || group === UNGROUPED) return ungroupedBusy;
+    return selected.has(group);
+  };
+  const busy = events.filter((event) => !event.allDay && !isDeadline(event) && blocks(event));
+  return subtractIntervals(workingWindows(from, to, workingHours), busy)
+    .map((slot) => (now && slot.start < now ? { ...slot, start: now } : slot))
+    .filter((slot) => intervalHours(slot) * 60 >= minMinutes);
+};
@@ -0,0 +1,242 @@
+import { loadSetting, saveSetting } from "./localSettings";
+
+/**
+ * learner group schemes: how a program names its groups. a scheme has
+ *   fieldPattern   - regex a Learner Group cell must match to be used as-is
+ *   extractPattern - regex finding a group inside section / session names
+ *   template       - builds the group from extractPattern's captures ("$1$2")
+ *   order          - "natural", "alphabetical" or "custom" (customOrder first)
+ * patterns are case-insensitive
+ */
+export const UNGROUPED = "Ungrouped";
+
+export const GROUP_SCHEME_PRESETS = [
+  {
+    id: "letter-number",
+    name: "Letter + number (A1–H2)",
+    fieldPattern: "^[A-H][1-2]$",
+    extractPattern: "([A-H])\\s*([1-2])",
+    template: "$1$2",
+    uppercase: true,
+    order: "natural",
+    customOrder: [],
+  },
+  {
+    id: "team-number",
+    name: "Numbered teams (Team 12)",
+    fieldPattern: "^Team\\s*\\d+$",
+    extractPattern: "\\bTeam\\s*(\\d+)",
+    template: "Team $1",
+    uppercase: false,
+    order: "natural",
+    customOrder: [],
+  },
+  {
+    id: "named-cohort",
+    name: "Named cohorts (Cohort West)",
+    fieldPattern: "^Cohort\\s+\\w+$",
+    extractPattern: "\\bCohort\\s+(\\w+)",
+    template: "Cohort $1",
+    uppercase: false,
+    order: "alphabetical",
+    customOrder: [],
+  },
+  {
+    id: "prefix-number",
+    name: "Prefix + number (PA-3)",
+    fieldPattern: "^[A-Z]{1,4}-\\d+$",
+    extractPattern: "\\b([A-Z]{1,4})-?(\\d+)\\b",
+    template: "$1-$2",
+    uppercase: true,
+    order: "natural",
+    customOrder: [],
+  },
+];
+
+export const DEFAULT_GROUP_SCHEME = GROUP_SCHEME_PRESETS[0];
+
+const SCHEME_KEY = "groupScheme";
+
+export const loadGroupScheme = () => ({
+  ...DEFAULT_GROUP_SCHEME,
+  ...loadSetting(SCHEME_KEY, {}),
+});
+
+export const saveGroupScheme = (scheme) => saveSetting(SCHEME_KEY, scheme);
+
+/**
+ * returns an error message for each pattern that doesn't compile
+ */
+export const validateGroupScheme = (scheme) => {
+  const errors = {};
+  ["fieldPattern", "extractPattern"].forEach((key) => {
+    try {
+      new RegExp(scheme[key], "i");
+    } catch (error) {
+      errors[key] = error.message;
+    }
+  });
+  if (!scheme.template.trim()) errors.template = "Template can't be empty";
+  return errors;
+};
+
+const compile = (pattern) => {
+  try {
+    return pattern ? new RegExp(pattern, "i") : null;
+  } catch {
+    return null;
+  }
+};
+
+const normalize = (group, scheme) => {
+  const trimmed = group.replace(/\s+/g, " ").trim();
+  return scheme.uppercase ? trimmed.toUpperCase() : trimmed;
+};
+
+/**
+ * the learner group of a row: the Learner Group cell if it fits the
+ * scheme, else a group found in the section or session name
+ */
+export const deriveGroup = (scheme, learnerGroupField, sessionName, sectionName) => {
+  const fieldPattern = compile(scheme.fieldPattern);
+  const extractPattern = compile(scheme.extractPattern);
+  const extract = (text) => {
+    const match = extractPattern && text?.toString().match(extractPattern);
+    if (!match) return "";
+    return scheme.template.replace(/\$(\d)/g, (_, index) => match[index] || "").trim();
+  };
+
+  if (learnerGroupField) {
+    const value = learnerGroupField.toString().trim();
+    // rebuilt through the template so "team 12" and "Team 12" agree
+    if (value && fieldPattern?.test(value)) {
+      return normalize(extract(value) || value, scheme);
+    }
+  }
+
+  for (const text of [sectionName, sessionName]) {
+    const group = extract(text);
+    if (group) return normalize(group, scheme);
+  }
+
+  return UNGROUPED;
+};
+
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+/**
+ * sorts groups by the scheme's ordering; Ungrouped always goes last
+ */
+export const sortGroups = (groups, scheme) => {
+  const customIndex = new Map(
+    (scheme.order === "custom" ? scheme.customOrder : []).map((group, index) => [
+      group.toLowerCase(),
+      index,
+    ])
+  );
+  const compare = (a, b) => {
+    if (a === UNGROUPED || b === UNGROUPED) return (a === UNGROUPED) - (b === UNGROUPED);
+    const indexA = customIndex.get(a.toLowerCase());
+    const indexB = customIndex.get(b.toLowerCase());
+    if (indexA !== undefined || indexB !== undefined) {
+      if (indexA === undefined) return 1;
+      if (indexB === undefined) return -1;
+      return indexA - indexB;
+    }
+    return scheme.order === "alphabetical" ? a.localeCompare(b) : naturalCollator.compare(a, b);
+  };
+  return [...groups].sort(compare);
+};
+
+const UNGROUPED_COLOR = "#6b7280";
+// WCAG AA for the white event text
+const MIN_CONTRAST = 4.5;
+const GOLDEN_ANGLE = 137.508;
+
+const hslToRgb = (h, s, l) => {
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [channel(0), channel(8), channel(4)];
+};
+
+const luminance = (rgb) => {
+  const [r, g, b] = rgb.map((c) =>
+    c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+  );
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+const toHex = (rgb) =>
+  `#${rgb
+    .map((c) => Math.round(c * 255).toString(16).padStart(2, "0"))
+    .join("")}`;
+
+// the default scheme's groups keep fixed slots, so A1–H2 always get the
+// same, well-separated colors
+const FIXED_GROUPS = "ABCDEFGH".split("").flatMap((letter) => [`${letter}1`, `${letter}2`]);
+const HASHED_SLOTS = 64;
+
+// FNV-1a plus a final mix so names one character apart land far apart
+const hashName = (name) => {
+  let hash = 0x811c9dc5;
+  for (const char of name.toLowerCase()) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+};
+
+const slotColor = (slot) => {
+  const hue = (slot * GOLDEN_ANGLE + 5) % 360;
+  // alternate saturation so neighbours in hue still differ
+  const saturation = slot % 2 ? 0.55 : 0.7;
+  let lightness = 0.5;
+  let rgb = hslToRgb(hue, saturation, lightness);
+  while (1.05 / (luminance(rgb) + 0.05) < MIN_CONTRAST && lightness > 0.15) {
+    lightness -= 0.02;
+    rgb = hslToRgb(hue, saturation, lightness);
+  }
+  return toHex(rgb);
+};
+
+// A1–H2 have fixed slots, other names pick one of the remaining slots by hash
+const homeSlot = (group) => {
+  const fixed = FIXED_GROUPS.indexOf(group.toUpperCase());
+  return fixed >= 0 ? fixed : FIXED_GROUPS.length + (hashName(group) % HASHED_SLOTS);
+};
+
+/**
+ * the color a group gets from its name alone. every color passes WCAG AA
+ * with white text
+ */
+export const groupColor = (group) =>
+  group === UNGROUPED ? UNGROUPED_COLOR : slotColor(homeSlot(group));
+
+/**
+ * colors for a set of groups, none shared. each group keeps its own
+ * groupColor unless another group in the set hashes to the same slot;
+ * then the one later by name moves on to the next free slot, so a color
+ * only changes when a clashing group comes or goes
+ */
+export const generateGroupPalette = (groups) => {
+  const named = Array.from(new Set(groups)).filter((group) => group !== UNGROUPED);
+  const fixed = named.filter((group) => homeSlot(group) < FIXED_GROUPS.length);
+  const hashed = named.filter((group) => homeSlot(group) >= FIXED_GROUPS.length).sort();
+  const taken = new Set();
+  const palette = {};
+  [...fixed, ...hashed].forEach((group) => {
+    let slot = homeSlot(group);
+    if (slot >= FIXED_GROUPS.length) {
+      while (taken.has(slot)) slot += 1;
+    }
+    taken.add(slot);
+    palette[group] = slotColor(slot);
+  });
+  palette[UNGROUPED] = UNGROUPED_COLOR;
+  return palette;
+};
@@ -0,0 +1,350 @@
+import moment from "moment";
+import { eventKey } from "./eventIdentity";
+import { expandRecurrence, fromWallClock, parseRRule } from "./recurrence";
+import { resolveTimeZone, toDisplayDate } from "./timezone";
+
+/**
+ * RFC 5545 iCalendar helpers
+ */
+const PRODID = "-//Grad Planner//Schedule Planner//EN";
+const UID_DOMAIN = "grad-planner";
+const UNKNOWN_LOCATION = "Unknown Location";
+
+export const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * folds a content line to 75 octets, continuing with CRLF + space.
+ * splits on code points so multi-byte characters are never cut in half
+ */
+export const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const formatUtc = (date) => moment(date).utc().format("YYYYMMDD[T]HHmmss[Z]");
+// all-day events are midnight in the zone they were made in (timeZone),
+// so the day they cover doesn't depend on where the calendar is built
+const formatDate = (date, timeZone) => moment(toDisplayDate(date, timeZone)).format("YYYYMMDD");
+
+export const eventUid = (event) =>
+  `${event.id || eventKey(event).replace(/[^\w.-]+/g, "-")}@${UID_DOMAIN}`;
+
+const eventLines = (event, stamp) => {
+  const lines = ["BEGIN:VEVENT", `UID:${eventUid(event)}`, `DTSTAMP:${stamp}`];
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start, event.timeZone)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(event.end, event.timeZone)}`);
+  } else {
+    lines.push(`DTSTART:${formatUtc(event.start)}`);
+    lines.push(`DTEND:${formatUtc(event.end)}`);
+  }
+  lines.push(`SUMMARY:${escapeText(event.title || "Untitled Session")}`);
+  if (event.location && event.location !== UNKNOWN_LOCATION) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  const description = [
+    event.desc,
+    event.learnerGroup && `Learner Group: ${event.learnerGroup}`,
+    event.notes,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  const categories = [event.learnerGroup, event.category].filter(Boolean);
+  if (categories.length) {
+    lines.push(`CATEGORIES:${categories.map(escapeText).join(",")}`);
+  }
+  lines.push("END:VEVENT");
+  return lines;
+};
+
+/**
+ * builds a VCALENDAR document for the given events
+ * @param {object[]} events
+ * @param {{ name?: string, now?: Date }} [options]
+ */
+export const buildCalendar = (events, { name, now = new Date() } = {}) => {
+  const stamp = formatUtc(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  events.forEach((event) => lines.push(...eventLines(event, stamp)));
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+export const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+
+/**
+ * splits "DTSTART;TZID=America/New_York:20250106T090000" into
+ * { name, params, value }, honouring quoted parameter values
+ */
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+  const [name, ...rawParams] = line
+    .slice(0, colon)
+    .match(/(?:[^;"]|"[^"]*")+/g) || [""];
+  const params = {};
+  rawParams.forEach((param) => {
+    const [key, ...rest] = param.split("=");
+    params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * reads a DATE or DATE-TIME value. returns the wall-clock time, the zone
+ * it is in ("UTC", an IANA name or null for floating) and the instant
+ */
+const parseDateValue = (value, params, defaultZone) => {
+  const match = value
+    .trim()
+    .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const dateOnly = params.VALUE === "DATE" || hour === undefined;
+  const wall = moment.utc({
+    year: +year,
+    month: +month - 1,
+    day: +day,
+    hour: dateOnly ? 0 : +hour,
+    minute: dateOnly ? 0 : +minute,
+    second: dateOnly ? 0 : +(second || 0),
+  });
+  if (!wall.isValid()) return null;
+  // all-day dates are floating: they mean the same day everywhere
+  const timeZone = dateOnly
+    ? null
+    : utc
+      ? "UTC"
+      : resolveTimeZone(params.TZID) ?? defaultZone;
+  return { wall, timeZone, dateOnly, date: fromWallClock(wall, timeZone) };
+};
+
+const parseDuration = (value) => {
+  const match = value.match(
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+  );
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const duration = moment.duration({
+    weeks: +(weeks || 0),
+    days: +(days || 0),
+    hours: +(hours || 0),
+    minutes: +(minutes || 0),
+    seconds: +(seconds || 0),
+  });
+  return sign === "-" ? moment.duration(-duration.asMilliseconds()) : duration;
+};
+
+/**
+ * collects the raw VEVENT property maps from an iCalendar document
+ */
+const readComponents = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const calendar = { properties: {}, events: [] };
+  const stack = [];
+  let currentEvent = null;
+
+  lines.forEach((rawLine) => {
+    if (!rawLine.trim()) return;
+    const line = parseContentLine(rawLine);
+    if (!line) return;
+    if (line.name === "BEGIN") {
+      stack.push(line.value.toUpperCase());
+      if (line.value.toUpperCase() === "VEVENT" && stack.length === 2) {
+        currentEvent = {};
+      }
+      return;
+    }
+    if (line.name === "END") {
+      const component = stack.pop();
+      if (component === "VEVENT" && currentEvent) {
+        calendar.events.push(currentEvent);
+        currentEvent = null;
+      }
+      return;
+    }
+    // only the event's own properties, not those of nested VALARMs
+    if (currentEvent && stack.length === 2) {
+      (currentEvent[line.name] = currentEvent[line.name] || []).push(line);
+    } else if (stack.length === 1) {
+      calendar.properties[line.name] = line;
+    }
+  });
+  return calendar;
+};
+
+const firstValue = (properties, name) =>
+  properties[name] ? unescapeText(properties[name][0].value) : "";
+
+/**
+ * parses an iCalendar document into plain events, expanding RRULE
+ * recurrences (minus EXDATEs and RECURRENCE-ID overrides)
+ * @param {string} text
+ * @param {{ rangeEnd?: Date }} [options]
+ */
+export const parseCalendar = (text, { rangeEnd } = {}) => {
+  const { properties, events: rawEvents } = readComponents(text);
+  if (!rawEvents.length && !properties.VERSION && !/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error("Not an iCalendar file");
+  }
+  const calendarZone = resolveTimeZone(properties["X-WR-TIMEZONE"]?.value);
+
+  const overrides = new Map();
+  const masters = [];
+  rawEvents.forEach((raw) => {
+    if (firstValue(raw, "STATUS").toUpperCase() === "CANCELLED" && !raw["RECURRENCE-ID"]) {
+      return;
+    }
+    if (raw["RECURRENCE-ID"]) {
+      const recurrenceId = raw["RECURRENCE-ID"][0];
+      const parsed = parseDateValue(recurrenceId.value, recurrenceId.params, calendarZone);
+      if (parsed) {
+        overrides.set(`${firstValue(raw, "UID")}|${parsed.date.getTime()}`, raw);
+      }
+      return;
+    }
+    masters.push(raw);
+  });
+
+  const toEvent = (raw, startValue, occurrence) => {
+    const description = firstValue(raw, "DESCRIPTION");
+    return {
+      uid: firstValue(raw, "UID"),
+      title: firstValue(raw, "SUMMARY") || "Untitled Session",
+      start: occurrence.start,
+      end: occurrence.end,
+      allDay: startValue.dateOnly,
+      timeZone: startValue.timeZone,
+      location: firstValue(raw, "LOCATION"),
+      description,
+      categories: (raw.CATEGORIES || []).flatMap((line) =>
+        line.value.split(/(?<!\\),/).map((item) => unescapeText(item).trim())
+      ),
+    };
+  };
+
+  const timing = (raw) => {
+    const dtstart = raw.DTSTART?.[0];
+    if (!dtstart) return null;
+    const start = parseDateValue(dtstart.value, dtstart.params, calendarZone);
+    if (!start) return null;
+    let end = null;
+    if (raw.DTEND) {
+      end = parseDateValue(raw.DTEND[0].value, raw.DTEND[0].params, calendarZone);
+    } else if (raw.DURATION) {
+      const duration = parseDuration(raw.DURATION[0].value.trim());
+      if (duration) {
+        end = { date: moment(start.date).add(duration).toDate() };
+      }
+    }
+    if (!end) {
+      end = {
+        date: start.dateOnly
+          ? fromWallClock(start.wall.clone().add(1, "day"), null)
+          : start.date,
+      };
+    }
+    return { start, end: end.date };
+  };
+
+  const results = [];
+  masters.forEach((raw) => {
+    const times = timing(raw);
+    if (!times) return;
+    const { start, end } = times;
+    const uid = firstValue(raw, "UID");
+
+    if (!raw.RRULE) {
+      results.push(toEvent(raw, start, { start: start.date, end }));
+      return;
+    }
+
+    const rule = parseRRule(raw.RRULE[0].value);
+    if (!rule) {
+      results.push(toEvent(raw, start, { start: start.date, end }));
+      return;
+    }
+    if (rule.untilRaw) {
+      const until = parseDateValue(rule.untilRaw, {}, start.timeZone);
+      // a date-only UNTIL includes that whole day
+      rule.until = until?.dateOnly
+        ? fromWallClock(until.wall.clone().endOf("day"), start.timeZone)
+        : until?.date;
+    }
+    const exdates = (raw.EXDATE || []).flatMap((line) =>
+      line.value
+        .split(",")
+        .map((value) => parseDateValue(value, line.params, start.timeZone))
+        .filter(Boolean)
+    );
+
+    expandRecurrence(rule, {
+      start: start.date,
+      end,
+      timeZone: start.timeZone,
+      exdates: exdates.filter((value) => !value.dateOnly).map((value) => value.date),
+      exceptionDates: exdates
+        .filter((value) => value.dateOnly)
+        .map((value) => value.wall.format("YYYY-MM-DD")),
+      rangeEnd,
+    }).forEach((occurrence) => {
+      const override = overrides.get(`${uid}|${occurrence.start.getTime()}`);
+      if (!override) {
+        results.push(toEvent(raw, start, occurrence));
+        return;
+      }
+      if (firstValue(override, "STATUS").toUpperCase() === "CANCELLED") return;
+      const overrideTimes = timing(override);
+      results.push(
+        toEvent(
+          { ...raw, ...override },
+          overrideTimes?.start || start,
+          overrideTimes
+            ? { start: overrideTimes.start.date, end: overrideTimes.end }
+            : occurrence
+        )
+      );
+    });
+  });
+
+  return results.sort((a, b) => a.start - b.start);
+};
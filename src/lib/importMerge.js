@@ -0,0 +1,108 @@
+import { getCourseName } from "./eventDetails";
+import { eventKey, sessionIdentity } from "./eventIdentity";
+
+export const IMPORT_MODES = [
+  { value: "replace", label: "Replace all events" },
+  { value: "merge", label: "Merge (skip duplicates)" },
+  { value: "update", label: "Update (review changes)" },
+];
+
+/**
+ * appends imported events, skipping any whose key already exists
+ * in the calendar or earlier in the same file
+ */
+export const mergeEvents = (existing, imported) => {
+  const keys = new Set(existing.map(eventKey));
+  const added = [];
+  imported.forEach((event) => {
+    const key = eventKey(event);
+    if (keys.has(key)) return;
+    keys.add(key);
+    added.push(event);
+  });
+  return {
+    events: [...existing, ...added],
+    added: added.length,
+    duplicates: imported.length - added.length,
+  };
+};
+
+const groupByIdentity = (events) => {
+  const groups = new Map();
+  events.forEach((event) => {
+    const identity = sessionIdentity(event);
+    if (!groups.has(identity)) groups.set(identity, []);
+    groups.get(identity).push(event);
+  });
+  groups.forEach((list) => list.sort((a, b) => a.start - b.start));
+  return groups;
+};
+
+/**
+ * compares a newly imported file with the current calendar.
+ * only imported events of courses present in the new file are candidates
+ * for removal, so updating one course never touches another course's
+ * sessions or anything entered by hand. sessions whose identity matches
+ * but whose times changed are reported as moved and keep their id
+ */
+export const diffEvents = (existing, imported) => {
+  const courses = new Set(imported.map(getCourseName));
+  const candidates = existing.filter(
+    (event) => event.source === "import" && courses.has(getCourseName(event))
+  );
+
+  const existingKeys = new Map(candidates.map((event) => [eventKey(event), event]));
+  const seenKeys = new Set();
+  const unchanged = [];
+  const unmatchedImported = [];
+  imported.forEach((event) => {
+    const key = eventKey(event);
+    if (seenKeys.has(key)) return;
+    seenKeys.add(key);
+    if (existingKeys.has(key)) {
+      unchanged.push(existingKeys.get(key));
+    } else {
+      unmatchedImported.push(event);
+    }
+  });
+
+  const unchangedIds = new Set(unchanged.map((event) => event.id));
+  const oldByIdentity = groupByIdentity(
+    candidates.filter((event) => !unchangedIds.has(event.id))
+  );
+  const newByIdentity = groupByIdentity(unmatchedImported);
+
+  const added = [];
+  const moved = [];
+  const removed = [];
+  newByIdentity.forEach((newList, identity) => {
+    const oldList = oldByIdentity.get(identity) || [];
+    newList.forEach((event, index) => {
+      const before = oldList[index];
+      if (before) {
+        moved.push({
+          before,
+          after: { ...before, ...event, id: before.id },
+        });
+      } else {
+        added.push(event);
+      }
+    });
+    oldList.slice(newList.length).forEach((event) => removed.push(event));
+    oldByIdentity.delete(identity);
+  });
+  oldByIdentity.forEach((oldList) => removed.push(...oldList));
+
+  return { added, removed, moved, unchanged };
+};
+
+export const applyEventDiff = (existing, { added, removed, moved }) => {
+  const removedIds = new Set(removed.map((event) => event.id));
+  const movedById = new Map(moved.map(({ after }) => [after.id, after]));
+  return [
+    ...existing
+      .filter((event) => !removedIds.has(event.id))
+      .map((event) => movedById.get(event.id) || event),
+    ...added,
+  ];
+};
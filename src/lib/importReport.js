@@ -0,0 +1,54 @@
+import moment from "moment";
+import { MAPPABLE_FIELDS } from "./columnMapping";
+
+/**
+ * rows the importers rejected, kept with their values so they can be
+ * corrected and re-imported. a rejection is
+ * { rowNumber, sheet, reason, field, values }: values are strings keyed by
+ * our standard header names and field is the header the reason points at.
+ * sheet is the workbook sheet the row came from, or null
+ */
+const toEditableValue = (value, kind) => {
+  if (value instanceof Date) {
+    return moment(value).format(kind === "time" ? "HH:mm" : "YYYY-MM-DD");
+  }
+  return value === undefined || value === null ? "" : value.toString().trim();
+};
+
+/**
+ * snapshot of a row's mapped fields as editable strings
+ */
+export const readRowValues = (getField) =>
+  Object.fromEntries(
+    MAPPABLE_FIELDS.map(({ header, kind }) => {
+      const value =
+        header === "Section Name"
+          ? getField("Section Name") || getField("Section")
+          : getField(header);
+      return [header, toEditableValue(value, kind)];
+    })
+  );
+
+export const isBlankRow = (values) =>
+  Object.values(values).every((value) => value === "");
+
+/**
+ * a field reader over a values snapshot, for re-parsing corrected rows
+ */
+export const valuesReader = (values) => (name) => values[name] ?? "";
+
+export const createRejection = (
+  rowNumber,
+  values,
+  { reason, field = null },
+  sheet = null
+) => ({
+  rowNumber,
+  sheet,
+  reason,
+  field,
+  values,
+});
+
+export const rejectionKey = ({ sheet, rowNumber }) =>
+  sheet ? `${sheet}:${rowNumber}` : `${rowNumber}`;
@@ -0,0 +1,142 @@
+import Papa from "papaparse";
+import * as XLSX from "xlsx";
+import { parseCalendar } from "../ics";
+import { SCHEDULE_COLUMNS, toScheduleRow } from "../scheduleParsing";
+
+/**
+ * format adapters turn a file's content into raw tables:
+ * [{ name, headers, rows, firstRow }] where rows are arrays lined up with
+ * headers, name is the sheet (null for single-table formats) and firstRow
+ * is the file's number for rows[0], used in the import report.
+ * readAs says whether read gets the file as "text" or an "arrayBuffer"
+ */
+const toTable = (data, name = null) => ({
+  name,
+  headers: (data[0] || []).map((header) => (header ?? "").toString()),
+  rows: data.slice(1),
+  firstRow: 2,
+});
+
+/**
+ * events already parsed by another library, as rows in our own layout
+ */
+const eventTable = (events) => ({
+  name: null,
+  headers: SCHEDULE_COLUMNS,
+  rows: events.map((event) => {
+    const row = toScheduleRow(event);
+    return SCHEDULE_COLUMNS.map((column) => row[column]);
+  }),
+  firstRow: 1,
+});
+
+const delimited = (delimiter) => (text) => {
+  // blank lines are kept so row numbers match the file; the normalizer
+  // skips them
+  const { data } = Papa.parse(text, { delimiter, skipEmptyLines: false });
+  return data.length ? [toTable(data)] : [];
+};
+
+export const xlsxAdapter = {
+  id: "xlsx",
+  label: "Excel",
+  extensions: [".xlsx", ".xls"],
+  mimeTypes: [
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "application/vnd.ms-excel",
+  ],
+  readAs: "arrayBuffer",
+  read: (buffer) => {
+    const workbook = XLSX.read(new Uint8Array(buffer), { type: "array", cellDates: true });
+    return workbook.SheetNames.map((name) =>
+      toTable(XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1 }), name)
+    ).filter((table) => table.headers.length > 0);
+  },
+};
+
+export const csvAdapter = {
+  id: "csv",
+  label: "CSV",
+  extensions: [".csv"],
+  mimeTypes: ["text/csv"],
+  readAs: "text",
+  read: delimited(","),
+};
+
+export const tsvAdapter = {
+  id: "tsv",
+  label: "TSV",
+  extensions: [".tsv", ".tab"],
+  mimeTypes: ["text/tab-separated-values"],
+  readAs: "text",
+  read: delimited("\t"),
+};
+
+/**
+ * a JSON array of objects, or { events: [...] } as our schedule API and
+ * exports write it. objects with start and end are events; anything
+ * else is a table whose keys are the columns
+ */
+export const jsonAdapter = {
+  id: "json",
+  label: "JSON",
+  extensions: [".json"],
+  mimeTypes: ["application/json"],
+  readAs: "text",
+  read: (text) => {
+    const parsed = JSON.parse(text);
+    const items = Array.isArray(parsed)
+      ? parsed
+      : parsed.events || parsed.schedule?.events;
+    if (!Array.isArray(items)) {
+      throw new Error("Expected a list of events");
+    }
+    if (!items.length) return [];
+    if (items.every((item) => item && item.start && item.end)) {
+      return [
+        eventTable(
+          items.map((item) => ({
+            ...item,
+            start: new Date(item.start),
+            end: new Date(item.end),
+          }))
+        ),
+      ];
+    }
+    const headers = Array.from(new Set(items.flatMap((item) => Object.keys(item || {}))));
+    return [
+      {
+        name: null,
+        headers,
+        rows: items.map((item) => headers.map((header) => item?.[header] ?? "")),
+        firstRow: 1,
+      },
+    ];
+  },
+};
+
+/**
+ * VEVENTs with recurrences expanded. our own .ics exports put
+ * "Learner Group: X" under the desc line of the description
+ */
+export const icsAdapter = {
+  id: "ics",
+  label: "iCalendar",
+  extensions: [".ics", ".ical"],
+  mimeTypes: ["text/calendar"],
+  readAs: "text",
+  read: (text) => {
+    const events = parseCalendar(text).map((event) => {
+      const [descLine = "", ...rest] = event.description.split("\n");
+      const groupLine = rest
+        .map((line) => line.match(/^Learner Group:\s*(.+)$/i))
+        .find(Boolean);
+      return {
+        ...event,
+        desc: descLine.trim(),
+        learnerGroup: groupLine?.[1] || event.categories[0] || "",
+      };
+    });
+    return events.length ? [eventTable(events)] : [];
+  },
+};
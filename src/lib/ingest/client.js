@@ -0,0 +1,74 @@
+import { normalizeTable, readTables } from "./pipeline";
+
+/**
+ * main-thread side of the import pipeline: stages run in a Web Worker so
+ * big files don't freeze the page, or inline where workers aren't
+ * available (server rendering, tests, a worker that failed to start)
+ */
+const INLINE_STAGES = { read: readTables, normalize: normalizeTable };
+
+let worker = null;
+let workerFailed = false;
+let nextId = 0;
+const pending = new Map();
+
+const runInline = (type, args) => Promise.resolve().then(() => INLINE_STAGES[type](...args));
+
+// requests the worker never answered are redone on the main thread
+const runPendingInline = () => {
+  const requests = Array.from(pending.values());
+  pending.clear();
+  requests.forEach(({ type, args, resolve, reject }) =>
+    runInline(type, args).then(resolve, reject)
+  );
+};
+
+const getWorker = () => {
+  if (workerFailed || typeof Worker === "undefined") return null;
+  if (!worker) {
+    try {
+      worker = new Worker(new URL("./ingest.worker.js", import.meta.url));
+    } catch (error) {
+      console.warn("Import worker unavailable, parsing on the main thread:", error);
+      workerFailed = true;
+      return null;
+    }
+    worker.onmessage = ({ data: { id, result, error } }) => {
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      if (error) request.reject(new Error(error));
+      else request.resolve(result);
+    };
+    worker.onerror = (event) => {
+      console.warn("Import worker crashed, parsing on the main thread:", event.message);
+      worker.terminate();
+      worker = null;
+      workerFailed = true;
+      runPendingInline();
+    };
+  }
+  return worker;
+};
+
+const runStage = (type, ...args) => {
+  const target = getWorker();
+  if (!target) return runInline(type, args);
+  return new Promise((resolve, reject) => {
+    const id = ++nextId;
+    pending.set(id, { type, args, resolve, reject });
+    target.postMessage({ id, type, args });
+  });
+};
+
+/**
+ * resolves to { format, label, tables } for a File
+ */
+export const readScheduleFile = (file) => runStage("read", file);
+
+/**
+ * resolves to { events, rejected } for one table; options are
+ * { mapping, scheme, timeZone }
+ */
+export const normalizeScheduleTable = (table, options) =>
+  runStage("normalize", table, options);
@@ -0,0 +1,17 @@
+import { normalizeTable, readTables } from "./pipeline";
+
+/**
+ * runs the import pipeline off the main thread. messages are
+ * { id, type: "read" | "normalize", args } and every reply carries the
+ * id back with a result or an error message
+ */
+const STAGES = { read: readTables, normalize: normalizeTable };
+
+self.onmessage = async ({ data: { id, type, args } }) => {
+  try {
+    const result = await STAGES[type](...args);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
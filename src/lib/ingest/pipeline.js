@@ -0,0 +1,24 @@
+import { parseScheduleRows } from "../scheduleParsing";
+import { findAdapter } from "./registry";
+
+/**
+ * the two stages of an import. readTables runs the file's adapter and
+ * returns { format, label, tables }; between the stages the caller picks
+ * tables and column mappings. normalizeTable validates one table's rows
+ * into { events, rejected }. both run the same in the worker or inline
+ */
+export const readTables = async (file) => {
+  const adapter = findAdapter(file);
+  if (!adapter) {
+    throw new Error("Unsupported file type");
+  }
+  const content =
+    adapter.readAs === "arrayBuffer" ? await file.arrayBuffer() : await file.text();
+  return { format: adapter.id, label: adapter.label, tables: adapter.read(content) };
+};
+
+export const normalizeTable = (
+  { name, headers, rows, firstRow },
+  { mapping = null, scheme, timeZone = null } = {}
+) =>
+  parseScheduleRows(headers, rows, { mapping, sheet: name, scheme, timeZone, firstRow });
@@ -0,0 +1,30 @@
+import { csvAdapter, icsAdapter, jsonAdapter, tsvAdapter, xlsxAdapter } from "./adapters";
+
+/**
+ * the formats the importer understands. a new format only needs an
+ * adapter here (see adapters.js for the shape); mapping, validation and
+ * the import report come from the shared pipeline
+ */
+export const ADAPTERS = [xlsxAdapter, csvAdapter, tsvAdapter, jsonAdapter, icsAdapter];
+
+/**
+ * the adapter for a file, by extension first and then by MIME type
+ */
+export const findAdapter = ({ name = "", type = "" }) => {
+  const lowerName = name.toLowerCase();
+  return (
+    ADAPTERS.find((adapter) =>
+      adapter.extensions.some((extension) => lowerName.endsWith(extension))
+    ) ||
+    ADAPTERS.find((adapter) => adapter.mimeTypes.includes(type)) ||
+    null
+  );
+};
+
+/**
+ * value for a file input's accept attribute
+ */
+export const acceptedFileTypes = () =>
+  ADAPTERS.flatMap((adapter) => adapter.extensions).join(",");
+
+export const formatLabels = () => ADAPTERS.map((adapter) => adapter.label);
@@ -0,0 +1,24 @@
+/**
+ * small JSON settings kept in localStorage (mapping profiles, views, ...)
+ */
+const PREFIX = "grad-planner.";
+
+export const loadSetting = (key, fallback) => {
+  if (typeof window === "undefined") return fallback;
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Could not read setting "${key}":`, error);
+    return fallback;
+  }
+};
+
+export const saveSetting = (key, value) => {
+  if (typeof window === "undefined") return;
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save setting "${key}":`, error);
+  }
+};
@@ -0,0 +1,143 @@
+import moment from "moment";
+
+/**
+ * page planning for the printable schedule. events here are already in
+ * the display zone, so moment's local formatting shows the right times
+ */
+export const PRINT_LAYOUTS = [
+  { value: "week", label: "Weekly grid", orientation: "landscape" },
+  { value: "month", label: "Monthly grid", orientation: "landscape" },
+  { value: "agenda", label: "Agenda list", orientation: "portrait" },
+];
+
+// width and height in inches, portrait
+export const PAPER_SIZES = [
+  { value: "letter", label: "Letter (8.5 × 11 in)", css: "letter", width: 8.5, height: 11 },
+  { value: "a4", label: "A4 (210 × 297 mm)", css: "A4", width: 8.27, height: 11.69 },
+  { value: "legal", label: "Legal (8.5 × 14 in)", css: "legal", width: 8.5, height: 14 },
+  { value: "a3", label: "A3 (297 × 420 mm)", css: "A3", width: 11.69, height: 16.54 },
+];
+
+const AGENDA_DAYS = 14;
+const FIRST_HOUR = 8;
+const LAST_HOUR = 18;
+
+/**
+ * the range a layout starts with: the week or month around date, or two
+ * weeks from it for the agenda. end is the last day, inclusive
+ */
+export const defaultPrintRange = (layout, date = new Date()) => {
+  if (layout === "agenda") {
+    return {
+      start: moment(date).startOf("day").toDate(),
+      end: moment(date).add(AGENDA_DAYS - 1, "days").startOf("day").toDate(),
+    };
+  }
+  const unit = layout === "month" ? "month" : "week";
+  return {
+    start: moment(date).startOf(unit).toDate(),
+    end: moment(date).endOf(unit).startOf("day").toDate(),
+  };
+};
+
+/**
+ * events that overlap the days from start to end, sorted by start
+ */
+export const eventsInRange = (events, start, end) => {
+  const from = moment(start).startOf("day");
+  const to = moment(end).endOf("day");
+  return events
+    .filter((event) => moment(event.end).isAfter(from) && moment(event.start).isBefore(to))
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+/**
+ * one page per week or month the range touches; the agenda is a single
+ * list the browser breaks across pages. each page lists its days, and
+ * month pages list them as whole weeks
+ */
+export const printPages = (layout, start, end) => {
+  const first = moment(start).startOf("day");
+  const last = moment(end).startOf("day");
+  if (layout === "agenda") {
+    return [{ start: first.toDate(), end: last.toDate() }];
+  }
+  const unit = layout === "month" ? "month" : "week";
+  const pages = [];
+  for (
+    let page = first.clone().startOf(unit);
+    !page.isAfter(last);
+    page = page.clone().add(1, unit)
+  ) {
+    const pageEnd = page.clone().endOf(unit).startOf("day");
+    const days = [];
+    for (
+      let day = page.clone().startOf("week");
+      !day.isAfter(pageEnd.clone().endOf("week"));
+      day = day.clone().add(1, "day")
+    ) {
+      days.push(day.toDate());
+    }
+    pages.push({ start: page.toDate(), end: pageEnd.toDate(), days });
+  }
+  return pages;
+};
+
+/**
+ * the part of an event that falls on one day, or null
+ */
+export const daySegment = (event, day) => {
+  const dayStart = moment(day).startOf("day");
+  const dayEnd = dayStart.clone().add(1, "day");
+  if (!moment(event.end).isAfter(dayStart) || !moment(event.start).isBefore(dayEnd)) {
+    return null;
+  }
+  return {
+    event,
+    start: moment.max(moment(event.start), dayStart).toDate(),
+    end: moment.min(moment(event.end), dayEnd).toDate(),
+  };
+};
+
+/**
+ * hours the week grid shows: office hours, stretched to fit the events
+ */
+export const gridHours = (segments) => {
+  let first = FIRST_HOUR;
+  let last = LAST_HOUR;
+  segments.forEach(({ start, end }) => {
+    const startHour = moment(start).hours();
+    const endOfDay = moment(end).isSame(moment(start).startOf("day").add(1, "day"));
+    const endHour = endOfDay ? 24 : Math.ceil(moment(end).hours() + moment(end).minutes() / 60);
+    first = Math.min(first, startHour);
+    last = Math.max(last, endHour);
+  });
+  return { first, last };
+};
+
+/**
+ * side-by-side lanes for a day's overlapping segments: each gets its
+ * lane and the lane count of the cluster it overlaps with
+ */
+export const layoutDay = (segments) => {
+  const sorted = [...segments].sort((a, b) => a.start - b.start || b.end - a.end);
+  const placed = [];
+  let cluster = [];
+  let laneEnds = [];
+  const closeCluster = () => {
+    cluster.forEach((item) => placed.push({ ...item, lanes: laneEnds.length }));
+    cluster = [];
+    laneEnds = [];
+  };
+  sorted.forEach((segment) => {
+    if (cluster.length && laneEnds.every((laneEnd) => laneEnd <= segment.start)) {
+      closeCluster();
+    }
+    let lane = laneEnds.findIndex((laneEnd) => laneEnd <= segment.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = segment.end;
+    cluster.push({ ...segment, lane });
+  });
+  closeCluster();
+  return placed;
+};
@@ -0,0 +1,332 @@
+import moment from "moment";
+import { getZonedParts, zonedTimeToUtc } from "./timezone";
+
+/**
+ * recurrence rules (the RFC 5545 RRULE subset we support) and their
+ * expansion into occurrences. expansion walks wall-clock time in the
+ * event's zone so a 9:00 class stays at 9:00 across DST changes
+ */
+export const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+export const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+
+// open-ended rules are expanded this far past the first occurrence
+const DEFAULT_HORIZON_YEARS = 2;
+const MAX_OCCURRENCES = 1000;
+const MAX_PERIODS = 5000;
+
+const EMPTY_RULE = {
+  interval: 1,
+  byDay: [],
+  byMonthDay: [],
+  byMonth: [],
+  bySetPos: [],
+};
+
+const parseNumberList = (value) =>
+  value
+    .split(",")
+    .map((item) => parseInt(item, 10))
+    .filter((item) => !isNaN(item) && item !== 0);
+
+/**
+ * parses "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10".
+ * UNTIL is returned as its raw string; the caller knows which zone it's in
+ */
+export const parseRRule = (value) => {
+  const rule = { ...EMPTY_RULE, freq: null };
+  value.split(";").forEach((part) => {
+    const [rawKey, rawValue = ""] = part.split("=");
+    const key = rawKey.trim().toUpperCase();
+    const val = rawValue.trim();
+    switch (key) {
+      case "FREQ":
+        rule.freq = val.toUpperCase();
+        break;
+      case "INTERVAL":
+        rule.interval = Math.max(1, parseInt(val, 10) || 1);
+        break;
+      case "COUNT":
+        rule.count = parseInt(val, 10) || undefined;
+        break;
+      case "UNTIL":
+        rule.untilRaw = val;
+        break;
+      case "BYDAY":
+        rule.byDay = val
+          .split(",")
+          .map((item) => item.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/))
+          .filter(Boolean)
+          .map((match) => ({
+            day: WEEKDAY_CODES.indexOf(match[2]),
+            nth: match[1] ? parseInt(match[1], 10) : null,
+          }));
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = parseNumberList(val);
+        break;
+      case "BYMONTH":
+        rule.byMonth = parseNumberList(val);
+        break;
+      case "BYSETPOS":
+        rule.bySetPos = parseNumberList(val);
+        break;
+      case "WKST":
+        rule.weekStart = Math.max(0, WEEKDAY_CODES.indexOf(val.toUpperCase()));
+        break;
+      default:
+        break;
+    }
+  });
+  if (!FREQUENCIES.includes(rule.freq)) return null;
+  return rule;
+};
+
+/**
+ * serializes a rule object back to RRULE text
+ */
+export const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay?.length) {
+    parts.push(
+      `BYDAY=${rule.byDay
+        .map(({ day, nth }) => `${nth || ""}${WEEKDAY_CODES[day]}`)
+        .join(",")}`
+    );
+  }
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(",")}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) {
+    parts.push(`UNTIL=${moment(rule.until).utc().format("YYYYMMDD[T]HHmmss[Z]")}`);
+  }
+  return parts.join(";");
+};
+
+/**
+ * wall-clock time of an instant as a zone-less moment.utc;
+ * timeZone null means the browser's local zone
+ */
+export const toWallClock = (date, timeZone) => {
+  if (timeZone === "UTC") return moment.utc(date);
+  if (timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    return moment.utc({
+      year: parts.year,
+      month: parts.month - 1,
+      day: parts.day,
+      hour: parts.hours,
+      minute: parts.minutes,
+      second: parts.seconds,
+    });
+  }
+  const local = moment(date);
+  return moment.utc({
+    year: local.year(),
+    month: local.month(),
+    day: local.date(),
+    hour: local.hours(),
+    minute: local.minutes(),
+    second: local.seconds(),
+  });
+};
+
+export const fromWallClock = (wall, timeZone) => {
+  if (timeZone === "UTC") return wall.toDate();
+  if (timeZone) {
+    return zonedTimeToUtc(
+      {
+        year: wall.year(),
+        month: wall.month() + 1,
+        day: wall.date(),
+        hours: wall.hours(),
+        minutes: wall.minutes(),
+        seconds: wall.seconds(),
+      },
+      timeZone
+    );
+  }
+  return new Date(
+    wall.year(),
+    wall.month(),
+    wall.date(),
+    wall.hours(),
+    wall.minutes(),
+    wall.seconds()
+  );
+};
+
+const daysInMonth = (monthStart) => monthStart.daysInMonth();
+
+const monthCandidates = (monthStart, rule, startWall) => {
+  const length = daysInMonth(monthStart);
+  let days;
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay
+      .map((day) => (day > 0 ? day : length + day + 1))
+      .filter((day) => day >= 1 && day <= length);
+    if (rule.byDay.length) {
+      days = days.filter((day) =>
+        rule.byDay.some(
+          ({ day: weekday }) => monthStart.clone().date(day).day() === weekday
+        )
+      );
+    }
+  } else if (rule.byDay.length) {
+    days = [];
+    rule.byDay.forEach(({ day: weekday, nth }) => {
+      const matching = [];
+      for (let day = 1; day <= length; day++) {
+        if (monthStart.clone().date(day).day() === weekday) matching.push(day);
+      }
+      if (nth === null) {
+        days.push(...matching);
+      } else {
+        const picked = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+        if (picked) days.push(picked);
+      }
+    });
+  } else {
+    days = startWall.date() <= length ? [startWall.date()] : [];
+  }
+  return days.map((day) => monthStart.clone().date(day));
+};
+
+/**
+ * a wall-clock time no later than any candidate of the nth period
+ */
+const earliestInPeriod = (rule, startWall, period) => {
+  const step = period * rule.interval;
+  const day = startWall.clone().startOf("day");
+  switch (rule.freq) {
+    case "WEEKLY":
+      return day.subtract(6, "days").add(step, "weeks");
+    case "MONTHLY":
+      return day.startOf("month").add(step, "months");
+    case "YEARLY":
+      return day.startOf("year").add(step, "years");
+    default:
+      return day.add(step, "days");
+  }
+};
+
+/**
+ * candidate wall-clock dates (at midnight) for the nth period of the rule
+ */
+const periodCandidates = (rule, startWall, period) => {
+  const step = period * rule.interval;
+  switch (rule.freq) {
+    case "DAILY": {
+      const day = startWall.clone().startOf("day").add(step, "days");
+      if (rule.byMonth.length && !rule.byMonth.includes(day.month() + 1)) return [];
+      if (rule.byMonthDay.length && !rule.byMonthDay.includes(day.date())) return [];
+      if (rule.byDay.length && !rule.byDay.some(({ day: weekday }) => weekday === day.day()))
+        return [];
+      return [day];
+    }
+    case "WEEKLY": {
+      const weekStart = rule.weekStart ?? 1;
+      const offset = (startWall.day() - weekStart + 7) % 7;
+      const firstDay = startWall
+        .clone()
+        .startOf("day")
+        .subtract(offset, "days")
+        .add(step, "weeks");
+      const weekdays = rule.byDay.length
+        ? rule.byDay.map(({ day }) => day)
+        : [startWall.day()];
+      return weekdays
+        .map((weekday) => firstDay.clone().add((weekday - weekStart + 7) % 7, "days"))
+        .filter(
+          (day) => !rule.byMonth.length || rule.byMonth.includes(day.month() + 1)
+        );
+    }
+    case "MONTHLY": {
+      const monthStart = startWall.clone().startOf("month").add(step, "months");
+      if (rule.byMonth.length && !rule.byMonth.includes(monthStart.month() + 1)) return [];
+      return monthCandidates(monthStart, rule, startWall);
+    }
+    case "YEARLY": {
+      const yearStart = startWall.clone().startOf("year").add(step, "years");
+      const months = rule.byMonth.length ? rule.byMonth : [startWall.month() + 1];
+      return months.flatMap((month) =>
+        monthCandidates(yearStart.clone().month(month - 1), rule, startWall)
+      );
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * expands a rule into [{ start, end }] occurrences.
+ * the first occurrence is always the event itself. exdates are excluded
+ * by instant, exceptionDates ("YYYY-MM-DD") by wall-clock date
+ */
+export const expandRecurrence = (
+  ruleInput,
+  { start, end, timeZone = null, exdates = [], exceptionDates = [], rangeEnd = null }
+) => {
+  const rule = { ...EMPTY_RULE, ...ruleInput };
+  const startWall = toWallClock(start, timeZone);
+  const durationMs = toWallClock(end, timeZone).diff(startWall);
+  const horizon = rangeEnd
+    ? toWallClock(rangeEnd, timeZone)
+    : startWall.clone().add(DEFAULT_HORIZON_YEARS, "years");
+  const until = rule.until ? new Date(rule.until).getTime() : null;
+  const excludedInstants = new Set(exdates.map((date) => new Date(date).getTime()));
+  const excludedDates = new Set(exceptionDates);
+
+  const walls = [startWall];
+  let done = rule.count === 1;
+  for (let period = 0; period < MAX_PERIODS && !done; period++) {
+    // periods can be empty (the 31st in a short month), so the horizon
+    // is checked against the period itself rather than its candidates
+    const periodStart = earliestInPeriod(rule, startWall, period);
+    if (
+      periodStart.isAfter(horizon) ||
+      (until !== null && fromWallClock(periodStart, timeZone).getTime() > until)
+    ) {
+      break;
+    }
+
+    let candidates = periodCandidates(rule, startWall, period)
+      .map((day) =>
+        day.clone().set({
+          hour: startWall.hours(),
+          minute: startWall.minutes(),
+          second: startWall.seconds(),
+        })
+      )
+      .sort((a, b) => a.valueOf() - b.valueOf());
+    if (rule.bySetPos.length) {
+      candidates = rule.bySetPos
+        .map((pos) => candidates[pos > 0 ? pos - 1 : candidates.length + pos])
+        .filter(Boolean);
+    }
+    for (const wall of candidates) {
+      if (!wall.isAfter(startWall)) continue;
+      if (wall.isAfter(horizon)) {
+        done = true;
+        break;
+      }
+      if (until !== null && fromWallClock(wall, timeZone).getTime() > until) {
+        done = true;
+        break;
+      }
+      walls.push(wall);
+      if ((rule.count && walls.length >= rule.count) || walls.length >= MAX_OCCURRENCES) {
+        done = true;
+        break;
+      }
+    }
+  }
+
+  return walls
+    .filter((wall) => !excludedDates.has(wall.format("YYYY-MM-DD")))
+    .map((wall) => ({
+      start: fromWallClock(wall, timeZone),
+      end: fromWallClock(wall.clone().add(durationMs, "ms"), timeZone),
+    }))
+    .filter(({ start: occurrence }) => !excludedInstants.has(occurrence.getTime()));
+};
@@ -0,0 +1,114 @@
+import moment from "moment";
+import { isDeadline } from "./eventDetails";
+import { loadSetting, saveSetting } from "./localSettings";
+import { toDisplayDate } from "./timezone";
+
+/**
+ * reminder lead times, in minutes before an event starts (or is due).
+ * an event's own reminders list wins, even when empty; otherwise its
+ * category's defaults apply, and deadlines without either get the
+ * deadline defaults
+ */
+const REMINDER_SETTINGS_KEY = "reminders";
+// all-day events are reminded about as if they started at this hour
+const ALL_DAY_HOUR = 9;
+
+export const LEAD_TIME_OPTIONS = [
+  { value: 0, label: "At the time", short: "At time" },
+  { value: 15, label: "15 minutes before", short: "15m" },
+  { value: 60, label: "1 hour before", short: "1h" },
+  { value: 180, label: "3 hours before", short: "3h" },
+  { value: 1440, label: "1 day before", short: "1d" },
+  { value: 2880, label: "2 days before", short: "2d" },
+  { value: 10080, label: "1 week before", short: "1w" },
+];
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  deadlineLeads: [1440, 60],
+  categoryLeads: {},
+};
+
+export const loadReminderSettings = () => ({
+  ...DEFAULT_REMINDER_SETTINGS,
+  ...loadSetting(REMINDER_SETTINGS_KEY, {}),
+});
+
+export const saveReminderSettings = (settings) =>
+  saveSetting(REMINDER_SETTINGS_KEY, settings);
+
+export const leadTimeLabel = (minutes) =>
+  LEAD_TIME_OPTIONS.find((option) => option.value === minutes)?.label ||
+  `${moment.duration(minutes, "minutes").humanize()} before`;
+
+export const leadTimesFor = (event, settings) => {
+  if (Array.isArray(event.reminders)) return event.reminders;
+  const categoryLeads = event.category && settings.categoryLeads[event.category];
+  if (categoryLeads) return categoryLeads;
+  return isDeadline(event) ? settings.deadlineLeads : [];
+};
+
+const reminderBody = (event, lead, timeZone) => {
+  const start = moment(toDisplayDate(event.start, timeZone));
+  const when = event.allDay
+    ? start.format("dddd, MMM D")
+    : start.format("ddd, MMM D [at] h:mm A");
+  const prefix = isDeadline(event) ? "Due" : "Starts";
+  return [
+    lead === 0 ? `${prefix} now` : `${prefix} ${when}`,
+    event.location && event.location !== "Unknown Location" && event.location,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+};
+
+/**
+ * reminders due after now and within horizonMinutes, soonest first:
+ * [{ id, eventId, title, body, fireAt }]. ids are stable per event and
+ * lead time, so rescheduling the same reminder replaces it. events are
+ * stored ones; bodies quote times in timeZone, as the calendar shows them
+ */
+export const upcomingReminders = (
+  events,
+  settings,
+  timeZone,
+  now = new Date(),
+  horizonMinutes = 10080
+) => {
+  const horizon = moment(now).add(horizonMinutes, "minutes");
+  return events
+    .flatMap((event) =>
+      leadTimesFor(event, settings).map((lead) => ({
+        id: `${event.id}:${lead}`,
+        eventId: event.id,
+        title: isDeadline(event) ? `Deadline: ${event.title}` : event.title,
+        body: reminderBody(event, lead, timeZone),
+        fireAt: moment(event.start)
+          .add(event.allDay ? ALL_DAY_HOUR : 0, "hours")
+          .subtract(lead, "minutes")
+          .toDate(),
+      }))
+    )
+    .filter((reminder) => reminder.fireAt > now && !moment(reminder.fireAt).isAfter(horizon))
+    .sort((a, b) => a.fireAt - b.fireAt);
+};
+
+/**
+ * deadlines due from the start of today through the next days, with
+ * how far off they are
+ */
+export const upcomingDeadlines = (events, now = new Date(), days = 14) => {
+  const from = moment(now).startOf("day");
+  const to = moment(now).add(days, "days").endOf("day");
+  return events
+    .filter(
+      (event) =>
+        isDeadline(event) && !moment(event.start).isBefore(from) && moment(event.start).isBefore(to)
+    )
+    .sort((a, b) => a.start - b.start)
+    .map((event) => ({
+      event,
+      overdue: event.allDay ? moment(event.end).isSameOrBefore(now) : event.start <= now,
+      dueIn: moment(event.start).from(now),
+    }));
+};
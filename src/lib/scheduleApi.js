@@ -0,0 +1,114 @@
+import { getLocalTimeZone, toDisplayDate } from "./timezone";
+
+/**
+ * client for the /api/schedules and /api/shares routes; events travel
+ * with ISO date strings
+ */
+const request = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: options.body
+      ? { "Content-Type": "application/json", ...options.headers }
+      : options.headers,
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.status === 204 ? null : response.json();
+};
+
+// all-day events are local midnights; the zone goes along so the server
+// and other browsers can tell which calendar dates they cover
+export const toStoredEvents = (events) =>
+  events.map((event) => ({
+    ...event,
+    start: new Date(event.start).toISOString(),
+    end: new Date(event.end).toISOString(),
+    ...(event.allDay && { timeZone: getLocalTimeZone() }),
+  }));
+
+// all-day events come back as local midnights of the same calendar dates,
+// wherever they were made
+const fromStoredAllDay = (event) => ({
+  ...event,
+  start: toDisplayDate(new Date(event.start), event.timeZone),
+  end: toDisplayDate(new Date(event.end), event.timeZone),
+  timeZone: getLocalTimeZone(),
+});
+
+export const fromStoredEvents = (events) =>
+  events.map((event) =>
+    event.allDay && event.timeZone
+      ? fromStoredAllDay(event)
+      : { ...event, start: new Date(event.start), end: new Date(event.end) }
+  );
+
+const fromStoredSchedule = (schedule) => ({
+  ...schedule,
+  events: fromStoredEvents(schedule.events),
+});
+
+export const fetchSchedules = async () => {
+  const { schedules } = await request("/api/schedules");
+  return schedules;
+};
+
+export const fetchSchedule = async (id) => {
+  const { schedule } = await request(`/api/schedules/${encodeURIComponent(id)}`);
+  return fromStoredSchedule(schedule);
+};
+
+export const createSchedule = async (name, events) => {
+  const { schedule } = await request("/api/schedules", {
+    method: "POST",
+    body: JSON.stringify({ name, events: toStoredEvents(events) }),
+  });
+  return fromStoredSchedule(schedule);
+};
+
+export const saveScheduleEvents = async (id, events) => {
+  const { schedule } = await request(`/api/schedules/${encodeURIComponent(id)}`, {
+    method: "PUT",
+    body: JSON.stringify({ events: toStoredEvents(events) }),
+  });
+  return fromStoredSchedule(schedule);
+};
+
+export const renameSchedule = async (id, name) => {
+  const { schedule } = await request(`/api/schedules/${encodeURIComponent(id)}`, {
+    method: "PATCH",
+    body: JSON.stringify({ name }),
+  });
+  return fromStoredSchedule(schedule);
+};
+
+export const deleteSchedule = (id) =>
+  request(`/api/schedules/${encodeURIComponent(id)}`, { method: "DELETE" });
+
+/**
+ * options: { mode: "snapshot" | "live", groups, groupColors, expiresAt }.
+ * the returned share's manageKey is only ever sent this once
+ */
+export const createShare = async (scheduleId, options) => {
+  const { share } = await request("/api/shares", {
+    method: "POST",
+    body: JSON.stringify({ scheduleId, ...options }),
+  });
+  return share;
+};
+
+export const revokeShare = (token, manageKey) =>
+  request(`/api/shares/${encodeURIComponent(token)}`, {
+    method: "DELETE",
+    headers: { "X-Share-Key": manageKey },
+  });
+
+export const fetchSharedSchedule = async (token) => {
+  const { shared } = await request(`/api/shares/${encodeURIComponent(token)}`);
+  return { ...shared, events: fromStoredEvents(shared.events) };
+};
+
+export const shareUrl = (token) => `${window.location.origin}/share/${encodeURIComponent(token)}`;
@@ -0,0 +1,65 @@
+/**
+ * IndexedDB cache for saved schedules and the unsaved working draft,
+ * so the calendar reopens instantly and survives the API being offline
+ */
+const DB_NAME = "grad-planner";
+const DB_VERSION = 1;
+const SCHEDULES_STORE = "schedules";
+const META_STORE = "meta";
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SCHEDULES_STORE)) {
+          db.createObjectStore(SCHEDULES_STORE, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const getCachedSchedules = () =>
+  runRequest(SCHEDULES_STORE, "readonly", (store) => store.getAll());
+
+export const getCachedSchedule = (id) =>
+  runRequest(SCHEDULES_STORE, "readonly", (store) => store.get(id));
+
+export const putCachedSchedule = (schedule) =>
+  runRequest(SCHEDULES_STORE, "readwrite", (store) => store.put(schedule));
+
+export const deleteCachedSchedule = (id) =>
+  runRequest(SCHEDULES_STORE, "readwrite", (store) => store.delete(id));
+
+export const getMeta = (key) =>
+  runRequest(META_STORE, "readonly", (store) => store.get(key));
+
+export const setMeta = (key, value) =>
+  runRequest(META_STORE, "readwrite", (store) => store.put(value, key));
@@ -0,0 +1,62 @@
+import Papa from "papaparse";
+import * as XLSX from "xlsx";
+import {
+  OPTIONAL_SCHEDULE_COLUMNS,
+  SCHEDULE_COLUMNS,
+  toScheduleRow,
+} from "./scheduleParsing";
+
+const DEFAULT_SHEET = "Schedule";
+const MAX_SHEET_NAME = 31;
+
+/**
+ * events as rows of the importer's columns, header row first, so an
+ * exported file imports back to the same events. optional columns are
+ * only written when some event needs them
+ */
+export const toScheduleTable = (events) => {
+  const rows = [...events].sort((a, b) => a.start - b.start).map(toScheduleRow);
+  const headers = SCHEDULE_COLUMNS.filter(
+    (column) => !OPTIONAL_SCHEDULE_COLUMNS.includes(column) || rows.some((row) => row[column])
+  );
+  return [headers, ...rows.map((row) => headers.map((header) => row[header]))];
+};
+
+export const buildScheduleCsv = (events) => Papa.unparse(toScheduleTable(events));
+
+const toSheetName = (name, used) => {
+  const base =
+    name.replace(/[\\/?*[\]:]/g, "-").trim().slice(0, MAX_SHEET_NAME) || DEFAULT_SHEET;
+  let sheetName = base;
+  for (let copy = 2; used.has(sheetName.toLowerCase()); copy += 1) {
+    const suffix = ` (${copy})`;
+    sheetName = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+  }
+  used.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+/**
+ * an .xlsx workbook as an ArrayBuffer. imported events go back to the
+ * sheet they came from; events added here go on a "Schedule" sheet
+ */
+export const buildScheduleWorkbook = (events) => {
+  const sheets = new Map();
+  events.forEach((event) => {
+    const name = event.sourceSheet || DEFAULT_SHEET;
+    if (!sheets.has(name)) sheets.set(name, []);
+    sheets.get(name).push(event);
+  });
+  if (!sheets.size) sheets.set(DEFAULT_SHEET, []);
+
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+  sheets.forEach((sheetEvents, name) => {
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet(toScheduleTable(sheetEvents)),
+      toSheetName(name, used)
+    );
+  });
+  return XLSX.write(workbook, { bookType: "xlsx", type: "array" });
+};
@@ -0,0 +1,351 @@
+import moment from "moment";
+import { createFieldReader } from "./columnMapping";
+import { splitDesc } from "./eventDetails";
+import { DEFAULT_GROUP_SCHEME, deriveGroup } from "./groupSchemes";
+import { createRejection, isBlankRow, readRowValues } from "./importReport";
+import { isValidTimeZone, toDisplayDate, zonedTimeToUtc } from "./timezone";
+
+/**
+ * derives the learner group from the Learner Group cell or the section /
+ * session name, using the configured group scheme
+ */
+export const deriveLearnerGroup = (
+  learnerGroupField,
+  sessionName,
+  sectionName,
+  scheme = DEFAULT_GROUP_SCHEME
+) => deriveGroup(scheme, learnerGroupField, sessionName, sectionName);
+
+/**
+ * normalizes a date cell to a string moment can read. Date cells become
+ * YYYYMMDD; the "+057342" year some exports write is really 2023
+ */
+export const fixInvalidDate = (dateInput) => {
+  if (dateInput instanceof Date) {
+    return moment(dateInput).format("YYYYMMDD");
+  }
+  if (typeof dateInput !== "string") {
+    dateInput = dateInput.toString();
+  }
+  if (dateInput.startsWith("+057342")) {
+    return dateInput.replace("+057342", "2023");
+  }
+  return dateInput;
+};
+
+/**
+ * reads "13:45", "1345", "1:45 pm", "noon", "midnight" or a Date cell into
+ * { hours, minutes }; null if the value isn't a time
+ */
+export const parseTime = (timeValue) => {
+  try {
+    if (!timeValue) return null;
+    if (timeValue instanceof Date) {
+      return { hours: timeValue.getHours(), minutes: timeValue.getMinutes() };
+    }
+    const cleaned = timeValue.toString().trim().toLowerCase();
+    const militaryMatch = cleaned.match(/^(\d{1,2}):?(\d{2})$/);
+    if (militaryMatch) {
+      const hours = parseInt(militaryMatch[1], 10);
+      const minutes = parseInt(militaryMatch[2] || "00", 10);
+      if (hours > 23 || minutes > 59) return null;
+      return { hours, minutes };
+    }
+
+    const twelveHourMatch =
+      cleaned.match(/(\d{1,2})(?::(\d{2}))?\s*([ap]m)/i) ||
+      // the period goes in group 3 either way, so "12 noon" works too
+      cleaned.match(/(?:(\d{1,2})(?::(\d{2}))?\s*)?(noon|midnight)/i);
+    if (twelveHourMatch) {
+      let hours = twelveHourMatch[1] ? parseInt(twelveHourMatch[1], 10) : 0;
+      const minutes = twelveHourMatch[2] ? parseInt(twelveHourMatch[2], 10) : 0;
+      const period = twelveHourMatch[3]?.toLowerCase();
+      if (period === "noon") hours = 12;
+      if (period === "midnight") hours = 0;
+      if (period === "pm" && hours !== 12) hours += 12;
+      if (period === "am" && hours === 12) hours = 0;
+      if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) return null;
+      return { hours, minutes };
+    }
+    console.warn(`Unrecognized time format: ${timeValue}`);
+    return null;
+  } catch (error) {
+    console.error("Time parsing error:", error);
+    return null;
+  }
+};
+
+
+/**
+ * the instant named by a date cell and a time cell, read as wall-clock
+ * time in timeZone (the browser's zone when null). dayOffset moves to a
+ * later calendar day first, so a DST change in between keeps the hour
+ */
+export const parseDateTime = (dateString, timeValue, timeZone = null, dayOffset = 0) => {
+  try {
+    if (!dateString || !timeValue) {
+      console.warn("Missing date/time values:", { dateString, timeValue });
+      return null;
+    }
+    const fixedDateString = fixInvalidDate(dateString);
+    let date = null;
+
+    if (!isNaN(fixedDateString)) {
+      const numDate = parseInt(fixedDateString, 10);
+      if (numDate < 100000) {
+        // serial days since 1899-12-30 (25569 is 1970-01-01). Excel also
+        // counts a 29 Feb 1900 that never happened, so earlier serials are
+        // a day behind; the serial is a calendar date, so read it as UTC
+        date = moment.utc((numDate - 25569) * 86400 * 1000);
+        if (numDate < 60) date.add(1, "day");
+      }
+    }
+
+    if (!date) {
+      const dateFormats = [
+        "YYYYMMDD",
+        "YYYY-MM-DD",
+        "MM/DD/YYYY",
+        "DD-MM-YYYY",
+        "MMM DD, YYYY",
+        "DD MMM YYYY",
+        "YYYY/MM/DD",
+      ];
+      date = moment(fixedDateString, dateFormats, true);
+      if (!date.isValid()) {
+        console.warn(`Invalid date format: ${fixedDateString}`);
+        return null;
+      }
+    }
+
+    const time = parseTime(timeValue);
+    if (!time) return null;
+
+    const wallClock = {
+      year: date.year(),
+      month: date.month() + 1,
+      // Date.UTC and the Date constructor roll day overflow into the month
+      day: date.date() + dayOffset,
+      hours: time.hours,
+      minutes: time.minutes,
+    };
+    const combined = timeZone
+      ? zonedTimeToUtc(wallClock, timeZone)
+      : new Date(
+          wallClock.year,
+          wallClock.month - 1,
+          wallClock.day,
+          wallClock.hours,
+          wallClock.minutes
+        );
+    if (isNaN(combined.getTime())) {
+      console.warn("Invalid combined datetime:", combined);
+      return null;
+    }
+    return combined;
+  } catch (error) {
+    console.error("Date/time parsing error:", error);
+    return null;
+  }
+};
+
+const readDateCell = (value) =>
+  value instanceof Date ? moment(value).format("YYYYMMDD") : value.toString().trim();
+
+const isYes = (value) =>
+  value === true || /^(y|yes|true|1|x)$/i.test(value.toString().trim());
+
+/**
+ * turns one spreadsheet row into an event, or explains why it can't:
+ * returns { event } or { error: { reason, field } }. times are read in
+ * the row's Time Zone, else the schedule's, and the event keeps that zone.
+ * optional columns: End Date (the last day; times are then taken as
+ * given), All Day (no times needed) and UID
+ */
+export const parseScheduleRow = (getField, scheme, timeZone = null) => {
+  const courseName = getField("Course Name");
+  const sessionType = getField("Session Type");
+  const sessionName = getField("Session Name");
+  const sectionName = getField("Section Name") || getField("Section");
+  const sectionDate = readDateCell(getField("Section Date"));
+  const endDate = readDateCell(getField("End Date"));
+  const allDay = isYes(getField("All Day"));
+  const rowZone = getField("Time Zone").toString().trim();
+  const uid = getField("UID").toString().trim();
+  const startTime = getField("Start Time");
+  const endTime = getField("End Time");
+
+  if (!sectionDate) {
+    return { error: { reason: "Missing section date", field: "Section Date" } };
+  }
+  if (rowZone && !isValidTimeZone(rowZone)) {
+    return { error: { reason: `Unknown time zone "${rowZone}"`, field: "Time Zone" } };
+  }
+  const zone = allDay ? null : rowZone || timeZone;
+
+  let start;
+  let end;
+  if (allDay) {
+    // all-day events are dates, not instants: local midnights, end exclusive
+    start = parseDateTime(sectionDate, "00:00");
+    end = parseDateTime(endDate || sectionDate, "00:00", null, 1);
+    if (!start) {
+      return { error: { reason: `Invalid date "${sectionDate}"`, field: "Section Date" } };
+    }
+    if (!end) {
+      return { error: { reason: `Invalid date "${endDate}"`, field: "End Date" } };
+    }
+    if (end <= start) {
+      return { error: { reason: "End date is before start date", field: "End Date" } };
+    }
+  } else {
+    if (!startTime) {
+      return { error: { reason: "Missing start time", field: "Start Time" } };
+    }
+    if (!endTime) {
+      return { error: { reason: "Missing end time", field: "End Time" } };
+    }
+    if (!parseTime(startTime)) {
+      return {
+        error: { reason: `Unrecognized start time "${startTime}"`, field: "Start Time" },
+      };
+    }
+    if (!parseTime(endTime)) {
+      return {
+        error: { reason: `Unrecognized end time "${endTime}"`, field: "End Time" },
+      };
+    }
+
+    start = parseDateTime(sectionDate, startTime, zone);
+    end = parseDateTime(endDate || sectionDate, endTime, zone);
+    if (!start) {
+      return { error: { reason: `Invalid date "${sectionDate}"`, field: "Section Date" } };
+    }
+    if (!end) {
+      return { error: { reason: `Invalid date "${endDate}"`, field: "End Date" } };
+    }
+    if (endDate) {
+      if (end < start) {
+        return { error: { reason: "End is before start", field: "End Date" } };
+      }
+    } else if (start.getTime() === end.getTime()) {
+      return {
+        error: { reason: "End time is the same as start time", field: "End Time" },
+      };
+    } else if (start > end) {
+      // sessions that run past midnight end on the next day
+      const adjustedEnd = parseDateTime(sectionDate, endTime, zone, 1);
+      if (start >= adjustedEnd) {
+        return { error: { reason: "End time is before start time", field: "End Time" } };
+      }
+      end = adjustedEnd;
+    }
+  }
+
+  return {
+    event: {
+      title: sessionName || "Untitled Session",
+      start: new Date(start),
+      end: new Date(end),
+      desc: [courseName, sessionType, sectionName].filter(Boolean).join(" - "),
+      location: getField("Location") || "Unknown Location",
+      learnerGroup: deriveLearnerGroup(
+        getField("Learner Group"),
+        sessionName,
+        sectionName,
+        scheme
+      ),
+      ...(allDay && { allDay: true }),
+      ...(zone && { timeZone: zone }),
+      ...(uid && { uid }),
+    },
+  };
+};
+
+/**
+ * the importer's columns, in the order exports write them: the planning
+ * spreadsheet's layout, then the optional columns
+ */
+export const SCHEDULE_COLUMNS = [
+  "Course Name",
+  "Session Type",
+  "Session Name",
+  "Section Name",
+  "Section Date",
+  "Start Time",
+  "End Time",
+  "Location",
+  "Learner Group",
+  "End Date",
+  "All Day",
+  "Time Zone",
+  "UID",
+];
+
+export const OPTIONAL_SCHEDULE_COLUMNS = ["End Date", "All Day", "Time Zone", "UID"];
+
+/**
+ * an event as a row of the importer's columns, keyed by header; dates and
+ * times are wall-clock in the event's zone, so the row parses back to it
+ */
+export const toScheduleRow = (event) => {
+  const zone = event.allDay ? null : event.timeZone || null;
+  const start = moment(toDisplayDate(event.start, zone));
+  // all-day ends are exclusive, the End Date column is the last day
+  const end = moment(toDisplayDate(event.end, zone)).subtract(
+    event.allDay ? 1 : 0,
+    "day"
+  );
+  const { course, sessionType, section } = splitDesc(event);
+  return {
+    "Section Date": start.format("YYYY-MM-DD"),
+    "Start Time": event.allDay ? "" : start.format("HH:mm"),
+    "End Time": event.allDay ? "" : end.format("HH:mm"),
+    "Course Name": course,
+    "Session Type": sessionType,
+    "Session Name": event.title || "",
+    "Section Name": section,
+    Location: event.location || "",
+    "Learner Group": event.learnerGroup || "",
+    "End Date": end.isSame(start, "day") ? "" : end.format("YYYY-MM-DD"),
+    "All Day": event.allDay ? "Yes" : "",
+    "Time Zone": zone || "",
+    UID: event.uid || "",
+  };
+};
+
+/**
+ * parses spreadsheet rows through the column mapping into
+ * { events, rejected }. blank rows are skipped; rows that can't be read
+ * become rejections for the import report instead of being dropped
+ */
+export const parseScheduleRows = (
+  headers,
+  rows,
+  { mapping = null, sheet = null, scheme, timeZone = null, firstRow = 2 } = {}
+) => {
+  const readField = createFieldReader(headers, mapping);
+  const events = [];
+  const rejected = [];
+  rows.forEach((row, index) => {
+    const getField = (name) => readField(row, name);
+    const values = readRowValues(getField);
+    if (isBlankRow(values)) return;
+    // firstRow is the file's numbering of rows[0]; 2 below a header row
+    const rowNumber = index + firstRow;
+    const where = sheet ? `${sheet} row ${rowNumber}` : `row ${rowNumber}`;
+    try {
+      const { event, error } = parseScheduleRow(getField, scheme, timeZone);
+      if (event) {
+        events.push(sheet ? { ...event, sourceSheet: sheet } : event);
+      } else {
+        console.warn(`Skipping ${where}: ${error.reason}`);
+        rejected.push(createRejection(rowNumber, values, error, sheet));
+      }
+    } catch (e) {
+      console.warn(`Skipping ${where}:`, e);
+      rejected.push(createRejection(rowNumber, values, { reason: e.message }, sheet));
+    }
+  });
+  return { events, rejected };
+};
@@ -0,0 +1,55 @@
+// Local JSON file stores under SCHEDULE_DATA_DIR (default ./data).
+// Each store is one file; writes are serialized per file and go through a
+// temp file + rename so a crash mid-write never leaves a truncated store.
+import { promises as fs } from "fs";
+import path from "path";
+
+const dataDir = () =>
+  process.env.SCHEDULE_DATA_DIR || path.join(process.cwd(), "data");
+
+/**
+ * normalize turns the parsed file (an empty object when it doesn't exist
+ * yet) into the store's shape
+ */
+export const createJsonFileStore = <T>(
+  fileName: string,
+  normalize: (parsed: Partial<T>) => T
+) => {
+  const storePath = () => path.join(dataDir(), fileName);
+  let writeQueue: Promise<unknown> = Promise.resolve();
+
+  const read = async (): Promise<T> => {
+    try {
+      const raw = await fs.readFile(storePath(), "utf8");
+      return normalize(JSON.parse(raw));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        return normalize({});
+      }
+      throw error;
+    }
+  };
+
+  const write = async (store: T) => {
+    await fs.mkdir(dataDir(), { recursive: true });
+    const tempPath = `${storePath()}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(store, null, 2));
+    await fs.rename(tempPath, storePath());
+  };
+
+  /**
+   * runs a read-modify-write against the store, one at a time
+   */
+  const mutate = <R>(change: (store: T) => R): Promise<R> => {
+    const run = writeQueue.then(async () => {
+      const store = await read();
+      const result = change(store);
+      await write(store);
+      return result;
+    });
+    writeQueue = run.catch(() => undefined);
+    return run;
+  };
+
+  return { read, mutate };
+};
@@ -0,0 +1,91 @@
+// Server-side PDF text extraction.
+// pdfjs-dist is pinned to the same version as public/pdf.worker.js so the
+// browser worker and the server parser read documents identically.
+import path from "path";
+import type { TextItem } from "pdfjs-dist/types/src/display/api";
+
+// horizontal gap (in PDF units) that we treat as a column break in a table row
+const COLUMN_GAP = 12;
+// items whose baselines are closer than this are considered the same line
+const LINE_TOLERANCE = 2;
+
+type Positioned = { x: number; y: number; width: number; str: string };
+
+/**
+ * rebuilds the visual lines of a page from pdf.js text items,
+ * separating table columns with a tab so row parsing can split them
+ */
+const itemsToLines = (items: Positioned[]): string[] => {
+  const rows: Positioned[][] = [];
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+
+  sorted.forEach((item) => {
+    const row = rows.find(
+      (candidate) => Math.abs(candidate[0].y - item.y) <= LINE_TOLERANCE
+    );
+    if (row) {
+      row.push(item);
+    } else {
+      rows.push([item]);
+    }
+  });
+
+  return rows
+    .map((row) => {
+      row.sort((a, b) => a.x - b.x);
+      let line = "";
+      let lastEnd: number | null = null;
+      row.forEach((item) => {
+        if (lastEnd !== null) {
+          const gap = item.x - lastEnd;
+          if (gap > COLUMN_GAP) line += "\t";
+          else if (gap > 1 && !line.endsWith(" ") && !item.str.startsWith(" "))
+            line += " ";
+        }
+        line += item.str;
+        lastEnd = item.x + item.width;
+      });
+      return line.replace(/[ ]{2,}/g, " ").trim();
+    })
+    .filter(Boolean);
+};
+
+/**
+ * extracts the text of every page, one line per visual row
+ */
+export const extractPdfText = async (data: Uint8Array): Promise<string> => {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const pdf = await getDocument({
+    data,
+    useSystemFonts: true,
+    standardFontDataUrl: path.join(
+      process.cwd(),
+      "node_modules/pdfjs-dist/standard_fonts/"
+    ),
+    isEvalSupported: false,
+  }).promise;
+
+  try {
+    const pages: string[] = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      const items = content.items
+        // pdf.js emits whitespace items to fill gaps; we measure the gaps ourselves
+        .filter(
+          (item): item is TextItem => "str" in item && item.str.trim() !== ""
+        )
+        .map((item) => ({
+          x: item.transform[4],
+          y: item.transform[5],
+          width: item.width,
+          str: item.str,
+        }));
+      pages.push(itemsToLines(items).join("\n"));
+      page.cleanup();
+    }
+    return pages.join("\n");
+  } finally {
+    await pdf.destroy();
+  }
+};
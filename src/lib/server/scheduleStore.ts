@@ -0,0 +1,138 @@
+// Local JSON file store for named schedules, kept in schedules.json
+// under SCHEDULE_DATA_DIR (default ./data).
+import { randomUUID } from "crypto";
+import { createJsonFileStore } from "./jsonFileStore";
+
+export type StoredEvent = {
+  title: string;
+  start: string;
+  end: string;
+  desc?: string;
+  location?: string;
+  learnerGroup?: string;
+  allDay?: boolean;
+  [field: string]: unknown;
+};
+
+export type Schedule = {
+  id: string;
+  name: string;
+  createdAt: string;
+  updatedAt: string;
+  events: StoredEvent[];
+};
+
+export type ScheduleSummary = Omit<Schedule, "events"> & {
+  eventCount: number;
+};
+
+type StoreFile = { schedules: Record<string, Schedule> };
+
+export class ScheduleValidationError extends Error {}
+
+const { read: readStore, mutate } = createJsonFileStore<StoreFile>(
+  "schedules.json",
+  (parsed) => ({ schedules: parsed.schedules || {} })
+);
+
+const toSummary = ({ events, ...schedule }: Schedule): ScheduleSummary => ({
+  ...schedule,
+  eventCount: events.length,
+});
+
+export const validateName = (name: unknown): string => {
+  if (typeof name !== "string" || !name.trim()) {
+    throw new ScheduleValidationError("Schedule name is required");
+  }
+  if (name.trim().length > 200) {
+    throw new ScheduleValidationError("Schedule name is too long");
+  }
+  return name.trim();
+};
+
+export const validateEvents = (events: unknown): StoredEvent[] => {
+  if (!Array.isArray(events)) {
+    throw new ScheduleValidationError("events must be an array");
+  }
+  return events.map((event, index) => {
+    if (!event || typeof event !== "object") {
+      throw new ScheduleValidationError(`Event ${index + 1} is not an object`);
+    }
+    const { title, start, end } = event as Record<string, unknown>;
+    if (typeof title !== "string") {
+      throw new ScheduleValidationError(`Event ${index + 1} has no title`);
+    }
+    const startTime = Date.parse(start as string);
+    const endTime = Date.parse(end as string);
+    if (isNaN(startTime) || isNaN(endTime)) {
+      throw new ScheduleValidationError(
+        `Event ${index + 1} has an invalid start or end`
+      );
+    }
+    return {
+      ...(event as StoredEvent),
+      start: new Date(startTime).toISOString(),
+      end: new Date(endTime).toISOString(),
+    };
+  });
+};
+
+export const listSchedules = async (): Promise<ScheduleSummary[]> => {
+  const { schedules } = await readStore();
+  return Object.values(schedules)
+    .map(toSummary)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const getSchedule = async (id: string): Promise<Schedule | null> => {
+  const { schedules } = await readStore();
+  return schedules[id] || null;
+};
+
+export const createSchedule = (input: {
+  name: unknown;
+  events?: unknown;
+}): Promise<Schedule> => {
+  const name = validateName(input.name);
+  const events = validateEvents(input.events ?? []);
+  return mutate((store) => {
+    const now = new Date().toISOString();
+    const schedule: Schedule = {
+      id: randomUUID(),
+      name,
+      createdAt: now,
+      updatedAt: now,
+      events,
+    };
+    store.schedules[schedule.id] = schedule;
+    return schedule;
+  });
+};
+
+export const updateSchedule = (
+  id: string,
+  input: { name?: unknown; events?: unknown }
+): Promise<Schedule | null> => {
+  const name = input.name === undefined ? undefined : validateName(input.name);
+  const events =
+    input.events === undefined ? undefined : validateEvents(input.events);
+  return mutate((store) => {
+    const existing = store.schedules[id];
+    if (!existing) return null;
+    const schedule: Schedule = {
+      ...existing,
+      name: name ?? existing.name,
+      events: events ?? existing.events,
+      updatedAt: new Date().toISOString(),
+    };
+    store.schedules[id] = schedule;
+    return schedule;
+  });
+};
+
+export const deleteSchedule = (id: string): Promise<boolean> =>
+  mutate((store) => {
+    if (!store.schedules[id]) return false;
+    delete store.schedules[id];
+    return true;
+  });
@@ -0,0 +1,219 @@
+// Read-only share links for saved schedules, kept in shares.json under
+// SCHEDULE_DATA_DIR. A link is a random token pointing either at a frozen
+// copy of the schedule's events ("snapshot") or at the saved schedule
+// itself ("live"), narrowed to some learner groups. Each link also gets a
+// manage key, returned once on create and kept by its creator; only a
+// hash is stored, and revoking needs the key. Tokens are never listed.
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+import { createJsonFileStore } from "./jsonFileStore";
+import { getSchedule, type StoredEvent } from "./scheduleStore";
+import { UNGROUPED } from "../groupSchemes";
+
+export type ShareMode = "snapshot" | "live";
+
+export type Share = {
+  token: string;
+  scheduleId: string;
+  mode: ShareMode;
+  name: string;
+  // empty means every group
+  groups: string[];
+  groupColors: Record<string, string>;
+  createdAt: string;
+  expiresAt: string | null;
+  manageKeyHash: string;
+  // snapshot links only
+  events?: StoredEvent[];
+  snapshotAt?: string;
+};
+
+export type ShareSummary = Omit<Share, "events" | "manageKeyHash">;
+
+export type SharedSchedule = {
+  name: string;
+  mode: ShareMode;
+  groups: string[];
+  groupColors: Record<string, string>;
+  expiresAt: string | null;
+  updatedAt: string;
+  events: StoredEvent[];
+};
+
+type StoreFile = { shares: Record<string, Share> };
+
+export class ShareValidationError extends Error {}
+
+const SHARE_MODES: ShareMode[] = ["snapshot", "live"];
+const COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+
+const { read: readStore, mutate } = createJsonFileStore<StoreFile>(
+  "shares.json",
+  (parsed) => ({ shares: parsed.shares || {} })
+);
+
+const toSummary = (share: Share): ShareSummary => {
+  const summary: Partial<Share> = { ...share };
+  delete summary.events;
+  delete summary.manageKeyHash;
+  return summary as ShareSummary;
+};
+
+const newSecret = () => randomBytes(18).toString("base64url");
+
+const hashKey = (key: string) => createHash("sha256").update(key).digest();
+
+// links made before manage keys existed have no hash and can't match
+const keyMatches = (key: unknown, share: Share) => {
+  if (typeof key !== "string" || !share.manageKeyHash) return false;
+  const expected = Buffer.from(share.manageKeyHash, "base64url");
+  const actual = hashKey(key);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
+
+const inGroups = (groups: string[]) => (event: StoredEvent) =>
+  groups.length === 0 || groups.includes(event.learnerGroup || UNGROUPED);
+
+const validateGroups = (groups: unknown): string[] => {
+  if (groups === undefined) return [];
+  if (!Array.isArray(groups) || groups.some((group) => typeof group !== "string")) {
+    throw new ShareValidationError("groups must be a list of group names");
+  }
+  return Array.from(new Set(groups));
+};
+
+const validateGroupColors = (groupColors: unknown): Record<string, string> => {
+  if (groupColors === undefined) return {};
+  if (!groupColors || typeof groupColors !== "object" || Array.isArray(groupColors)) {
+    throw new ShareValidationError("groupColors must map groups to colors");
+  }
+  return Object.fromEntries(
+    Object.entries(groupColors).filter(
+      ([, color]) => typeof color === "string" && COLOR_PATTERN.test(color)
+    )
+  );
+};
+
+const validateExpiry = (expiresAt: unknown): string | null => {
+  if (expiresAt === undefined || expiresAt === null || expiresAt === "") return null;
+  const time = Date.parse(expiresAt as string);
+  if (isNaN(time)) {
+    throw new ShareValidationError("expiresAt is not a valid date");
+  }
+  if (time <= Date.now()) {
+    throw new ShareValidationError("expiresAt must be in the future");
+  }
+  return new Date(time).toISOString();
+};
+
+/**
+ * the new link with its manage key, which is not stored and can't be
+ * fetched again; null when the schedule doesn't exist
+ */
+export const createShare = async (input: {
+  scheduleId: unknown;
+  mode?: unknown;
+  groups?: unknown;
+  groupColors?: unknown;
+  expiresAt?: unknown;
+}): Promise<(ShareSummary & { manageKey: string }) | null> => {
+  if (typeof input.scheduleId !== "string" || !input.scheduleId) {
+    throw new ShareValidationError("scheduleId is required");
+  }
+  const mode = (input.mode ?? "snapshot") as ShareMode;
+  if (!SHARE_MODES.includes(mode)) {
+    throw new ShareValidationError(`mode must be one of ${SHARE_MODES.join(", ")}`);
+  }
+  const groups = validateGroups(input.groups);
+  const groupColors = validateGroupColors(input.groupColors);
+  const expiresAt = validateExpiry(input.expiresAt);
+
+  const schedule = await getSchedule(input.scheduleId);
+  if (!schedule) return null;
+
+  return mutate((store) => {
+    const now = new Date().toISOString();
+    const manageKey = newSecret();
+    const share: Share = {
+      token: newSecret(),
+      scheduleId: schedule.id,
+      mode,
+      name: schedule.name,
+      groups,
+      groupColors,
+      createdAt: now,
+      expiresAt,
+      manageKeyHash: hashKey(manageKey).toString("base64url"),
+      ...(mode === "snapshot" && {
+        events: schedule.events.filter(inGroups(groups)),
+        snapshotAt: schedule.updatedAt,
+      }),
+    };
+    store.shares[share.token] = share;
+    return { ...toSummary(share), manageKey };
+  });
+};
+
+/**
+ * the events behind a link. "expired" once past its expiry; null when
+ * the token is unknown or revoked, or a live link's schedule is gone
+ */
+export const openShare = async (
+  token: string,
+  now = new Date()
+): Promise<SharedSchedule | "expired" | null> => {
+  const { shares } = await readStore();
+  const share = shares[token];
+  if (!share) return null;
+  if (share.expiresAt && Date.parse(share.expiresAt) <= now.getTime()) return "expired";
+
+  const details = {
+    mode: share.mode,
+    groups: share.groups,
+    groupColors: share.groupColors,
+    expiresAt: share.expiresAt,
+  };
+  if (share.mode === "snapshot") {
+    return {
+      ...details,
+      name: share.name,
+      updatedAt: share.snapshotAt || share.createdAt,
+      events: share.events || [],
+    };
+  }
+  const schedule = await getSchedule(share.scheduleId);
+  if (!schedule) return null;
+  return {
+    ...details,
+    name: schedule.name,
+    updatedAt: schedule.updatedAt,
+    events: schedule.events.filter(inGroups(share.groups)),
+  };
+};
+
+/**
+ * "forbidden" when manageKey isn't the link's; the token alone is what
+ * viewers get, so it can't revoke anything
+ */
+export const revokeShare = (
+  token: string,
+  manageKey: unknown
+): Promise<boolean | "forbidden"> =>
+  mutate((store) => {
+    const share = store.shares[token];
+    if (!share) return false;
+    if (!keyMatches(manageKey, share)) return "forbidden";
+    delete store.shares[token];
+    return true;
+  });
+
+/**
+ * drops every link to a schedule, for when the schedule is deleted
+ */
+export const revokeSharesFor = (scheduleId: string): Promise<number> =>
+  mutate((store) => {
+    const tokens = Object.keys(store.shares).filter(
+      (token) => store.shares[token].scheduleId === scheduleId
+    );
+    tokens.forEach((token) => delete store.shares[token]);
+    return tokens.length;
+  });
@@ -0,0 +1,15 @@
+import { loadSetting, saveSetting } from "./localSettings";
+
+/**
+ * share links this browser created, per schedule id, with their manage
+ * keys. the server never lists links, so these are the only copies
+ */
+const SETTING = "shareLinks";
+
+export const loadShareLinks = (scheduleId) => loadSetting(SETTING, {})[scheduleId] || [];
+
+export const saveShareLinks = (scheduleId, links) => {
+  const all = { ...loadSetting(SETTING, {}), [scheduleId]: links };
+  if (!links.length) delete all[scheduleId];
+  saveSetting(SETTING, all);
+};
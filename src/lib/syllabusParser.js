@@ -0,0 +1,321 @@
+import moment from "moment";
+
+const MONTHS =
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const WEEKDAYS =
+  /\b(?:mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:rs?(?:day)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)\b\.?,?/gi;
+
+const monthNumber = (name) =>
+  moment(name.slice(0, 3), "MMM").month() + 1;
+
+const normalizeYear = (year) => {
+  const value = parseInt(year, 10);
+  return value < 100 ? 2000 + value : value;
+};
+
+const DATE_PATTERNS = [
+  {
+    regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/,
+    build: (m) => ({ year: +m[1], month: +m[2], day: +m[3] }),
+  },
+  {
+    regex: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/,
+    build: (m) => ({
+      year: m[3] ? normalizeYear(m[3]) : null,
+      month: +m[1],
+      day: +m[2],
+    }),
+  },
+  {
+    regex: new RegExp(
+      `\\b(${MONTHS})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`,
+      "i"
+    ),
+    build: (m) => ({
+      year: m[3] ? +m[3] : null,
+      month: monthNumber(m[1]),
+      day: +m[2],
+    }),
+  },
+  {
+    regex: new RegExp(
+      `\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTHS})\\.?\\b(?:,?\\s+(\\d{4})\\b)?`,
+      "i"
+    ),
+    build: (m) => ({
+      year: m[3] ? +m[3] : null,
+      month: monthNumber(m[2]),
+      day: +m[1],
+    }),
+  },
+];
+
+const MERIDIEM = "([ap])\\.?\\s?m\\.?";
+const TIME_RANGE = new RegExp(
+  `\\b(\\d{1,2})(?::(\\d{2}))?\\s*(?:${MERIDIEM})?\\s*(?:-|–|—|to|until)\\s*(\\d{1,2})(?::(\\d{2}))?\\s*(?:${MERIDIEM})?`,
+  "i"
+);
+const SINGLE_TIME = new RegExp(
+  `\\b(\\d{1,2}):(\\d{2})\\s*(?:${MERIDIEM})?|\\b(\\d{1,2})\\s*${MERIDIEM}|\\b(noon)\\b`,
+  "i"
+);
+
+const LOCATION_PATTERNS = [
+  /\b(?:room|rm\.?)\s*#?\s*[A-Z]?\d+[A-Z]?\b/i,
+  /\b(?:[A-Z][a-z]+\s+)+(?:Hall|Building|Auditorium|Center)(?:\s+[A-Z]?\d+[A-Z]?)?\b/,
+  /\b(?:bldg\.?|building)\s+[\w-]+(?:\s+(?:room|rm\.?)?\s*\d+)?\b/i,
+  /\b(?:zoom|online)\b/i,
+];
+const LOCATION_LABEL = /^\s*(?:location|room|classroom|place)\s*:\s*(.+)$/i;
+const COURSE_LABEL = /^\s*(?:course(?:\s+(?:name|title|number))?)\s*:\s*(.+)$/i;
+const COURSE_CODE = /\b([A-Z]{2,5})\s?-?(\d{3,4}[A-Z]?)\b/;
+const GROUP_PATTERN =
+  /\b(?:learner\s+group|group|grp\.?)\s*[:#]?\s*([A-Z]\s?\d{1,2}|\d{1,3})\b/i;
+const MEETING_HINT = /\b(?:meets?|meeting|class\s+time|lectures?|time|schedule)\b/i;
+
+const SESSION_TYPES = [
+  { pattern: /\b(?:midterm|final|exam(?:ination)?)\b/i, type: "Exam" },
+  { pattern: /\bquiz\b/i, type: "Quiz" },
+  { pattern: /\blab(?:oratory)?\b/i, type: "Lab" },
+  { pattern: /\bseminar\b/i, type: "Seminar" },
+  { pattern: /\bdiscussion\b/i, type: "Discussion" },
+  { pattern: /\brecitation\b/i, type: "Recitation" },
+  { pattern: /\bclinical\b/i, type: "Clinical" },
+  { pattern: /\bworkshop\b/i, type: "Workshop" },
+  { pattern: /\bjournal\s+club\b/i, type: "Journal Club" },
+  { pattern: /\bpresentations?\b/i, type: "Presentation" },
+  { pattern: /\blecture\b/i, type: "Lecture" },
+];
+
+const findDate = (line) => {
+  for (const { regex, build } of DATE_PATTERNS) {
+    const match = line.match(regex);
+    if (!match) continue;
+    const parts = build(match);
+    if (parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > 31)
+      continue;
+    return { ...parts, text: match[0] };
+  }
+  return null;
+};
+
+const toHours = (hour, meridiem) => {
+  let hours = parseInt(hour, 10);
+  if (meridiem === "p" && hours !== 12) hours += 12;
+  if (meridiem === "a" && hours === 12) hours = 0;
+  return hours;
+};
+
+/**
+ * reads "9-10:30am", "1:00 PM – 2:15 PM" or "13:00 to 14:50" into hours/minutes.
+ * a side without am/pm borrows the other side's, and bare class hours
+ * before 7 are read as afternoon
+ */
+const findTimeRange = (line) => {
+  const match = line.match(TIME_RANGE);
+  if (!match) return null;
+  const [text, sh, sm, smer, eh, em, emer] = match;
+  // "Chapters 3-4" is not a time; require minutes or am/pm somewhere
+  if (!sm && !em && !smer && !emer) return null;
+  if (+sh > 23 || +eh > 23 || +(sm || 0) > 59 || +(em || 0) > 59) return null;
+
+  const startMeridiem = smer?.toLowerCase();
+  const endMeridiem = emer?.toLowerCase();
+  let endHours = toHours(eh, endMeridiem);
+  let startHours;
+  if (startMeridiem) {
+    startHours = toHours(sh, startMeridiem);
+  } else if (endMeridiem) {
+    startHours = toHours(sh, endMeridiem);
+    if (startHours * 60 + +(sm || 0) > endHours * 60 + +(em || 0)) {
+      startHours = toHours(sh, endMeridiem === "p" ? "a" : "p");
+    }
+  } else {
+    startHours = +sh;
+    if (startHours >= 1 && startHours < 7) startHours += 12;
+    if (endHours >= 1 && endHours < 7) endHours += 12;
+  }
+  if (!endMeridiem && startMeridiem === "p" && endHours < 12) endHours += 12;
+
+  return {
+    start: { hours: startHours, minutes: +(sm || 0) },
+    end: { hours: endHours, minutes: +(em || 0) },
+    text,
+  };
+};
+
+const findSingleTime = (line) => {
+  const match = line.match(SINGLE_TIME);
+  if (!match) return null;
+  if (match[6]) return { hours: 12, minutes: 0, text: match[0] };
+  const hour = match[1] || match[4];
+  const minutes = +(match[2] || 0);
+  const meridiem = (match[3] || match[5])?.toLowerCase();
+  if (+hour > 23 || minutes > 59) return null;
+  return { hours: toHours(hour, meridiem), minutes, text: match[0] };
+};
+
+const detectYear = (text) => {
+  const counts = {};
+  (text.match(/\b20\d{2}\b/g) || []).forEach((year) => {
+    counts[year] = (counts[year] || 0) + 1;
+  });
+  const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return best ? parseInt(best[0], 10) : new Date().getFullYear();
+};
+
+const cleanTitle = (text) =>
+  text
+    .split("\t")
+    .map((cell) =>
+      cell
+        .replace(/\s+/g, " ")
+        .replace(/^[\s\-–—:|,.]+|[\s\-–—:|,]+$/g, "")
+        .trim()
+    )
+    // week numbers and row counters are table noise, not part of the title
+    .filter((cell) => cell && !/^(?:week\s*)?\d+$/i.test(cell))
+    .join(" - ");
+
+/**
+ * scans document-level lines for course, location and meeting time defaults
+ */
+const readDocumentDefaults = (lines) => {
+  const defaults = { course: "", location: "", meetingTime: null };
+  lines.forEach((line) => {
+    const courseLabel = line.match(COURSE_LABEL);
+    if (courseLabel && !defaults.course) {
+      defaults.course = courseLabel[1].replace(/\t/g, " ").trim();
+    }
+    const locationLabel = line.match(LOCATION_LABEL);
+    if (locationLabel && !defaults.location) {
+      defaults.location = locationLabel[1].replace(/\t/g, " ").trim();
+    }
+    if (!defaults.meetingTime && !findDate(line) && MEETING_HINT.test(line)) {
+      defaults.meetingTime = findTimeRange(line);
+    }
+  });
+  if (!defaults.course) {
+    const codeLine = lines.find((line) => COURSE_CODE.test(line));
+    if (codeLine) {
+      const match = codeLine.match(COURSE_CODE);
+      defaults.course = `${match[1]} ${match[2]}`;
+    }
+  }
+  return defaults;
+};
+
+/**
+ * turns extracted syllabus / course schedule text into calendar events.
+ * each line holding a date (or a time under a date heading) becomes a
+ * session; rows without a time use the course meeting time, or are all-day
+ */
+export const parseScheduleText = (text, options = {}) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const defaults = readDocumentDefaults(lines);
+  const courseName = options.courseName || defaults.course;
+  let year = options.year || detectYear(text);
+  let lastMonth = null;
+  let currentDate = null;
+  const seen = new Set();
+  const events = [];
+
+  lines.forEach((line) => {
+    if (COURSE_LABEL.test(line) || LOCATION_LABEL.test(line)) return;
+
+    let remainder = line;
+    const dateMatch = findDate(line);
+    if (dateMatch) {
+      if (dateMatch.year) {
+        year = dateMatch.year;
+      } else if (lastMonth && dateMatch.month < lastMonth - 6) {
+        // schedule rolled over into the next calendar year
+        year += 1;
+      }
+      lastMonth = dateMatch.month;
+      currentDate = moment({
+        year: dateMatch.year || year,
+        month: dateMatch.month - 1,
+        day: dateMatch.day,
+      });
+      if (!currentDate.isValid()) {
+        currentDate = null;
+        return;
+      }
+      remainder = remainder.replace(dateMatch.text, " ");
+    }
+    if (!currentDate) return;
+
+    const range = findTimeRange(remainder);
+    const single = range ? null : findSingleTime(remainder);
+    if (!dateMatch && !range && !single) return;
+    if (range) remainder = remainder.replace(range.text, " ");
+    if (single) remainder = remainder.replace(single.text, " ");
+
+    const locationMatch = LOCATION_PATTERNS.map((pattern) =>
+      remainder.match(pattern)
+    ).find(Boolean);
+    if (locationMatch) remainder = remainder.replace(locationMatch[0], " ");
+    remainder = remainder.replace(WEEKDAYS, " ");
+
+    const title = cleanTitle(remainder);
+    // a bare date heading only sets the context for the rows below it
+    if (!title && !range && !single) return;
+
+    const groupMatch = line.match(GROUP_PATTERN);
+    const sessionType =
+      SESSION_TYPES.find(({ pattern }) => pattern.test(line))?.type || "";
+
+    const time =
+      range ||
+      (single && {
+        start: single,
+        end: {
+          hours: single.hours + 1,
+          minutes: single.minutes,
+        },
+      }) ||
+      defaults.meetingTime;
+
+    let start;
+    let end;
+    let allDay = false;
+    if (time) {
+      start = currentDate.clone().set({
+        hour: time.start.hours,
+        minute: time.start.minutes,
+      });
+      // set, not add: adding hours to midnight is off by one on DST days
+      end = currentDate.clone().set({
+        hour: time.end.hours,
+        minute: time.end.minutes,
+      });
+      if (!end.isAfter(start)) end.add(1, "days");
+    } else {
+      start = currentDate.clone().startOf("day");
+      end = start.clone().add(1, "days");
+      allDay = true;
+    }
+
+    const event = {
+      title: title || sessionType || "Untitled Session",
+      start: start.toDate(),
+      end: end.toDate(),
+      desc: [courseName, sessionType].filter(Boolean).join(" - "),
+      location:
+        locationMatch?.[0].trim() || defaults.location || "Unknown Location",
+      learnerGroup: groupMatch ? groupMatch[1].replace(/\s+/g, "") : "",
+    };
+    if (allDay) event.allDay = true;
+
+    const key = `${event.title}|${event.start.getTime()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    events.push(event);
+  });
+
+  return { courseName, events };
+};
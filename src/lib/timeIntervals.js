@@ -0,0 +1,83 @@
+import moment from "moment";
+import { loadSetting, saveSetting } from "./localSettings";
+
+/**
+ * helpers for half-open time intervals, { start, end } with Date values
+ */
+const HOUR_MS = 3600000;
+
+const WORKING_HOURS_KEY = "workingHours";
+
+// the part of each day counted as available, shared by the workload
+// analytics and the free-slot finder
+export const DEFAULT_WORKING_HOURS = { startHour: 8, endHour: 18, weekdaysOnly: true };
+
+export const loadWorkingHours = () => ({
+  ...DEFAULT_WORKING_HOURS,
+  ...loadSetting(WORKING_HOURS_KEY, {}),
+});
+
+export const saveWorkingHours = (workingHours) => saveSetting(WORKING_HOURS_KEY, workingHours);
+
+/**
+ * overlapping or touching intervals joined, in start order
+ */
+export const mergeIntervals = (intervals) => {
+  const sorted = intervals
+    .filter((interval) => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach(({ start, end }) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last.end) {
+      if (end > last.end) last.end = end;
+    } else {
+      merged.push({ start, end });
+    }
+  });
+  return merged;
+};
+
+/**
+ * the parts of windows not covered by busy intervals
+ */
+export const subtractIntervals = (windows, busy) => {
+  const blocked = mergeIntervals(busy);
+  return windows.flatMap((window) => {
+    const free = [];
+    let cursor = window.start;
+    blocked.forEach(({ start, end }) => {
+      if (end <= cursor || start >= window.end) return;
+      if (start > cursor) free.push({ start: cursor, end: start });
+      if (end > cursor) cursor = end;
+    });
+    if (cursor < window.end) free.push({ start: cursor, end: window.end });
+    return free;
+  });
+};
+
+/**
+ * one window per day from from to to (inclusive days) between
+ * startHour and endHour, skipping weekends when weekdaysOnly. the hours
+ * are wall-clock hours, so DST days keep the same window
+ */
+export const workingWindows = (from, to, { startHour, endHour, weekdaysOnly }) => {
+  const windows = [];
+  for (
+    let day = moment(from).startOf("day");
+    !day.isAfter(moment(to), "day");
+    day = day.clone().add(1, "day")
+  ) {
+    if (weekdaysOnly && (day.day() === 0 || day.day() === 6)) continue;
+    windows.push({
+      start: day.clone().hour(startHour).toDate(),
+      end: day.clone().hour(endHour).toDate(),
+    });
+  }
+  return windows;
+};
+
+export const intervalHours = ({ start, end }) => (end - start) / HOUR_MS;
+
+export const totalHours = (intervals) =>
+  intervals.reduce((total, interval) => total + intervalHours(interval), 0);
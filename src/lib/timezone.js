@@ -0,0 +1,215 @@
+/**
+ * IANA time zone helpers built on Intl, so we can convert between an
+ * instant and the wall-clock time of any zone without a tz database
+ */
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * wall-clock parts of an instant in a zone; month is 1-12
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== "literal") parts[type] = parseInt(value, 10);
+    });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour === 24 ? 0 : parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second,
+  };
+};
+
+/**
+ * offset of the zone from UTC at the given instant, in milliseconds
+ */
+export const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hours,
+    parts.minutes,
+    parts.seconds
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * the instant at which a zone's clocks show the given wall-clock time.
+ * times skipped by a DST jump move forward by the jump, repeated times
+ * resolve to the earlier instant
+ */
+export const zonedTimeToUtc = (
+  { year, month, day, hours = 0, minutes = 0, seconds = 0 },
+  timeZone
+) => {
+  const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const firstOffset = getTimeZoneOffset(new Date(guess), timeZone);
+  const candidate = guess - firstOffset;
+  const secondOffset = getTimeZoneOffset(new Date(candidate), timeZone);
+  if (secondOffset === firstOffset) return new Date(candidate);
+  const adjusted = guess - secondOffset;
+  return new Date(
+    getTimeZoneOffset(new Date(adjusted), timeZone) === secondOffset
+      ? adjusted
+      : candidate
+  );
+};
+
+export const getLocalTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const FALLBACK_TIME_ZONES = [
+  "America/New_York",
+  "America/Chicago",
+  "America/Denver",
+  "America/Phoenix",
+  "America/Los_Angeles",
+  "America/Anchorage",
+  "Pacific/Honolulu",
+  "America/Halifax",
+  "Europe/London",
+  "Europe/Berlin",
+  "Asia/Kolkata",
+  "Asia/Shanghai",
+  "Asia/Tokyo",
+  "Australia/Sydney",
+  "UTC",
+];
+
+/**
+ * zones to offer in pickers, with the browser's own zone first
+ */
+export const listTimeZones = () => {
+  const zones =
+    typeof Intl.supportedValuesOf === "function"
+      ? Intl.supportedValuesOf("timeZone")
+      : FALLBACK_TIME_ZONES;
+  const local = getLocalTimeZone();
+  return [local, ...zones.filter((zone) => zone !== local)];
+};
+
+/**
+ * short name of a zone at an instant, e.g. "EST" or "GMT+5:30"
+ */
+export const getTimeZoneName = (timeZone, date = new Date()) =>
+  new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "short" })
+    .formatToParts(date)
+    .find((part) => part.type === "timeZoneName")?.value || timeZone;
+
+/**
+ * a Date whose local fields show the zone's wall-clock time at the given
+ * instant, for widgets that only know the browser's zone (the calendar
+ * grid, moment formatting). fromDisplayDate turns it back into the instant
+ */
+export const toDisplayDate = (date, timeZone) => {
+  if (!timeZone || timeZone === getLocalTimeZone()) return date;
+  const parts = getZonedParts(date, timeZone);
+  return new Date(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hours,
+    parts.minutes,
+    parts.seconds
+  );
+};
+
+export const fromDisplayDate = (date, timeZone) => {
+  if (!timeZone || timeZone === getLocalTimeZone()) return date;
+  return zonedTimeToUtc(
+    {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hours: date.getHours(),
+      minutes: date.getMinutes(),
+      seconds: date.getSeconds(),
+    },
+    timeZone
+  );
+};
+
+/**
+ * a copy of an event on the display zone's wall clock, for the calendar
+ * grid and agenda. all-day events are calendar dates held at local
+ * midnight, so they pass through unshifted
+ */
+export const toDisplayEvent = (event, timeZone) =>
+  event.allDay
+    ? event
+    : {
+        ...event,
+        start: toDisplayDate(event.start, timeZone),
+        end: toDisplayDate(event.end, timeZone),
+      };
+
+// Outlook/Exchange exports use Windows zone names in TZID
+const WINDOWS_ZONES = {
+  "Eastern Standard Time": "America/New_York",
+  "Central Standard Time": "America/Chicago",
+  "Mountain Standard Time": "America/Denver",
+  "US Mountain Standard Time": "America/Phoenix",
+  "Pacific Standard Time": "America/Los_Angeles",
+  "Alaskan Standard Time": "America/Anchorage",
+  "Hawaiian Standard Time": "Pacific/Honolulu",
+  "Atlantic Standard Time": "America/Halifax",
+  "GMT Standard Time": "Europe/London",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Romance Standard Time": "Europe/Paris",
+  "Central European Standard Time": "Europe/Warsaw",
+  "India Standard Time": "Asia/Kolkata",
+  "China Standard Time": "Asia/Shanghai",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+  UTC: "UTC",
+};
+
+/**
+ * maps an iCalendar TZID to an IANA zone, or null if we can't tell
+ */
+export const resolveTimeZone = (tzid) => {
+  if (!tzid) return null;
+  const cleaned = tzid.replace(/^"|"$/g, "").trim();
+  if (WINDOWS_ZONES[cleaned]) return WINDOWS_ZONES[cleaned];
+  if (isValidTimeZone(cleaned)) return cleaned;
+  // e.g. "/citadel.org/20190103_1/America/New_York"
+  const tail = cleaned.match(/([A-Za-z_]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?)$/);
+  if (tail && isValidTimeZone(tail[1])) return tail[1];
+  return null;
+};
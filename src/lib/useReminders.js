@@ -0,0 +1,98 @@
+import { useEffect, useRef, useState } from "react";
+import { upcomingReminders } from "./reminders";
+
+const WORKER_URL = "/reminder-sw.js";
+const RESYNC_MS = 15 * 60 * 1000;
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * timers for the reminders due in the next week, kept in step with the
+ * events and reminder settings. they live in the page, so reminders only
+ * arrive while the planner is open in a tab (in the background is fine);
+ * a closed tab gets none. the service worker only displays them, which
+ * keeps them working from a background tab, and reports clicks.
+ * onOpenEvent gets the id of an event whose reminder was clicked; times
+ * in the text are in timeZone
+ */
+export const useReminders = (events, settings, timeZone, onOpenEvent) => {
+  const [permission, setPermission] = useState("default");
+  const [registration, setRegistration] = useState(null);
+  const [resync, setResync] = useState(0);
+  const onOpenEventRef = useRef(onOpenEvent);
+  onOpenEventRef.current = onOpenEvent;
+
+  useEffect(() => {
+    if (typeof Notification === "undefined") {
+      setPermission("unsupported");
+      return undefined;
+    }
+    setPermission(Notification.permission);
+    if (!("serviceWorker" in navigator)) return undefined;
+
+    navigator.serviceWorker
+      .register(WORKER_URL)
+      .then(() => navigator.serviceWorker.ready)
+      .then(setRegistration)
+      .catch((error) => console.warn("Reminder worker unavailable:", error));
+
+    const handleMessage = (event) => {
+      if (event.data?.type === "open-event") onOpenEventRef.current?.(event.data.eventId);
+    };
+    navigator.serviceWorker.addEventListener("message", handleMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", handleMessage);
+  }, []);
+
+  // the list only covers a week, and background tabs may delay timers,
+  // so it is rebuilt now and then and whenever the tab is shown
+  useEffect(() => {
+    const bump = () => setResync((count) => count + 1);
+    const interval = setInterval(bump, RESYNC_MS);
+    document.addEventListener("visibilitychange", bump);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", bump);
+    };
+  }, []);
+
+  useEffect(() => {
+    const active = settings.enabled && permission === "granted";
+    const reminders = active ? upcomingReminders(events, settings, timeZone) : [];
+
+    const timers = reminders
+      .filter((reminder) => reminder.fireAt - Date.now() <= MAX_TIMEOUT)
+      .map((reminder) =>
+        setTimeout(() => {
+          const options = {
+            body: reminder.body,
+            tag: reminder.id,
+            data: { eventId: reminder.eventId },
+          };
+          if (registration) {
+            registration.showNotification(reminder.title, options);
+            return;
+          }
+          const notification = new Notification(reminder.title, options);
+          notification.onclick = () => {
+            window.focus();
+            onOpenEventRef.current?.(reminder.eventId);
+          };
+        }, reminder.fireAt - Date.now())
+      );
+    return () => timers.forEach((timer) => clearTimeout(timer));
+  }, [events, settings, timeZone, permission, registration, resync]);
+
+  const requestPermission = async () => {
+    if (typeof Notification === "undefined") return "unsupported";
+    const result = await Notification.requestPermission();
+    setPermission(result);
+    return result;
+  };
+
+  const sendTest = () => {
+    const options = { body: "Reminders will look like this.", tag: "reminder-test" };
+    if (registration) registration.showNotification("Schedule reminder", options);
+    else new Notification("Schedule reminder", options);
+  };
+
+  return { permission, requestPermission, sendTest };
+};
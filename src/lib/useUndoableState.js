@@ -0,0 +1,57 @@
+import { useCallback, useState } from "react";
+
+const HISTORY_LIMIT = 100;
+
+/**
+ * state with undo/redo. set() records the value it replaces; reset()
+ * swaps the value and forgets history, for loads that shouldn't be undone
+ */
+export const useUndoableState = (initial) => {
+  const [history, setHistory] = useState({ past: [], present: initial, future: [] });
+
+  const set = useCallback((next) => {
+    setHistory(({ past, present }) =>
+      next === present
+        ? { past, present, future: [] }
+        : { past: [...past, present].slice(-HISTORY_LIMIT), present: next, future: [] }
+    );
+  }, []);
+
+  const reset = useCallback((next) => {
+    setHistory({ past: [], present: next, future: [] });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((current) => {
+      const { past, present, future } = current;
+      if (!past.length) return current;
+      return {
+        past: past.slice(0, -1),
+        present: past[past.length - 1],
+        future: [present, ...future],
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((current) => {
+      const { past, present, future } = current;
+      if (!future.length) return current;
+      return {
+        past: [...past, present],
+        present: future[0],
+        future: future.slice(1),
+      };
+    });
+  }, []);
+
+  return {
+    value: history.present,
+    set,
+    reset,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+};
@@ -0,0 +1,142 @@
+import moment from "moment";
+import Papa from "papaparse";
+import { getCourseName, getSessionType, isDeadline } from "./eventDetails";
+import { UNGROUPED } from "./groupSchemes";
+import { daySegment } from "./printLayout";
+import {
+  intervalHours,
+  mergeIntervals,
+  subtractIntervals,
+  totalHours,
+  workingWindows,
+} from "./timeIntervals";
+
+const round = (hours) => Math.round(hours * 10) / 10;
+
+const tally = (segments, keyOf) => {
+  const totals = new Map();
+  segments.forEach((segment) => {
+    const key = keyOf(segment.event);
+    const total = totals.get(key) || { key, hours: 0, sessions: new Set() };
+    total.hours += intervalHours(segment);
+    total.sessions.add(segment.event);
+    totals.set(key, total);
+  });
+  return Array.from(totals.values())
+    .map((total) => ({ key: total.key, hours: round(total.hours), sessions: total.sessions.size }))
+    .sort((a, b) => b.hours - a.hours || a.key.localeCompare(b.key));
+};
+
+/**
+ * contact hours and free time over a date range. events are wall-clock
+ * (display zone) copies, so days and hours are the ones the user sees.
+ * deadlines and all-day events take no time and are left out; sessions
+ * running past midnight count toward each day they touch. free hours
+ * are the working hours no session covers
+ */
+export const analyzeWorkload = (events, from, to, workingHours) => {
+  const first = moment(from).startOf("day");
+  const last = moment(to).startOf("day");
+  const timed = events.filter((event) => !event.allDay && !isDeadline(event));
+
+  const segments = [];
+  for (let day = first.clone(); !day.isAfter(last); day = day.clone().add(1, "day")) {
+    timed.forEach((event) => {
+      const segment = daySegment(event, day.toDate());
+      if (segment && segment.end > segment.start) segments.push(segment);
+    });
+  }
+
+  const weeks = [];
+  for (
+    let week = first.clone().startOf("week");
+    !week.isAfter(last);
+    week = week.clone().add(1, "week")
+  ) {
+    const weekStart = moment.max(week, first);
+    const weekEnd = moment.min(week.clone().endOf("week").startOf("day"), last);
+    const inWeek = segments.filter((segment) =>
+      moment(segment.start).isBetween(weekStart, weekEnd, "day", "[]")
+    );
+    const windows = workingWindows(weekStart, weekEnd, workingHours);
+    const free = subtractIntervals(windows, inWeek);
+    weeks.push({
+      start: week.toDate(),
+      hours: round(totalHours(inWeek)),
+      busyHours: round(totalHours(mergeIntervals(inWeek))),
+      sessions: new Set(inWeek.map((segment) => segment.event)).size,
+      workingHours: round(totalHours(windows)),
+      freeHours: round(totalHours(free)),
+    });
+  }
+
+  // weekday x hour of day; a session from 9:30 to 11:00 adds 0.5 to the
+  // 9 o'clock cell and 1 to the 10 o'clock one
+  const heatmap = Array.from({ length: 7 }, () => Array(24).fill(0));
+  segments.forEach(({ start, end }) => {
+    for (
+      let hour = moment(start).startOf("hour");
+      hour.isBefore(end);
+      hour = hour.clone().add(1, "hour")
+    ) {
+      const overlap =
+        Math.min(end, hour.clone().add(1, "hour").toDate()) - Math.max(start, hour.toDate());
+      heatmap[hour.day()][hour.hours()] += overlap / 3600000;
+    }
+  });
+
+  const days = new Map();
+  segments.forEach((segment) => {
+    const key = moment(segment.start).format("YYYY-MM-DD");
+    days.set(key, (days.get(key) || 0) + intervalHours(segment));
+  });
+  const busiestDays = Array.from(days, ([date, hours]) => ({ date, hours: round(hours) }))
+    .sort((a, b) => b.hours - a.hours || a.date.localeCompare(b.date))
+    .slice(0, 5);
+
+  const windows = workingWindows(first, last, workingHours);
+  return {
+    totals: {
+      hours: round(totalHours(segments)),
+      sessions: new Set(segments.map((segment) => segment.event)).size,
+      workingHours: round(totalHours(windows)),
+      freeHours: round(totalHours(subtractIntervals(windows, segments))),
+    },
+    weeks,
+    byCourse: tally(segments, getCourseName),
+    bySessionType: tally(segments, (event) => getSessionType(event) || "No Session Type"),
+    byGroup: tally(segments, (event) => event.learnerGroup || UNGROUPED),
+    heatmap: heatmap.map((row) => row.map(round)),
+    busiestDays,
+  };
+};
+
+/**
+ * the summary as CSV: one row per total, week, course, session type,
+ * learner group and busy day
+ */
+export const workloadCsv = (analysis) => {
+  const { totals } = analysis;
+  const rows = [
+    ["Section", "Item", "Hours", "Sessions", "Free Working Hours"],
+    ["Total", "All sessions", totals.hours, totals.sessions, totals.freeHours],
+  ];
+  analysis.weeks.forEach((week) =>
+    rows.push([
+      "Week",
+      moment(week.start).format("YYYY-MM-DD"),
+      week.hours,
+      week.sessions,
+      week.freeHours,
+    ])
+  );
+  [
+    ["Course", analysis.byCourse],
+    ["Session Type", analysis.bySessionType],
+    ["Learner Group", analysis.byGroup],
+  ].forEach(([section, items]) =>
+    items.forEach((item) => rows.push([section, item.key, item.hours, item.sessions, ""]))
+  );
+  analysis.busiestDays.forEach((day) => rows.push(["Busiest Day", day.date, day.hours, "", ""]));
+  return Papa.unparse(rows);
+};
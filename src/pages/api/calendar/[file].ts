@@ -0,0 +1,62 @@
+// Subscribable iCalendar feed of a saved schedule for some learner groups:
+//   /api/calendar/<file>.ics?schedule=<id>                   (every group)
+//   /api/calendar/<file>.ics?schedule=<id>&group=A1&group=C2
+// The path only names the file; groups travel as query parameters so any
+// group name (commas, "all", ...) can be asked for.
+import type { NextApiRequest, NextApiResponse } from "next";
+import { getSchedule } from "../../../lib/server/scheduleStore";
+import { buildCalendar } from "../../../lib/ics";
+import { UNGROUPED } from "../../../lib/groupSchemes";
+
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse,
+) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.setHeader("Allow", "GET, HEAD");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const fileName = String(req.query.file).replace(/\.ics$/i, "") || "schedule";
+  const requested = ([] as string[]).concat(req.query.group ?? []);
+  const scheduleId = req.query.schedule;
+  if (typeof scheduleId !== "string" || !scheduleId) {
+    return res.status(400).json({ error: "schedule query parameter is required" });
+  }
+
+  try {
+    const schedule = await getSchedule(scheduleId);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+
+    const allGroups = requested.length === 0;
+    const groups = new Set(requested.map((name) => name.trim().toLowerCase()));
+    const events = schedule.events
+      .filter(
+        (event) =>
+          allGroups ||
+          groups.has((event.learnerGroup || UNGROUPED).toLowerCase())
+      )
+      .map((event) => ({
+        ...event,
+        start: new Date(event.start),
+        end: new Date(event.end),
+      }));
+
+    const body = buildCalendar(events, {
+      name: allGroups
+        ? schedule.name
+        : `${schedule.name} (${requested.join(", ")})`,
+    });
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${encodeURIComponent(fileName)}.ics"`
+    );
+    // calendar apps poll the feed; let them see edits quickly
+    res.setHeader("Cache-Control", "public, max-age=300");
+    return res.status(200).send(body);
+  } catch (error) {
+    console.error("Calendar feed error:", error);
+    return res.status(500).json({ error: "Could not build calendar feed" });
+  }
+}
@@ -0,0 +1,85 @@
+// Parses an uploaded PDF syllabus / course schedule into calendar events
+import type { NextApiRequest, NextApiResponse } from "next";
+import moment from "moment";
+import { extractPdfText } from "../../lib/server/pdfText";
+import { parseScheduleText } from "../../lib/syllabusParser";
+
+// PDFUploader posts the raw ArrayBuffer, so we read the body ourselves
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+const MAX_PDF_BYTES = 20 * 1024 * 1024;
+const WALL_CLOCK_FORMAT = "YYYY-MM-DDTHH:mm:ss";
+
+type ParsedEvent = {
+  title: string;
+  start: string;
+  end: string;
+  desc: string;
+  location: string;
+  learnerGroup: string;
+  allDay?: boolean;
+};
+
+type Data =
+  | { text: string; courseName: string; events: ParsedEvent[] }
+  | { error: string };
+
+const readBody = (req: NextApiRequest): Promise<Buffer> =>
+  new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    let size = 0;
+    req.on("data", (chunk: Buffer) => {
+      size += chunk.length;
+      if (size > MAX_PDF_BYTES) {
+        reject(new Error("PDF is too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<Data>,
+) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  let body: Buffer;
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    return res.status(413).json({ error: (error as Error).message });
+  }
+  if (body.length === 0 || body.subarray(0, 5).toString() !== "%PDF-") {
+    return res.status(400).json({ error: "Request body is not a PDF file" });
+  }
+
+  try {
+    const text = await extractPdfText(new Uint8Array(body));
+    const { courseName, events } = parseScheduleText(text);
+    res.status(200).json({
+      text,
+      courseName,
+      // sent as wall-clock times without an offset: the syllabus times are
+      // local to the course, not to wherever this server runs
+      events: events.map((event) => ({
+        ...event,
+        start: moment(event.start).format(WALL_CLOCK_FORMAT),
+        end: moment(event.end).format(WALL_CLOCK_FORMAT),
+      })),
+    });
+  } catch (error) {
+    console.error("PDF parsing error:", error);
+    res.status(422).json({ error: "Could not read text from this PDF" });
+  }
+}
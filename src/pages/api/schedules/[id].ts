@@ -0,0 +1,56 @@
+// Reads, updates, renames and deletes a single saved schedule
+import type { NextApiRequest, NextApiResponse } from "next";
+import {
+  deleteSchedule,
+  getSchedule,
+  ScheduleValidationError,
+  updateSchedule,
+} from "../../../lib/server/scheduleStore";
+import { revokeSharesFor } from "../../../lib/server/shareStore";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "10mb",
+    },
+  },
+};
+
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse,
+) {
+  const id = String(req.query.id);
+
+  try {
+    if (req.method === "GET") {
+      const schedule = await getSchedule(id);
+      if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+      return res.status(200).json({ schedule });
+    }
+    if (req.method === "PUT" || req.method === "PATCH") {
+      const { name, events } = req.body || {};
+      // PATCH is used for renames, PUT replaces the saved events
+      const schedule = await updateSchedule(
+        id,
+        req.method === "PATCH" ? { name } : { name, events }
+      );
+      if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+      return res.status(200).json({ schedule });
+    }
+    if (req.method === "DELETE") {
+      const deleted = await deleteSchedule(id);
+      if (!deleted) return res.status(404).json({ error: "Schedule not found" });
+      await revokeSharesFor(id);
+      return res.status(204).end();
+    }
+    res.setHeader("Allow", "GET, PUT, PATCH, DELETE");
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (error) {
+    if (error instanceof ScheduleValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Schedule store error:", error);
+    return res.status(500).json({ error: "Could not access saved schedules" });
+  }
+}
@@ -0,0 +1,38 @@
+// Lists saved schedules and creates new ones
+import type { NextApiRequest, NextApiResponse } from "next";
+import {
+  createSchedule,
+  listSchedules,
+  ScheduleValidationError,
+} from "../../../lib/server/scheduleStore";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "10mb",
+    },
+  },
+};
+
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse,
+) {
+  try {
+    if (req.method === "GET") {
+      return res.status(200).json({ schedules: await listSchedules() });
+    }
+    if (req.method === "POST") {
+      const schedule = await createSchedule(req.body || {});
+      return res.status(201).json({ schedule });
+    }
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (error) {
+    if (error instanceof ScheduleValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Schedule store error:", error);
+    return res.status(500).json({ error: "Could not access saved schedules" });
+  }
+}
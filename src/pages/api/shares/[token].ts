@@ -0,0 +1,40 @@
+// Opens a share link read-only, or revokes it:
+//   GET    /api/shares/<token>
+//   DELETE /api/shares/<token> with the link's manage key in X-Share-Key
+import type { NextApiRequest, NextApiResponse } from "next";
+import { openShare, revokeShare } from "../../../lib/server/shareStore";
+
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse,
+) {
+  const token = String(req.query.token);
+
+  try {
+    if (req.method === "GET") {
+      const shared = await openShare(token);
+      if (shared === "expired") {
+        return res.status(410).json({ error: "This link has expired" });
+      }
+      if (!shared) {
+        return res.status(404).json({ error: "This link doesn't exist or was revoked" });
+      }
+      // live links follow edits, and a revoked link must stop working
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).json({ shared });
+    }
+    if (req.method === "DELETE") {
+      const revoked = await revokeShare(token, req.headers["x-share-key"]);
+      if (revoked === "forbidden") {
+        return res.status(403).json({ error: "Only the link's creator can revoke it" });
+      }
+      if (!revoked) return res.status(404).json({ error: "Share link not found" });
+      return res.status(204).end();
+    }
+    res.setHeader("Allow", "GET, DELETE");
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (error) {
+    console.error("Share store error:", error);
+    return res.status(500).json({ error: "Could not access share links" });
+  }
+}
@@ -0,0 +1,27 @@
+// Creates share links for a saved schedule:
+//   POST /api/shares { scheduleId, mode, groups, groupColors, expiresAt }
+// The response carries the link's manage key, needed to revoke it later.
+// There is no listing: schedule ids are public, so the creator keeps links.
+import type { NextApiRequest, NextApiResponse } from "next";
+import { createShare, ShareValidationError } from "../../../lib/server/shareStore";
+
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse,
+) {
+  try {
+    if (req.method === "POST") {
+      const share = await createShare(req.body || {});
+      if (!share) return res.status(404).json({ error: "Schedule not found" });
+      return res.status(201).json({ share });
+    }
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (error) {
+    if (error instanceof ShareValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Share store error:", error);
+    return res.status(500).json({ error: "Could not access share links" });
+  }
+}
@@ -1,5 +1,4 @@
 import MyCalendar from "../components/Calendar";       // Adjusted path
-import PDFUploader from "../components/PDFUploader";   // Adjusted path
 
 export default function Home() {
   return (
@@ -8,11 +7,6 @@ export default function Home() {
         Graduate Student Schedule Planner
       </h1>
       <MyCalendar />
-
-      <h1 className="text-3xl font-bold mb-6 text-blue-600 mt-8">
-        Welcome to the PDF Parser
-      </h1>
-      <PDFUploader /> {/* Use the PDFUploader component */}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,29 @@
+import { useEffect, useState } from "react";
+import { useRouter } from "next/router";
+import SharedSchedule from "../../components/SharedSchedule";
+import { fetchSharedSchedule } from "../../lib/scheduleApi";
+
+export default function SharedSchedulePage() {
+  const router = useRouter();
+  const { token } = router.query;
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (typeof token !== "string") return;
+    fetchSharedSchedule(token)
+      .then(setShared)
+      .catch((loadError) => setError(loadError.message));
+  }, [token]);
+
+  return (
+    <div className="min-h-screen p-8">
+      <h1 className="text-3xl font-bold mb-6 text-blue-600">
+        {shared ? shared.name : "Shared Schedule"}
+      </h1>
+      {error && <p className="text-red-600">{error}</p>}
+      {!error && !shared && <p className="text-gray-500">Loading…</p>}
+      {shared && <SharedSchedule shared={shared} />}
+    </div>
+  );
+}
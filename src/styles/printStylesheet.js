@@ -0,0 +1,67 @@
+import { PAPER_SIZES } from "../lib/printLayout";
+
+const MARGIN_INCHES = 0.4;
+const HEADER_INCHES = 0.9;
+
+/**
+ * print stylesheet for the printable schedule. it is mounted with the
+ * print root, hides the rest of the app on paper and sizes the grids to
+ * the chosen sheet so a week or month fills exactly one page
+ */
+export const printStylesheet = ({ paper, orientation }) => {
+  const size = PAPER_SIZES.find((item) => item.value === paper) || PAPER_SIZES[0];
+  const pageHeight = orientation === "landscape" ? size.width : size.height;
+  const bodyHeight = (pageHeight - 2 * MARGIN_INCHES - HEADER_INCHES).toFixed(2);
+
+  return `
+@page { size: ${size.css} ${orientation}; margin: ${MARGIN_INCHES}in; }
+@media screen { .print-root { display: none; } }
+@media print {
+  body > *:not(.print-root) { display: none !important; }
+  .print-root { display: block; }
+}
+.print-root {
+  --print-body-height: ${bodyHeight}in;
+  font: 9px/1.25 system-ui, -apple-system, "Segoe UI", sans-serif;
+  color: #111827;
+  -webkit-print-color-adjust: exact;
+  print-color-adjust: exact;
+}
+.print-page { break-after: page; }
+.print-page:last-child { break-after: auto; }
+.print-header { height: ${HEADER_INCHES - 0.1}in; margin-bottom: 0.1in; overflow: hidden; }
+.print-header h1 { font-size: 16px; font-weight: 700; margin: 0 0 2px; }
+.print-header p { margin: 0; color: #4b5563; }
+.print-event { color: #fff; border-radius: 3px; padding: 1px 3px; overflow: hidden; }
+.print-event-meta { opacity: 0.9; }
+.print-week { display: grid; grid-template-columns: 3.5em repeat(7, 1fr); border: 1px solid #d1d5db; }
+.print-week-day-head { text-align: center; font-weight: 600; padding: 2px; border-left: 1px solid #d1d5db; }
+.print-week-all-day { border-left: 1px solid #d1d5db; border-top: 1px solid #d1d5db; padding: 1px; }
+.print-week-all-day .print-event { margin-bottom: 1px; }
+.print-week-hours, .print-week-column { position: relative; height: var(--print-body-height); border-top: 1px solid #d1d5db; }
+.print-week-hours span { position: absolute; right: 3px; color: #6b7280; transform: translateY(-50%); }
+.print-week-column {
+  border-left: 1px solid #d1d5db;
+  background-image: linear-gradient(#e5e7eb 1px, transparent 1px);
+  background-size: 100% calc(100% / var(--print-hours));
+}
+.print-week-column .print-event { position: absolute; box-sizing: border-box; border: 1px solid #fff; }
+.print-month { width: 100%; border-collapse: collapse; table-layout: fixed; }
+.print-month th { height: 14px; font-weight: 600; padding: 0 2px; border: 1px solid #d1d5db; }
+.print-month td {
+  height: calc((var(--print-body-height) - 16px) / var(--print-weeks));
+  vertical-align: top;
+  border: 1px solid #d1d5db;
+  padding: 2px;
+}
+.print-month td.print-outside { background: #f3f4f6; color: #9ca3af; }
+.print-month-date { font-weight: 600; margin-bottom: 2px; }
+.print-month-entry { display: flex; gap: 3px; align-items: baseline; margin-bottom: 1px; }
+.print-dot { flex: none; width: 6px; height: 6px; border-radius: 50%; }
+.print-agenda-day { break-inside: avoid; margin-bottom: 8px; }
+.print-agenda-day h2 { font-size: 11px; font-weight: 700; margin: 0 0 3px; border-bottom: 1px solid #d1d5db; }
+.print-agenda-entry { display: grid; grid-template-columns: 4px 9em 1fr 12em 6em; gap: 6px; padding: 2px 0; break-inside: avoid; }
+.print-agenda-entry .print-swatch { border-radius: 2px; }
+.print-muted { color: #6b7280; }
+`;
+};
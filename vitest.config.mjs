@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    include: ["src/**/*.test.js"],
+    // rows parsed without a source zone use the machine's, so pin it
+    env: { TZ: "America/New_York" },
+  },
+});